@@ -8,15 +8,22 @@ import { BrandDetector } from './brand-detector.js';
 import { LLMManager } from './llm-manager.js';
 import { PromptManager } from './prompt-manager.js';
 import { MCPManager } from './mcp-manager.js';
+import { createConversationStore } from './conversation-store.js';
 
 export class LeoAgent {
-  constructor() {
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {ConversationStore} [options.store] - Where sessions are persisted (defaults to storage settings)
+   */
+  constructor(options = {}) {
     this.brandDetector = new BrandDetector();
     this.llmManager = new LLMManager();
-    this.promptManager = new PromptManager();
     this.mcpManager = new MCPManager();
-    this.conversationHistory = new Map(); // Store conversation history by userId
-    this.pendingMCPRequests = new Map(); // Store pending MCP requests by userId
+    this.promptManager = new PromptManager({ mcpManager: this.mcpManager });
+    // Set once the prompts' versions are recorded, on the first chat
+    this.promptsReady = false;
+    // Per-user history and pending MCP requests, persisted across restarts
+    this.store = options.store || createConversationStore();
   }
 
   /**
@@ -26,26 +33,33 @@ export class LeoAgent {
    * @returns {Promise<string>} - Leo's response
    */
   async chat(message, context = {}) {
-    const { userId = 'default' } = context;
-    
-    // Get or create conversation history for this user
-    if (!this.conversationHistory.has(userId)) {
-      this.conversationHistory.set(userId, []);
-    }
-    const history = this.conversationHistory.get(userId);
+    const { userId = 'default', client } = context;
     
     try {
-      // Step 1: Detect brand context
-      const brand = await this.brandDetector.detectBrand(message, history);
+      // Load (or start) this user's session
+      const session = await this.store.loadSession(userId);
+      const history = session.history;
       
-      // Step 2: Build system prompt
-      const systemPrompt = await this.promptManager.getSystemPrompt(brand);
+      // Step 1: Detect brand context (a brand pinned in the session wins)
+      const { brand } = await this.brandDetector.detectBrand(message, history, {
+        pinned: session.brandState?.pinned,
+        previous: session.brandState?.detected,
+        user: userId
+      });
+      
+      // Step 2: Build system prompt, noting which prompt versions it came from
+      if (!this.promptsReady) {
+        this.promptManager.init();
+        this.promptsReady = true;
+      }
+      const { prompt: systemPrompt, versions: promptVersions } =
+        this.promptManager.renderSystemPrompt(brand, { channel: client, userId });
       
       // Step 3: Check if user is confirming a pending MCP request
-      const pendingRequest = this.pendingMCPRequests.get(userId);
+      const pendingRequest = session.pendingRequest;
       if (pendingRequest && this.isConfirmation(message)) {
         // User confirmed - execute the MCP query
-        this.pendingMCPRequests.delete(userId);
+        session.pendingRequest = null;
         const mcpData = await this.mcpManager.gatherData(pendingRequest.query, pendingRequest.brand);
         
         // Construct conversation with MCP data
@@ -59,13 +73,14 @@ export class LeoAgent {
         
         // Update history
         history.push({ role: 'user', content: message });
-        history.push({ role: 'assistant', content: response });
+        history.push({ role: 'assistant', content: response, promptVersions });
         
         this.trimHistory(history);
+        await this.store.saveSession(session);
         return response;
       } else if (pendingRequest && this.isDenial(message)) {
         // User denied - clear pending request
-        this.pendingMCPRequests.delete(userId);
+        session.pendingRequest = null;
         
         // Continue with normal response without MCP data
         const messages = [
@@ -77,9 +92,10 @@ export class LeoAgent {
         const response = await this.llmManager.generateResponse(messages);
         
         history.push({ role: 'user', content: message });
-        history.push({ role: 'assistant', content: response });
+        history.push({ role: 'assistant', content: response, promptVersions });
         
         this.trimHistory(history);
+        await this.store.saveSession(session);
         return response;
       }
       
@@ -88,21 +104,22 @@ export class LeoAgent {
       
       if (mcpIntent) {
         // Store pending request
-        this.pendingMCPRequests.set(userId, {
+        session.pendingRequest = {
           query: message,
           brand: brand,
           originalMessage: message,
           intent: mcpIntent
-        });
+        };
         
         // Return permission request based on intent
         const permissionMessage = this.generatePermissionRequest(mcpIntent, message);
         
         // Update history with the permission request
         history.push({ role: 'user', content: message });
-        history.push({ role: 'assistant', content: permissionMessage });
+        history.push({ role: 'assistant', content: permissionMessage, promptVersions });
         
         this.trimHistory(history);
+        await this.store.saveSession(session);
         return permissionMessage;
       }
       
@@ -117,9 +134,10 @@ export class LeoAgent {
       
       // Update history
       history.push({ role: 'user', content: message });
-      history.push({ role: 'assistant', content: response });
+      history.push({ role: 'assistant', content: response, promptVersions });
       
       this.trimHistory(history);
+      await this.store.saveSession(session);
       return response;
       
     } catch (error) {
@@ -287,20 +305,37 @@ export class LeoAgent {
   }
   
   /**
-   * Clear conversation history for a specific user
+   * Clear conversation history and any pending request for a specific user
    * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if a session was deleted
    */
-  clearHistory(userId = 'default') {
-    this.conversationHistory.delete(userId);
-    this.pendingMCPRequests.delete(userId);
+  async clearHistory(userId = 'default') {
+    return this.store.deleteSession(userId);
   }
   
   /**
    * Get conversation history for a specific user
    * @param {string} userId - User ID
-   * @returns {Array} - Conversation history
+   * @returns {Promise<Array>} - Conversation history
+   */
+  async getHistory(userId = 'default') {
+    return this.store.getHistory(userId);
+  }
+  
+  /**
+   * List stored sessions, most recently updated first
+   * @returns {Promise<Array>} - Session summaries
+   */
+  async listSessions() {
+    return this.store.listSessions();
+  }
+  
+  /**
+   * Get a stored session to resume, or null if it does not exist
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Session
    */
-  getHistory(userId = 'default') {
-    return this.conversationHistory.get(userId) || [];
+  async resumeSession(userId) {
+    return this.store.getSession(userId);
   }
 }
@@ -7,79 +7,219 @@ import { BrandDetector } from './brand-detector.js';
 import { LLMManager } from './llm-manager.js';
 import { PromptManager } from './prompt-manager.js';
 import { MCPManager } from './mcp-manager.js';
+import { JQLBuilder } from './jql-builder.js';
+import { CQLBuilder } from './cql-builder.js';
+import { config } from './config.js';
+import { createConversationStore } from './conversation-store.js';
+import { ContextBuilder } from './context-builder.js';
+
+// Follows the list of sources and tools (see LeoAgent.describeTools)
+const TOOL_INSTRUCTIONS = `Call them whenever the question needs real project data, choose your own search arguments
+(e.g. JQL for Jira, CQL for Confluence), and cite what you found in your answer.
+Include the JQL or CQL you ran in your answer, so the search can be checked and reused.
+If a tool returns an error, say which source was unavailable instead of guessing.
+If a tool timed out and returns numbered recovery options, list them with the same numbers and ask which to try.`;
+
+// Marks a tool call still running when the tool loop's deadline passed
+const DEADLINE_EXCEEDED = Symbol('deadline exceeded');
+
+// How long offered timeout-recovery options stay open for the user to pick one
+const RECOVERY_CHOICE_TTL_MS = 30 * 60 * 1000;
+
+// Detection sources that found a brand in the conversation itself
+const DETECTED_SOURCES = ['message', 'llm', 'history'];
+
+/**
+ * Describe the brand in effect for front ends, e.g. "FaderPro (pinned)"
+ * @param {Object} state - Brand state from LeoAgent.getBrandState
+ * @returns {string}
+ */
+export function describeBrandState(state) {
+  if (!state || state.brands.length === 0) {
+    return 'no brand';
+  }
+  const note = { pinned: ' (pinned)', default: ' (default)' }[state.source] ?? '';
+  return state.brands.join(', ') + note;
+}
 
 export class LeoAgent {
-  constructor() {
-    this.brandDetector = new BrandDetector();
+  /**
+   * @param {Object} options - Optional overrides
+   * @param {ConversationStore} [options.store] - Where sessions are persisted (defaults to storage settings)
+   */
+  constructor(options = {}) {
     this.llmManager = new LLMManager();
-    this.promptManager = new PromptManager();
-    this.mcpManager = new MCPManager();
-    this.conversationHistory = new Map(); // Store conversation history by userId
-    this.lastErrorContext = new Map(); // Track last errors by userId for intent detection
+    // Ambiguous brand mentions are classified by the LLM
+    this.brandDetector = new BrandDetector({ llmManager: this.llmManager });
+    // Jira and Confluence questions are translated to JQL / CQL by the LLM, checked against the known fields
+    this.mcpManager = new MCPManager({
+      jqlBuilder: new JQLBuilder({ llmManager: this.llmManager }),
+      cqlBuilder: new CQLBuilder({ llmManager: this.llmManager })
+    });
+    // Prompts list the data sources that are live when the question is asked
+    this.promptManager = new PromptManager({ mcpManager: this.mcpManager });
+    // Set once the prompts' versions are recorded, on the first chat
+    this.promptsReady = false;
+    this.contextBuilder = new ContextBuilder(this.llmManager);
+    // Per-user history and last error context (for intent detection), persisted across restarts
+    this.store = options.store || createConversationStore();
+    // Prompt and settings file watchers, while watchFiles() is on
+    this.watchers = null;
+    this.sessionTurns = new Map(); // Serialize chat turns per session
   }
-
+  
+  /**
+   * Record the prompts' versions the first time they are needed, so every answer
+   * is tagged with the versions that produced it, with or without hot reload
+   */
+  initPrompts() {
+    if (!this.promptsReady) {
+      this.promptManager.init();
+      this.promptsReady = true;
+    }
+  }
+  
+  /**
+   * Reload prompts and settings when their files change (hotReload settings), so
+   * they can be tuned without restarting Leo. Broken edits are rejected and logged.
+   * Front ends call this once at startup.
+   * @returns {LeoAgent} - This agent
+   */
+  watchFiles() {
+    if (this.watchers || !(config.get('hotReload.enabled') ?? true)) {
+      return this;
+    }
+    
+    const options = { debounceMs: config.get('hotReload.debounceMs') ?? 300 };
+    this.onSettingsReload = () => this.applySettings();
+    config.on('reload', this.onSettingsReload);
+    this.watchers = [config.watch(options), this.promptManager.watch(options)];
+    return this;
+  }
+  
+  /**
+   * Stop reloading prompts and settings
+   */
+  stopWatching() {
+    if (!this.watchers) {
+      return;
+    }
+    for (const watcher of this.watchers) {
+      watcher.close();
+    }
+    config.off('reload', this.onSettingsReload);
+    this.watchers = null;
+  }
+  
+  /**
+   * Pick up reloaded settings in the parts that only read them when created.
+   * Everything else reads its settings on each request.
+   */
+  applySettings() {
+    this.llmManager.applySettings();
+    this.brandDetector = new BrandDetector({ llmManager: this.llmManager });
+  }
+  
   /**
    * Main chat method - processes user input and returns Leo's response
    * @param {string} message - User's message
    * @param {Object} context - Additional context (userId, channel, etc.)
+   * @param {string} [context.user] - User whose default brand and profile apply, when the session ID
+   *   is not the user's ID (e.g. one Slack session per thread)
+   * @param {string} [context.client] - Front end asking (cli, slack or api), for channel-specific prompts
+   * @param {Function} [context.onToken] - Called with each text chunk when the response should be streamed
    * @returns {Promise<string>} - Leo's response
    */
   async chat(message, context = {}) {
     const { userId = 'default' } = context;
     
-    // Get or create conversation history for this user
-    if (!this.conversationHistory.has(userId)) {
-      this.conversationHistory.set(userId, []);
-    }
-    const history = this.conversationHistory.get(userId);
+    // Messages on one session are answered in turn, so each turn loads the
+    // history the previous one saved instead of overwriting it
+    const previous = this.sessionTurns.get(userId) || Promise.resolve();
+    const turn = previous.catch(() => {}).then(() => this.respond(message, context));
     
-    // Detect intent using TimeoutRecoveryManager
-    const lastError = this.lastErrorContext.get(userId);
-    const intent = this.mcpManager.timeoutRecoveryManager.detectIntent(message, { lastError });
+    this.sessionTurns.set(userId, turn);
+    try {
+      return await turn;
+    } finally {
+      if (this.sessionTurns.get(userId) === turn) {
+        this.sessionTurns.delete(userId);
+      }
+    }
+  }
+  
+  /**
+   * Answer one message, once earlier turns on its session are done (see chat)
+   * @param {string} message - User's message
+   * @param {Object} context - As for chat
+   * @returns {Promise<string>} - Leo's response
+   */
+  async respond(message, context) {
+    const { userId = 'default', user = userId, channel, client, onToken } = context;
     
     try {
-      // Step 1: Detect brand context
-      const brand = await this.brandDetector.detectBrand(message, history);
+      // Load (or start) this user's session
+      const session = await this.store.loadSession(userId);
+      const history = session.history;
+      if (channel) {
+        session.channel = channel; // Where the conversation happens (e.g. a Slack channel ID)
+      }
       
-      // Step 2: Build system prompt
-      const systemPrompt = await this.promptManager.getSystemPrompt(brand);
+      // /brand commands pin, clear or show this session's brand
+      const brandReply = this.handleBrandCommand(message, session, user);
+      if (brandReply !== null) {
+        await this.store.saveSession(session);
+        return brandReply;
+      }
       
-      // Step 3: Gather relevant data from MCP servers
-      const mcpData = await this.mcpManager.gatherData(message, brand);
+      // Detect intent using TimeoutRecoveryManager
+      const lastError = session.errorContext ?? undefined;
+      const intent = this.mcpManager.timeoutRecoveryManager.detectIntent(message, { lastError });
       
-      // Check if we have timeout errors and update error context
-      const hasTimeoutError = this.checkForTimeoutErrors(mcpData);
-      if (hasTimeoutError) {
-        this.lastErrorContext.set(userId, { 
-          timestamp: Date.now(), 
-          error: 'TIMEOUT_ERROR',
-          data: mcpData 
-        });
-      } else {
-        // Clear error context on successful query
-        this.lastErrorContext.delete(userId);
+      // Step 1: Detect brand context. Questions about one brand are narrowed to its
+      // data; comparisons ("TrueFire vs JamPlay") search across brands. Brand context
+      // lives in the session, so one user's brand never carries over to another's question.
+      // After /brand clear, earlier turns no longer count until a brand comes up again.
+      const brandState = this.getSessionBrandState(session);
+      const detection = await this.brandDetector.detectBrand(message, brandState.cleared ? [] : history, {
+        pinned: brandState.pinned,
+        previous: brandState.detected,
+        user
+      });
+      const brands = detection.brands.map(entry => entry.name);
+      const brand = brands.length > 1 ? null : detection.brand;
+      if (DETECTED_SOURCES.includes(detection.source)) {
+        brandState.detected = { brand: detection.brand, brands: detection.brands };
+        brandState.cleared = false;
       }
+      brandState.current = { brands, source: detection.source };
       
-      // Step 4: Construct the conversation
-      const enrichedContent = this.enrichMessageWithData(message, mcpData, intent);
-      const messages = [
-        { role: 'system', content: systemPrompt },
-        ...history.slice(-10), // Include last 10 messages for context
-        { role: 'user', content: enrichedContent }
-      ];
+      // Step 2: Build system prompt, noting which prompt versions it came from
+      this.initPrompts();
+      const { prompt: systemPrompt, versions: promptVersions } =
+        this.promptManager.renderSystemPrompt(brands, { channel: client, userId: user });
       
-      // Step 5: Get response from LLM
-      const response = await this.llmManager.generateResponse(messages);
+      // Step 3: A reply picking one of the offered timeout-recovery options re-runs it.
+      // Otherwise let the LLM pick MCP tools itself when it can, or gather data
+      // up front with keyword routing
+      const recovery = this.takeRecoveryChoice(session, message);
+      let response;
+      if (recovery) {
+        response = await this.respondWithRecovery(recovery, { systemPrompt, session, onToken });
+      } else {
+        const tools = await this.getToolsForLLM();
+        response = tools.length > 0
+          ? await this.respondWithTools(message, { brands, systemPrompt, session, tools, onToken })
+          : await this.respondWithGatheredData(message, { brand, systemPrompt, session, intent, onToken });
+      }
       
-      // Step 6: Update conversation history
+      // Step 4: Update conversation history (older turns are folded into
+      // session.memory by the context builder when they stop fitting). Answers
+      // are tagged with the prompt versions that produced them.
       history.push({ role: 'user', content: message });
-      history.push({ role: 'assistant', content: response });
-      
-      // Keep history size manageable
-      if (history.length > 20) {
-        history.splice(0, history.length - 20);
-      }
+      history.push({ role: 'assistant', content: response, promptVersions });
       
+      await this.store.saveSession(session);
       return response;
     } catch (error) {
       console.error('Error in Leo chat:', error);
@@ -87,6 +227,429 @@ export class LeoAgent {
     }
   }
   
+  /**
+   * A session's brand state, added to sessions saved before it existed:
+   * pinned (chosen with /brand), detected (the last brands found in the conversation),
+   * current (the brands the latest answer was about, and where they came from) and
+   * cleared (set by /brand clear until a brand comes up again)
+   * @param {Object} session - Session
+   * @returns {Object} - { pinned, detected, current, cleared }
+   */
+  getSessionBrandState(session) {
+    session.brandState ??= { pinned: null, detected: null, current: null, cleared: false };
+    return session.brandState;
+  }
+  
+  /**
+   * Brand in effect from a session's brand state
+   * @param {Object} brandState - { pinned, detected, current, cleared }
+   * @param {string} user - User whose default brand applies
+   * @returns {Object} - { brands, source, pinned }, source as in BrandDetector.detectBrand
+   */
+  resolveBrandState(brandState, user) {
+    if (brandState?.pinned) {
+      return { brands: [brandState.pinned], source: 'pinned', pinned: brandState.pinned };
+    }
+    if (brandState?.current?.brands.length > 0) {
+      return { ...brandState.current, pinned: null };
+    }
+    const fallback = this.brandDetector.getDefaultBrand(user);
+    return { brands: fallback ? [fallback] : [], source: fallback ? 'default' : null, pinned: null };
+  }
+  
+  /**
+   * Brand in effect for a session, for front ends to show
+   * @param {string} userId - Session ID
+   * @param {string} [user] - User whose default brand applies (defaults to userId)
+   * @returns {Promise<Object>} - { brands, source, pinned }
+   */
+  async getBrandState(userId = 'default', user = userId) {
+    const session = await this.store.getSession(userId);
+    return this.resolveBrandState(session?.brandState, user);
+  }
+  
+  /**
+   * Handle a brand command:
+   *   /brand          show the brand in effect
+   *   /brand <name>   pin a brand for every question in the session
+   *   /brand clear    unpin it and forget the brands detected so far
+   * @param {string} message - User's message
+   * @param {Object} session - Session to update
+   * @param {string} user - User whose default brand applies
+   * @returns {string|null} - Reply, or null if the message is not a brand command
+   */
+  handleBrandCommand(message, session, user) {
+    const match = message.trim().match(/^\/brand(?:\s+(.+))?$/i);
+    if (!match) {
+      return null;
+    }
+    
+    const brandState = this.getSessionBrandState(session);
+    const argument = match[1]?.trim();
+    const known = this.brandDetector.getAllBrands().join(', ');
+    
+    if (!argument) {
+      const inEffect = this.resolveBrandState(brandState, user);
+      return inEffect.brands.length > 0
+        ? `Brand: ${describeBrandState(inEffect)}. Use /brand <name> to pin a brand or /brand clear to reset.`
+        : `No brand in effect. Use /brand <name> to pin one of: ${known}.`;
+    }
+    
+    if (/^(clear|none|reset|unpin)$/i.test(argument)) {
+      Object.assign(brandState, { pinned: null, detected: null, current: null, cleared: true });
+      const fallback = this.brandDetector.getDefaultBrand(user);
+      return fallback
+        ? `Brand cleared. Questions that don't name a brand will use your default brand, ${fallback}.`
+        : 'Brand cleared. Questions that don\'t name a brand are answered across all brands.';
+    }
+    
+    const pinned = this.brandDetector.getBrandInfo(argument);
+    if (!pinned) {
+      return `Unknown brand "${argument}". Brands: ${known}.`;
+    }
+    brandState.pinned = pinned.name;
+    return `Pinned ${pinned.name}. Every question in this conversation is about ${pinned.name} until you send /brand clear.`;
+  }
+  
+  /**
+   * Answer using data gathered up front from the MCP servers the query mentions
+   * @param {string} message - User's message
+   * @param {Object} options - brand, systemPrompt, session, intent, onToken
+   * @returns {Promise<string>} - Leo's response
+   */
+  async respondWithGatheredData(message, { brand, systemPrompt, session, intent, onToken }) {
+    const mcpData = await this.mcpManager.gatherData(message, brand);
+    
+    // Check if we have timeout errors and update error context
+    const hasTimeoutError = this.checkForTimeoutErrors(mcpData);
+    if (hasTimeoutError) {
+      session.errorContext = { 
+        timestamp: Date.now(), 
+        error: 'TIMEOUT_ERROR',
+        data: mcpData 
+      };
+    } else {
+      // Clear error context on successful query
+      session.errorContext = null;
+    }
+    
+    // Construct the conversation within the model's context window
+    const choices = [];
+    const enrichedContent = this.enrichMessageWithData(message, mcpData, intent, choices);
+    this.offerRecoveryChoices(session, message, brand, choices);
+    const messages = await this.contextBuilder.build({
+      systemPrompt,
+      session,
+      userContent: enrichedContent
+    });
+    
+    // Get response from LLM (streamed when the caller wants tokens)
+    return onToken
+      ? this.streamResponse(messages, onToken)
+      : this.llmManager.generateResponse(messages);
+  }
+  
+  /**
+   * Tell the model where each brand's data lives, so its searches stay within it
+   * @param {Array<string>} brands - Detected brands
+   * @returns {string|null} - Instructions, or null when no brand has scopes
+   */
+  describeBrandScopes(brands) {
+    const lines = [];
+    for (const info of brands.map(name => this.brandDetector.getBrandInfo(name)).filter(Boolean)) {
+      const scopes = [
+        ['Jira projects', info.jira.projects],
+        ['Confluence spaces', info.confluence.spaces],
+        ['Google Drive folders', info.googleDrive.folders],
+        ['GitHub repos', info.github.repos]
+      ].filter(([, values]) => values.length > 0);
+      if (scopes.length > 0) {
+        lines.push(`${info.name}: ` + scopes.map(([label, values]) => `${label} (${values.join(', ')})`).join(', '));
+      }
+    }
+    if (lines.length === 0) {
+      return null;
+    }
+    return `The question is about ${brands.join(' and ')}. Limit searches to their data unless asked otherwise:\n` +
+      lines.join('\n');
+  }
+  
+  /**
+   * Tool-calling instructions naming every tool offered, grouped by the source it reaches
+   * @param {Array} tools - Tool definitions from MCPManager.getToolDefinitions
+   * @returns {string}
+   */
+  describeTools(tools) {
+    const sourceNames = Object.fromEntries(this.mcpManager.getLiveSources().map(source => [source.key, source.name]));
+    const bySource = new Map();
+    for (const tool of tools) {
+      const source = sourceNames[tool.server] ?? tool.server ?? 'Other';
+      bySource.set(source, [...(bySource.get(source) || []), tool.name]);
+    }
+    const lines = [...bySource].map(([source, names]) => `- ${source}: ${names.join(', ')}`);
+    return `You can call tools to look up live data in:\n${lines.join('\n')}\n${TOOL_INSTRUCTIONS}`;
+  }
+  
+  /**
+   * Answer with a tool-calling loop: the LLM decides which MCP tools to call,
+   * with which arguments, over several steps before it answers
+   * @param {string} message - User's message
+   * @param {Object} options - brands, systemPrompt, session, tools, onToken
+   * @returns {Promise<string>} - Leo's response
+   */
+  async respondWithTools(message, { brands = [], systemPrompt, session, tools, onToken }) {
+    const maxSteps = config.get('agent.maxToolSteps') || 5;
+    const choices = [];
+    const conversation = await this.contextBuilder.build({
+      systemPrompt: [systemPrompt, this.describeTools(tools), this.describeBrandScopes(brands)].filter(Boolean).join('\n\n'),
+      session,
+      userContent: message
+    });
+    const toolResults = [];
+    let response = null;
+    // The whole loop shares the data-gathering deadline, so a model calling tool
+    // after tool can't keep the user waiting longer than gathering would
+    const deadlineMs = config.get('mcp.gatherDeadlineMs') ?? 25000;
+    const deadline = Date.now() + deadlineMs;
+    
+    // Only the answer is streamed: text from steps that call tools is held back by
+    // generateWithTools; the reply is everything that was streamed
+    let streamed = '';
+    const forward = onToken && ((text) => {
+      streamed += text;
+      onToken(text);
+    });
+    
+    for (let step = 0; step < maxSteps && Date.now() < deadline; step++) {
+      const { content, toolCalls } = await this.llmManager.generateWithTools(conversation, tools, forward);
+      
+      if (toolCalls.length === 0) {
+        response = content;
+        break;
+      }
+      
+      conversation.push({
+        role: 'assistant',
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      });
+      
+      const results = await this.callTools(toolCalls, message, deadline, deadlineMs);
+      for (const [index, call] of toolCalls.entries()) {
+        const result = results[index];
+        toolResults.push({ tool: call.name, arguments: call.arguments, result });
+        conversation.push({
+          role: 'tool',
+          tool_call_id: call.id,
+          content: result?.error === 'TIMEOUT_ERROR'
+            ? this.formatTimeoutError(result, call.name, 'user_query', choices)
+            : this.formatToolResult(result)
+        });
+      }
+    }
+    this.offerRecoveryChoices(session, message, null, choices);
+    
+    // Track timeouts the same way as the gathered-data path
+    const timeouts = toolResults.filter(entry => entry.result?.error === 'TIMEOUT_ERROR');
+    if (timeouts.length > 0) {
+      session.errorContext = {
+        timestamp: Date.now(),
+        error: 'TIMEOUT_ERROR',
+        data: { tools: timeouts }
+      };
+    } else {
+      session.errorContext = null;
+    }
+    
+    if (response === null) {
+      // Step or time budget exhausted - answer with what was gathered, without more tool calls
+      const limit = Date.now() < deadline ? 'the tool call limit' : 'the time limit for looking up data';
+      conversation.push({
+        role: 'user',
+        content: `You have reached ${limit}. Answer my question with the data gathered so far.`
+      });
+      if (!onToken) {
+        return this.llmManager.generateResponse(conversation);
+      }
+      await this.streamResponse(conversation, forward);
+    }
+    
+    return onToken ? streamed : response;
+  }
+  
+  /**
+   * Run one step's tool calls concurrently. Calls still running at the deadline
+   * are reported as left out, and calls that throw as errors, so every call
+   * gets a result for the model.
+   * @param {Array} toolCalls - [{ id, name, arguments }]
+   * @param {string} query - User message, for recovery strategies
+   * @param {number} deadline - Epoch ms after which nothing more is waited for
+   * @param {number} deadlineMs - Overall deadline, for the message
+   * @returns {Promise<Array>} - Results in the order of toolCalls
+   */
+  async callTools(toolCalls, query, deadline, deadlineMs) {
+    let deadlineTimer;
+    const deadlineReached = new Promise(resolve => {
+      deadlineTimer = setTimeout(() => resolve(DEADLINE_EXCEEDED), Math.max(deadline - Date.now(), 0));
+    });
+    
+    const outcomes = await Promise.allSettled(toolCalls.map(call => Promise.race([
+      this.mcpManager.callToolByName(call.name, call.arguments, query, deadline),
+      deadlineReached
+    ])));
+    clearTimeout(deadlineTimer);
+    
+    return outcomes.map((outcome, index) => {
+      if (outcome.status === 'rejected') {
+        return { error: outcome.reason?.message || String(outcome.reason) };
+      }
+      if (outcome.value === DEADLINE_EXCEEDED) {
+        return {
+          error: 'Deadline exceeded',
+          message: `${toolCalls[index].name} did not respond within ${deadlineMs}ms and was left out`
+        };
+      }
+      return outcome.value;
+    });
+  }
+  
+  /**
+   * Remember the recovery options just offered, so the user's next reply can pick one
+   * @param {Object} session - User session
+   * @param {string} query - The question that timed out
+   * @param {string|null} brand - Detected brand
+   * @param {Array} choices - Offered choices ({ service, option }) in the order they were numbered
+   */
+  offerRecoveryChoices(session, query, brand, choices) {
+    session.pendingRecovery = choices.length > 0
+      ? { query, brand, choices, createdAt: Date.now() }
+      : null;
+  }
+  
+  /**
+   * Check whether a message picks one of the pending recovery options.
+   * Pending options are dropped either way: they only apply to the very next reply.
+   * @param {Object} session - User session
+   * @param {string} message - User's message
+   * @returns {Object|null} - { query, brand, selected: [{ service, option }] } or null
+   */
+  takeRecoveryChoice(session, message) {
+    const pending = session.pendingRecovery;
+    session.pendingRecovery = null;
+    if (!pending || Date.now() - pending.createdAt > RECOVERY_CHOICE_TTL_MS) {
+      return null;
+    }
+    
+    const indexes = this.mcpManager.timeoutRecoveryManager.parseRecoveryChoice(message, pending.choices);
+    if (indexes.length === 0) {
+      return null;
+    }
+    return {
+      query: pending.query,
+      brand: pending.brand,
+      selected: indexes.map(index => pending.choices[index])
+    };
+  }
+  
+  /**
+   * Run the recovery option(s) the user picked and answer the original question with the results
+   * @param {Object} recovery - { query, selected } from takeRecoveryChoice
+   * @param {Object} options - systemPrompt, session, onToken
+   * @returns {Promise<string>} - Leo's response
+   */
+  async respondWithRecovery({ query, selected }, { systemPrompt, session, onToken }) {
+    const sections = [];
+    let stillFailing = false;
+    
+    for (const { service, option } of selected) {
+      if (option.action === 'manual_check' || !option.params) {
+        sections.push(`### ${service}:
+Skipped at the user's request - answer without ${service} data.`);
+        continue;
+      }
+      
+      let result;
+      try {
+        result = await this.mcpManager.callToolWithTimeout(option.server, option.tool, option.params, option.timeout);
+      } catch (error) {
+        result = { error: error.message };
+      }
+      
+      if (!result || result.error) {
+        stillFailing = true;
+        sections.push(`### ${service} (${option.description}):
+Still failed: ${result?.message || result?.error || 'no result returned'}`);
+      } else {
+        sections.push(`### ${service} (${option.description}):
+${this.formatToolResult(result)}`);
+      }
+    }
+    
+    // The retry answered the question, so the next turn is not a debugging follow-up
+    session.errorContext = stillFailing
+      ? { timestamp: Date.now(), error: 'TIMEOUT_ERROR', data: { recovery: selected } }
+      : null;
+    
+    const userContent = `${query}\n\n---\nData retrieved with the recovery option the user chose:\n\n` +
+      sections.join('\n\n') +
+      '\n\n---\nAnswer the question above with this data. If a source still failed, say so and suggest checking it manually.';
+    const messages = await this.contextBuilder.build({ systemPrompt, session, userContent });
+    
+    return onToken
+      ? this.streamResponse(messages, onToken)
+      : this.llmManager.generateResponse(messages);
+  }
+  
+  /**
+   * Get MCP tool definitions to expose to the LLM, or none when tool calling is off
+   * @returns {Promise<Array>} - Tool definitions
+   */
+  async getToolsForLLM() {
+    if (!(config.get('agent.toolCalling') ?? true) || !this.llmManager.supportsTools()) {
+      return [];
+    }
+    
+    try {
+      return await this.mcpManager.getToolDefinitions();
+    } catch (error) {
+      console.error('Could not load MCP tools for tool calling:', error.message);
+      return [];
+    }
+  }
+  
+  /**
+   * Format an MCP tool result as the text content of a tool message
+   * @param {Object} result - Tool result or error object
+   * @returns {string} - Tool message content
+   */
+  formatToolResult(result) {
+    if (result && result.type === 'text' && typeof result.text === 'string') {
+      return result.text;
+    }
+    return JSON.stringify(result ?? { error: 'No result returned' });
+  }
+  
+  /**
+   * Stream a response from the LLM, forwarding each chunk to the caller
+   * @param {Array} messages - Conversation messages
+   * @param {Function} onToken - Callback invoked with each text chunk
+   * @returns {Promise<string>} - The full response text
+   */
+  async streamResponse(messages, onToken) {
+    let response = '';
+    
+    for await (const chunk of this.llmManager.streamResponse(messages)) {
+      response += chunk;
+      onToken(chunk);
+    }
+    
+    return response;
+  }
+  
   /**
    * Check if MCP data contains timeout errors
    */
@@ -116,9 +679,10 @@ export class LeoAgent {
    * @param {string} message - Original user message
    * @param {Object} mcpData - Data gathered from MCP servers
    * @param {string} intent - Intent detected (user_query or debug_mode)
+   * @param {Array} [choices] - Collects the numbered recovery options offered for timeouts
    * @returns {string} - Enriched message
    */
-  enrichMessageWithData(message, mcpData, intent = 'user_query') {
+  enrichMessageWithData(message, mcpData, intent = 'user_query', choices = []) {
     if (!mcpData || Object.keys(mcpData).length === 0) {
       return message;
     }
@@ -137,9 +701,14 @@ export class LeoAgent {
       if (mcpData.atlassian.jira) {
         enrichedMessage += '\n### JIRA Issues:\n';
         
+        // Show the search that produced these issues so the user can check or reuse it
+        if (mcpData.atlassian.jira.jql) {
+          enrichedMessage += `JQL used: \`${mcpData.atlassian.jira.jql}\` (include this JQL in your answer)\n`;
+        }
+        
         // Check if it's a timeout error with recovery options
         if (mcpData.atlassian.jira.error === 'TIMEOUT_ERROR') {
-          enrichedMessage += this.formatTimeoutError(mcpData.atlassian.jira, 'Jira', intent);
+          enrichedMessage += this.formatTimeoutError(mcpData.atlassian.jira, 'Jira', intent, choices);
         } else {
           try {
             const jiraData = typeof mcpData.atlassian.jira === 'string' 
@@ -155,9 +724,13 @@ export class LeoAgent {
       if (mcpData.atlassian.confluence) {
         enrichedMessage += '\n\n### Confluence Pages:\n';
         
+        if (mcpData.atlassian.confluence.cql) {
+          enrichedMessage += `CQL used: \`${mcpData.atlassian.confluence.cql}\` (include this CQL in your answer)\n`;
+        }
+        
         // Check if it's a timeout error with recovery options
         if (mcpData.atlassian.confluence.error === 'TIMEOUT_ERROR') {
-          enrichedMessage += this.formatTimeoutError(mcpData.atlassian.confluence, 'Confluence', intent);
+          enrichedMessage += this.formatTimeoutError(mcpData.atlassian.confluence, 'Confluence', intent, choices);
         } else {
           try {
             const confluenceData = typeof mcpData.atlassian.confluence === 'string'
@@ -177,7 +750,7 @@ export class LeoAgent {
       
       // Check if it's a timeout error with recovery options
       if (mcpData.googleDrive.error === 'TIMEOUT_ERROR') {
-        enrichedMessage += this.formatTimeoutError(mcpData.googleDrive, 'Google Drive', intent);
+        enrichedMessage += this.formatTimeoutError(mcpData.googleDrive, 'Google Drive', intent, choices);
       } else {
         try {
           const driveData = typeof mcpData.googleDrive === 'string'
@@ -190,19 +763,92 @@ export class LeoAgent {
       }
     }
     
+    // Format Intercom data as citable conversations
+    if (mcpData.intercom) {
+      enrichedMessage += '\n\n### Intercom Customer Conversations:\n';
+      
+      if (mcpData.intercom.error) {
+        enrichedMessage += JSON.stringify(mcpData.intercom, null, 2);
+      } else {
+        const { workspace, since, totalConversations, tagCounts, conversations } = mcpData.intercom;
+        enrichedMessage += `Workspace: ${workspace}. ${totalConversations} conversations updated since ${since}`;
+        enrichedMessage += ` (${conversations.length} shown below).\n`;
+        enrichedMessage += 'Cite conversations by ID; only use counts that appear here.\n';
+        
+        if (tagCounts.length > 0) {
+          enrichedMessage += '\nTags (conversations shown below): ';
+          enrichedMessage += tagCounts.map(({ tag, count }) => `${tag} (${count})`).join(', ') + '\n';
+        }
+        
+        enrichedMessage += '\n';
+        for (const conversation of conversations) {
+          const tags = conversation.tags.length > 0 ? ` [${conversation.tags.join(', ')}]` : '';
+          enrichedMessage += `- #${conversation.id} (${conversation.state}, ${conversation.updatedAt.slice(0, 10)})${tags}: `;
+          enrichedMessage += [conversation.title, conversation.excerpt].filter(Boolean).join(' - ');
+          enrichedMessage += conversation.url ? ` <${conversation.url}>\n` : '\n';
+        }
+      }
+    }
+    
+    // Format GitHub data (per repository)
+    if (mcpData.github) {
+      enrichedMessage += '\n\n### GitHub Activity:\n';
+      
+      if (mcpData.github.error) {
+        enrichedMessage += JSON.stringify(mcpData.github, null, 2);
+      } else {
+        const { since, ...repos } = mcpData.github;
+        enrichedMessage += `Activity since ${since}\n`;
+        
+        for (const [repo, sections] of Object.entries(repos)) {
+          enrichedMessage += `\n#### ${repo}\n`;
+          for (const [section, data] of Object.entries(sections)) {
+            if (data?.error === 'TIMEOUT_ERROR') {
+              enrichedMessage += this.formatTimeoutError(data, `GitHub ${section}`, intent, choices);
+            } else {
+              enrichedMessage += `${section}: ${JSON.stringify(data, null, 2)}\n`;
+            }
+          }
+        }
+      }
+    }
+    
+    // Note sources that didn't return data so the answer doesn't imply they were checked
+    if (mcpData.meta) {
+      const reasons = { timeout: 'timed out', degraded: 'skipped, failing repeatedly', error: 'failed' };
+      const missing = Object.entries(mcpData.meta.sources)
+        .filter(([, source]) => source.status in reasons)
+        .map(([name, source]) => `${name} (${reasons[source.status]})`);
+      if (missing.length > 0) {
+        enrichedMessage += `\n\n### Source Status:\nNo data from: ${missing.join(', ')}. Mention this if it affects the answer.\n`;
+      }
+    }
+    
     if (intent === 'debug_mode') {
       enrichedMessage += '\n\n---\nProvide technical analysis of the timeout errors and suggest which recovery strategy would be most effective.';
     } else {
-      enrichedMessage += '\n\n---\nIf any services timed out, present the recovery options to the user in a friendly way and ask which approach they\'d prefer. Otherwise, analyze and summarize the data to answer the user\'s question.';
+      enrichedMessage += '\n\n---\nIf any services timed out, present the recovery options to the user in a friendly way, keeping their numbers, and ask which approach they\'d prefer. Otherwise, analyze and summarize the data to answer the user\'s question.';
     }
     
     return enrichedMessage;
   }
   
   /**
-   * Format timeout error for inclusion in enriched message
+   * Format timeout error for inclusion in enriched message.
+   * Options are numbered on from any already in choices, so several timed-out
+   * services share one list the user can answer with a number.
+   * @param {Object} errorData - TIMEOUT_ERROR result with recovery options
+   * @param {string} serviceName - Service name shown to the user
+   * @param {string} intent - user_query or debug_mode
+   * @param {Array} [choices] - Offered choices ({ service, option }); the options listed are appended
+   * @returns {string} - Formatted error
    */
-  formatTimeoutError(errorData, serviceName, intent) {
+  formatTimeoutError(errorData, serviceName, intent, choices = []) {
+    const offer = (option) => {
+      choices.push({ service: serviceName, option });
+      return choices.length;
+    };
+    
     let formatted = `\n**TIMEOUT ERROR**\n`;
     formatted += `${errorData.summary}\n\n`;
     
@@ -221,8 +867,8 @@ export class LeoAgent {
       formatted += `- Error: ${errorData.message}\n\n`;
       
       formatted += `**Recovery Strategies:**\n`;
-      errorData.recoveryOptions.forEach((option, index) => {
-        formatted += `${index + 1}. ${option.description}\n`;
+      errorData.recoveryOptions.forEach((option) => {
+        formatted += `${offer(option)}. ${option.description}\n`;
         formatted += `   - Action: ${option.action}\n`;
         formatted += `   - Timeout: ${option.timeout}ms\n`;
         formatted += `   - Estimated success rate: ${Math.round(option.estimatedSuccessRate * 100)}%\n`;
@@ -234,29 +880,49 @@ export class LeoAgent {
     } else {
       // User-friendly options
       formatted += `**What would you like me to try?**\n`;
-      errorData.recoveryOptions.slice(0, -1).forEach((option, index) => {
-        formatted += `${index + 1}. ${option.description}\n`;
+      errorData.recoveryOptions.slice(0, -1).forEach((option) => {
+        formatted += `${offer(option)}. ${option.description}\n`;
       });
-      formatted += `${errorData.recoveryOptions.length}. Skip this search and proceed without ${serviceName} data\n`;
+      const skip = errorData.recoveryOptions[errorData.recoveryOptions.length - 1];
+      formatted += `${offer(skip)}. Skip this search and proceed without ${serviceName} data\n`;
     }
     
     return formatted;
   }
   
   /**
-   * Clear conversation history for a specific user
+   * Clear conversation history (the whole session) for a specific user
    * @param {string} userId - User ID
+   * @returns {Promise<boolean>} - True if a session was deleted
    */
-  clearHistory(userId = 'default') {
-    this.conversationHistory.delete(userId);
+  async clearHistory(userId = 'default') {
+    return this.store.deleteSession(userId);
   }
   
   /**
    * Get conversation history for a specific user
    * @param {string} userId - User ID
-   * @returns {Array} - Conversation history
+   * @returns {Promise<Array>} - Conversation history
+   */
+  async getHistory(userId = 'default') {
+    return this.store.getHistory(userId);
+  }
+  
+  /**
+   * List stored sessions, most recently updated first
+   * @returns {Promise<Array>} - Session summaries
+   */
+  async listSessions() {
+    return this.store.listSessions();
+  }
+  
+  /**
+   * Get a stored session to resume, or null if it does not exist.
+   * Chatting with the same userId continues the session.
+   * @param {string} userId - User ID
+   * @returns {Promise<Object|null>} - Session
    */
-  getHistory(userId = 'default') {
-    return this.conversationHistory.get(userId) || [];
+  async resumeSession(userId) {
+    return this.store.getSession(userId);
   }
 }
@@ -0,0 +1,410 @@
+#!/usr/bin/env node
+
+/**
+ * Leo Agent - HTTP API Server
+ * REST/JSON API around LeoAgent for the dashboard and internal scripts.
+ * Answers can be streamed with Server-Sent Events; every request needs an API key.
+ *
+ *   POST   /chat                      { message, userId, stream } -> { userId, response, brand, promptVersions } or SSE
+ *   GET    /sessions                  -> { sessions }
+ *   GET    /sessions/:userId/history  -> { userId, history }
+ *   DELETE /sessions/:userId          -> { userId, deleted }
+ *   GET    /status                    -> { mcp, llm }
+ *   GET    /health                    -> { status, servers }
+ *
+ * Prompt versions (:name is "system", "brands/<brand>", "channels/<channel>" or "partials/<name>"):
+ *   GET    /prompts                               -> { prompts }
+ *   GET    /prompts/:name/versions                -> { name, versions }
+ *   POST   /prompts/:name/versions    { content, author, note } -> { version }
+ *   GET    /prompts/:name/versions/:version       -> { version } (with its content)
+ *   GET    /prompts/:name/diff?from=1&to=2        -> { name, from, to, added, removed, diff }
+ *   POST   /prompts/:name/rollback    { version, author, note } -> { version }
+ */
+
+import http from 'http';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { LeoAgent } from './agent.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+/**
+ * Error with an HTTP status, turned into a JSON error response
+ */
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+export class LeoApiServer {
+  /**
+   * @param {Object} options
+   * @param {LeoAgent} [options.agent] - Agent that answers requests (defaults to a new LeoAgent)
+   * @param {Array<string>} [options.apiKeys] - Accepted API keys (defaults to the comma-separated LEO_API_KEYS)
+   */
+  constructor(options = {}) {
+    this.agent = options.agent || new LeoAgent();
+    this.apiKeys = options.apiKeys || (process.env.LEO_API_KEYS || '')
+      .split(',')
+      .map(key => key.trim())
+      .filter(Boolean);
+    this.maxBodyBytes = config.get('api.maxBodyBytes') ?? 1024 * 1024;
+    this.server = http.createServer((req, res) => this.handleRequest(req, res));
+    
+    this.routes = [
+      { method: 'POST', pattern: /^\/chat$/, handler: this.chat },
+      { method: 'GET', pattern: /^\/sessions$/, handler: this.listSessions },
+      { method: 'GET', pattern: /^\/sessions\/([^/]+)\/history$/, handler: this.getHistory },
+      { method: 'DELETE', pattern: /^\/sessions\/([^/]+)$/, handler: this.deleteSession },
+      { method: 'GET', pattern: /^\/status$/, handler: this.getStatus },
+      { method: 'GET', pattern: /^\/health$/, handler: this.getHealth },
+      { method: 'GET', pattern: /^\/prompts$/, handler: this.listPrompts },
+      { method: 'GET', pattern: /^\/prompts\/(.+?)\/versions$/, handler: this.listPromptVersions },
+      { method: 'POST', pattern: /^\/prompts\/(.+?)\/versions$/, handler: this.savePrompt },
+      { method: 'GET', pattern: /^\/prompts\/(.+?)\/versions\/(\d+)$/, handler: this.getPromptVersion },
+      { method: 'GET', pattern: /^\/prompts\/(.+?)\/diff$/, handler: this.diffPromptVersions },
+      { method: 'POST', pattern: /^\/prompts\/(.+?)\/rollback$/, handler: this.rollbackPrompt }
+    ];
+  }
+  
+  /**
+   * Start listening
+   * @param {number} port - Port (0 picks a free one)
+   * @param {string} host - Interface to bind
+   * @returns {Promise<Object>} - The bound address
+   */
+  async listen(port = config.get('api.port') ?? 3000, host = config.get('api.host') ?? '127.0.0.1') {
+    if (this.apiKeys.length === 0) {
+      throw new Error('No API keys configured. Set LEO_API_KEYS to a comma-separated list of keys.');
+    }
+    
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, resolve);
+    });
+    
+    const address = this.server.address();
+    logger.info('Leo API server listening', { host: address.address, port: address.port });
+    return address;
+  }
+  
+  /**
+   * Stop accepting requests and close open connections
+   */
+  async close() {
+    this.server.closeAllConnections();
+    await new Promise(resolve => this.server.close(resolve));
+  }
+  
+  /**
+   * Route a request, handling auth and errors
+   */
+  async handleRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    
+    try {
+      if (!this.isAuthorized(req)) {
+        throw new HttpError(401, 'Missing or invalid API key');
+      }
+      
+      const route = this.routes.find(r => r.pattern.test(url.pathname) && r.method === req.method);
+      if (!route) {
+        const pathExists = this.routes.some(r => r.pattern.test(url.pathname));
+        throw new HttpError(pathExists ? 405 : 404, pathExists ? 'Method not allowed' : 'Not found');
+      }
+      
+      const params = url.pathname.match(route.pattern).slice(1).map(decodeURIComponent);
+      await route.handler.call(this, req, res, ...params);
+    } catch (error) {
+      const status = error.status || 500;
+      if (status === 500) {
+        logger.error('API request failed', { method: req.method, path: url.pathname, error: error.message });
+      }
+      
+      if (res.headersSent) {
+        res.end();
+      } else {
+        this.sendJson(res, status, { error: status === 500 ? 'Internal server error' : error.message });
+      }
+    }
+  }
+  
+  /**
+   * Check the API key from "Authorization: Bearer <key>" or "X-API-Key"
+   */
+  isAuthorized(req) {
+    const header = req.headers.authorization || '';
+    const key = header.startsWith('Bearer ') ? header.slice('Bearer '.length) : req.headers['x-api-key'];
+    if (!key) {
+      return false;
+    }
+    
+    const given = crypto.createHash('sha256').update(key).digest();
+    return this.apiKeys.some(apiKey =>
+      crypto.timingSafeEqual(given, crypto.createHash('sha256').update(apiKey).digest()));
+  }
+  
+  /**
+   * POST /chat - answer a message, as JSON or streamed as Server-Sent Events
+   */
+  async chat(req, res) {
+    const body = await this.readJson(req);
+    if (typeof body.message !== 'string' || body.message.trim() === '') {
+      throw new HttpError(400, '"message" must be a non-empty string');
+    }
+    if (body.userId !== undefined && (typeof body.userId !== 'string' || body.userId === '')) {
+      throw new HttpError(400, '"userId" must be a non-empty string');
+    }
+    
+    const userId = body.userId || 'api';
+    const stream = body.stream === true || (req.headers.accept || '').includes('text/event-stream');
+    
+    if (!stream) {
+      const response = await this.agent.chat(body.message, { userId, channel: 'api', client: 'api' });
+      this.sendJson(res, 200, { userId, response, ...await this.getAnswerDetails(userId) });
+      return;
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    
+    const send = (event, data) => {
+      if (!res.destroyed) {
+        res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+    };
+    
+    const response = await this.agent.chat(body.message, {
+      userId,
+      channel: 'api',
+      client: 'api',
+      onToken: (text) => send('token', { text })
+    });
+    send('done', { userId, response, ...await this.getAnswerDetails(userId) });
+    res.end();
+  }
+  
+  /**
+   * The brand in effect and the prompt versions behind the latest answer in a session
+   */
+  async getAnswerDetails(userId) {
+    const history = await this.agent.getHistory(userId);
+    return {
+      brand: await this.agent.getBrandState(userId),
+      promptVersions: history[history.length - 1]?.promptVersions ?? []
+    };
+  }
+  
+  /**
+   * GET /sessions - list stored sessions
+   */
+  async listSessions(req, res) {
+    this.sendJson(res, 200, { sessions: await this.agent.listSessions() });
+  }
+  
+  /**
+   * GET /sessions/:userId/history - conversation history for a session
+   */
+  async getHistory(req, res, userId) {
+    const session = await this.agent.resumeSession(userId);
+    if (!session) {
+      throw new HttpError(404, `No session for ${userId}`);
+    }
+    this.sendJson(res, 200, { userId, history: session.history });
+  }
+  
+  /**
+   * DELETE /sessions/:userId - delete a session
+   */
+  async deleteSession(req, res, userId) {
+    const deleted = await this.agent.clearHistory(userId);
+    if (!deleted) {
+      throw new HttpError(404, `No session for ${userId}`);
+    }
+    this.sendJson(res, 200, { userId, deleted });
+  }
+  
+  /**
+   * GET /status - MCP server status and LLM provider
+   */
+  async getStatus(req, res) {
+    this.sendJson(res, 200, {
+      mcp: this.agent.mcpManager.getStatus(),
+      llm: this.agent.llmManager.getProviderInfo()
+    });
+  }
+  
+  /**
+   * GET /health - live health check of the MCP servers
+   */
+  async getHealth(req, res) {
+    const servers = await this.agent.mcpManager.healthCheck();
+    const healthy = Object.values(servers).every(server => server.status === 'healthy');
+    this.sendJson(res, 200, { status: healthy ? 'ok' : 'degraded', servers });
+  }
+  
+  /**
+   * Normalize a prompt name from the URL
+   */
+  getPromptName(name) {
+    try {
+      return this.agent.promptManager.getPromptName(name);
+    } catch (error) {
+      throw new HttpError(400, error.message);
+    }
+  }
+  
+  /**
+   * GET /prompts - prompts with saved versions
+   */
+  async listPrompts(req, res) {
+    this.sendJson(res, 200, { prompts: this.agent.promptManager.listPrompts() });
+  }
+  
+  /**
+   * GET /prompts/:name/versions - a prompt's versions, oldest first
+   */
+  async listPromptVersions(req, res, name) {
+    const promptName = this.getPromptName(name);
+    this.sendJson(res, 200, { name: promptName, versions: this.agent.promptManager.listVersions(promptName) });
+  }
+  
+  /**
+   * POST /prompts/:name/versions - save a new version and make it current
+   */
+  async savePrompt(req, res, name) {
+    const promptName = this.getPromptName(name);
+    const body = await this.readJson(req);
+    const { valid, error } = this.agent.promptManager.validatePrompt(body.content);
+    if (!valid) {
+      throw new HttpError(400, `Invalid prompt: ${error}`);
+    }
+    
+    const version = this.agent.promptManager.savePrompt(promptName, body.content, {
+      author: body.author || 'api',
+      note: body.note || null
+    });
+    this.sendJson(res, 201, { version });
+  }
+  
+  /**
+   * GET /prompts/:name/versions/:version - one version, with its content
+   */
+  async getPromptVersion(req, res, name, number) {
+    const promptName = this.getPromptName(name);
+    const version = this.agent.promptManager.getVersion(promptName, Number(number));
+    if (!version) {
+      throw new HttpError(404, `No version ${number} of ${promptName}`);
+    }
+    this.sendJson(res, 200, { version });
+  }
+  
+  /**
+   * GET /prompts/:name/diff?from=1&to=2 - line diff between two versions
+   */
+  async diffPromptVersions(req, res, name) {
+    const promptName = this.getPromptName(name);
+    const query = new URL(req.url, 'http://localhost').searchParams;
+    const from = Number(query.get('from'));
+    const to = Number(query.get('to'));
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 1 || to < 1) {
+      throw new HttpError(400, '"from" and "to" must be version numbers');
+    }
+    
+    const diff = this.agent.promptManager.diffVersions(promptName, from, to);
+    if (!diff) {
+      throw new HttpError(404, `No version ${from} or ${to} of ${promptName}`);
+    }
+    this.sendJson(res, 200, diff);
+  }
+  
+  /**
+   * POST /prompts/:name/rollback - make an earlier version current again (saved as a new version)
+   */
+  async rollbackPrompt(req, res, name) {
+    const promptName = this.getPromptName(name);
+    const body = await this.readJson(req);
+    if (!Number.isInteger(body.version) || body.version < 1) {
+      throw new HttpError(400, '"version" must be a version number');
+    }
+    
+    const version = this.agent.promptManager.rollback(promptName, body.version, {
+      author: body.author || 'api',
+      note: body.note || null
+    });
+    if (!version) {
+      throw new HttpError(404, `No version ${body.version} of ${promptName}`);
+    }
+    this.sendJson(res, 201, { version });
+  }
+  
+  /**
+   * Read and parse a JSON request body
+   */
+  async readJson(req) {
+    let size = 0;
+    const chunks = [];
+    
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > this.maxBodyBytes) {
+        throw new HttpError(413, 'Request body too large');
+      }
+      chunks.push(chunk);
+    }
+    
+    try {
+      const body = JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}');
+      if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new Error('not an object');
+      }
+      return body;
+    } catch (error) {
+      throw new HttpError(400, 'Request body must be a JSON object');
+    }
+  }
+  
+  /**
+   * Send a JSON response
+   */
+  sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+  }
+}
+
+// Run the server when executed directly: node src/api-server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  
+  const server = new LeoApiServer();
+  try {
+    await server.agent.mcpManager.initialize();
+  } catch (error) {
+    logger.warning('Failed to initialize MCP servers, continuing without them', { error: error.message });
+  }
+  server.agent.watchFiles();
+  
+  try {
+    const { address, port } = await server.listen(parseInt(process.env.LEO_API_PORT, 10) || undefined);
+    console.log(`Leo API server listening on http://${address}:${port}`);
+  } catch (error) {
+    console.error(error.message);
+    process.exit(1);
+  }
+  
+  const shutdown = async () => {
+    await server.close();
+    server.agent.stopWatching();
+    await server.agent.mcpManager.disconnect();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
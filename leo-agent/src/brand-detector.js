@@ -1,108 +1,274 @@
 /**
  * Brand Detector
- * Identifies which TrueFire Studios brand the user is asking about
- * Brands: TrueFire, ArtistWorks, Blayze, FaderPro, JamPlay
+ * Identifies which TrueFire Studios brands the user is asking about
+ * Brands come from the brand registry (config/brands.json)
+ *
+ * Messages are matched word by word against each brand's name, aliases, keywords
+ * and domains, and every brand gets a confidence score: a name or domain is
+ * conclusive, a short alias like "tf" is only a hint, a generic keyword like "dj" counts
+ * only alongside other hints, and hints add up. Ambiguous messages are classified by the
+ * LLM when one is available.
  */
 
+import { brandRegistry } from './brand-registry.js';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+// How much a single match says about a brand
+const MATCH_WEIGHTS = {
+  name: 1,
+  domain: 1,
+  alias: 0.9,
+  shortAlias: 0.6, // Three letters or fewer ("tf", "aw")
+  keyword: 0.4 // Below minConfidence on its own: "production" or "dj" alone names no brand
+};
+
+/**
+ * Split text into lowercase words, leaving out URLs (their paths are not brand mentions)
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .replace(/https?:\/\/\S+/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Position of a phrase ("guitar lessons") in a list of words, or -1
+ */
+function findPhrase(words, phrase) {
+  const parts = tokenize(phrase);
+  if (parts.length === 0) {
+    return -1;
+  }
+  for (let i = 0; i + parts.length <= words.length; i++) {
+    if (parts.every((part, j) => words[i + j] === part)) {
+      return i;
+    }
+  }
+  return -1;
+}
+
 export class BrandDetector {
-  constructor() {
-    this.brands = {
-      truefire: {
-        name: 'TrueFire',
-        keywords: ['truefire', 'tf', 'guitar lessons', 'guitar courses'],
-        domains: ['truefire.com']
-      },
-      artistworks: {
-        name: 'ArtistWorks',
-        keywords: ['artistworks', 'aw', 'video exchange', 'vxl'],
-        domains: ['artistworks.com']
-      },
-      blayze: {
-        name: 'Blayze',
-        keywords: ['blayze', 'racing', 'motorsports', 'sports coaching'],
-        domains: ['blayze.com']
-      },
-      faderpro: {
-        name: 'FaderPro',
-        keywords: ['faderpro', 'fp', 'dj', 'electronic music', 'production'],
-        domains: ['faderpro.com']
-      },
-      jamplay: {
-        name: 'JamPlay',
-        keywords: ['jamplay', 'jp', 'jam play'],
-        domains: ['jamplay.com']
-      }
-    };
-    
-    this.lastDetectedBrand = null;
+  /**
+   * @param {Object} options
+   * @param {BrandRegistry} [options.registry] - Where brands are defined (defaults to the shared registry)
+   * @param {LLMManager} [options.llmManager] - Classifies ambiguous messages (keyword scores only without one)
+   */
+  constructor(options = {}) {
+    const setting = (name, fallback) => options[name] ?? config.get(`brands.${name}`) ?? fallback;
+    this.registry = options.registry || brandRegistry;
+    this.llmManager = options.llmManager || null;
+    this.minConfidence = setting('minConfidence', 0.5);
+    this.confidentScore = setting('confidentScore', 0.8);
+    this.useLLM = setting('useLLM', true);
+    this.llmTimeoutMs = setting('llmTimeoutMs', 3000);
+    // Brand used when nothing else points to one: per user (userDefaults), then for everyone (default)
+    this.userDefaults = setting('userDefaults', {});
+    this.defaultBrand = setting('default', null);
+  }
+  
+  /**
+   * Brands keyed by brand key
+   */
+  get brands() {
+    return this.registry.brands;
   }
   
   /**
-   * Detect brand from message and conversation history
+   * Detect the brands a message is about. A brand the user pinned always wins;
+   * otherwise the message itself, the LLM (when the message is ambiguous), the
+   * conversation history, the session's last detection and the user's default brand
+   * are tried in that order. Nothing is kept on the detector, so sessions never
+   * share brand context.
    * @param {string} message - Current message
    * @param {Array} history - Conversation history
-   * @returns {Promise<string|null>} - Detected brand name or null
+   * @param {Object} [state] - The session's brand state
+   * @param {string} [state.pinned] - Brand pinned with /brand
+   * @param {Object} [state.previous] - Last detection in the session ({ brand, brands })
+   * @param {string} [state.user] - User whose default brand applies
+   * @returns {Promise<Object>} - { brand, brands: [{ name, confidence, matches }], source }
+   *   where brand is the top-ranked name (or null) and source is 'pinned', 'message',
+   *   'llm', 'history', 'previous', 'default' or null
    */
-  async detectBrand(message, history = []) {
-    // Check if brand is explicitly mentioned in current message
-    const currentBrand = this.detectFromText(message);
-    if (currentBrand) {
-      this.lastDetectedBrand = currentBrand;
-      return currentBrand;
+  async detectBrand(message, history = [], state = {}) {
+    const pinned = this.registry.getBrand(state.pinned)?.name;
+    if (pinned) {
+      return this.fixedBrand(pinned, 'pinned');
     }
     
-    // Check conversation history for context
-    for (let i = history.length - 1; i >= 0; i--) {
-      const historicalBrand = this.detectFromText(history[i].content);
-      if (historicalBrand) {
-        this.lastDetectedBrand = historicalBrand;
-        return historicalBrand;
+    const scored = this.scoreText(message);
+    let result = null;
+    
+    if (scored.length > 0 && scored[0].confidence < this.confidentScore) {
+      // Only weak hints ("dj", "tf"): let the LLM decide, keeping the hints if it can't
+      const classified = await this.classifyWithLLM(message, scored);
+      if (classified === null) {
+        result = { brands: scored, source: 'message' };
+      } else if (classified.length > 0) {
+        result = { brands: classified, source: 'llm' };
       }
+    } else if (scored.length > 0) {
+      result = { brands: scored, source: 'message' };
+    }
+    
+    // Check what the user said earlier (Leo's own replies mention brands it was only asked about)
+    for (let i = history.length - 1; i >= 0 && !result; i--) {
+      if (history[i].role !== 'user') {
+        continue;
+      }
+      const historical = this.scoreText(history[i].content);
+      if (historical.length > 0) {
+        result = { brands: historical, source: 'history' };
+      }
+    }
+    
+    if (result) {
+      return { brand: result.brands[0].name, ...result };
     }
     
-    // Return last detected brand if available
-    return this.lastDetectedBrand;
+    // Fall back to the brands detected earlier in this session, then the default brand
+    if (state.previous?.brands?.length > 0) {
+      return { brand: state.previous.brands[0].name, brands: state.previous.brands, source: 'previous' };
+    }
+    const fallback = this.getDefaultBrand(state.user);
+    return fallback ? this.fixedBrand(fallback, 'default') : { brand: null, brands: [], source: null };
   }
   
   /**
-   * Detect brand from text content
+   * Default brand for a user (brands.userDefaults), or for everyone (brands.default)
+   * @param {string} [user] - User ID
+   * @returns {string|null} - Brand name or null
+   */
+  getDefaultBrand(user) {
+    const name = (user && this.userDefaults?.[user]) || this.defaultBrand;
+    return this.registry.getBrand(name)?.name ?? null;
+  }
+  
+  /**
+   * Detection result for a brand that was chosen rather than detected
+   */
+  fixedBrand(name, source) {
+    return { brand: name, brands: [{ name, confidence: 1, matches: [{ term: name, type: source }] }], source };
+  }
+  
+  /**
+   * Score every brand mentioned in a text
    * @param {string} text - Text to analyze
-   * @returns {string|null} - Detected brand name or null
+   * @returns {Array<Object>} - [{ name, confidence, matches }] at or above minConfidence,
+   *   highest confidence first (earliest mention breaks ties)
    */
-  detectFromText(text) {
+  scoreText(text) {
     const lowerText = text.toLowerCase();
+    const words = tokenize(text);
+    const results = [];
     
-    for (const [key, brand] of Object.entries(this.brands)) {
-      // Check for brand keywords
-      for (const keyword of brand.keywords) {
-        if (lowerText.includes(keyword)) {
-          return brand.name;
+    for (const brand of Object.values(this.brands)) {
+      const matches = [];
+      let firstAt = Infinity;
+      const match = (term, type) => {
+        const at = findPhrase(words, term);
+        if (at !== -1) {
+          matches.push({ term, type });
+          firstAt = Math.min(firstAt, at);
         }
-      }
+      };
       
-      // Check for domain mentions
+      match(brand.name, 'name');
+      for (const alias of brand.aliases) {
+        match(alias, alias.replace(/\s/g, '').length <= 3 ? 'shortAlias' : 'alias');
+      }
+      for (const keyword of brand.keywords) {
+        match(keyword, 'keyword');
+      }
       for (const domain of brand.domains) {
-        if (lowerText.includes(domain)) {
-          return brand.name;
+        const at = lowerText.search(new RegExp(`(^|[^a-z0-9.-])${domain.toLowerCase().replace(/\./g, '\\.')}\\b`));
+        if (at !== -1) {
+          matches.push({ term: domain, type: 'domain' });
+          firstAt = Math.min(firstAt, tokenize(lowerText.slice(0, at)).length);
         }
       }
+      
+      if (matches.length === 0) {
+        continue;
+      }
+      
+      // Independent hints add up: 1 - (1 - w1)(1 - w2)...
+      const confidence = 1 - matches.reduce((remaining, { type }) => remaining * (1 - MATCH_WEIGHTS[type]), 1);
+      if (confidence >= this.minConfidence) {
+        results.push({ name: brand.name, confidence: Math.round(confidence * 100) / 100, matches, firstAt });
+      }
     }
     
-    return null;
+    return results
+      .sort((a, b) => b.confidence - a.confidence || a.firstAt - b.firstAt)
+      .map(({ firstAt, ...result }) => result);
   }
   
   /**
-   * Get brand information
-   * @param {string} brandName - Brand name
+   * Detect the most likely brand in a text
+   * @param {string} text - Text to analyze
+   * @returns {string|null} - Detected brand name or null
+   */
+  detectFromText(text) {
+    return this.scoreText(text)[0]?.name ?? null;
+  }
+  
+  /**
+   * Ask the LLM which brands an ambiguous message is about
+   * @param {string} message - User message
+   * @param {Array<Object>} candidates - Weak keyword matches, passed along as hints
+   * @returns {Promise<Array<Object>|null>} - Ranked brands (empty when it is about none),
+   *   or null when the LLM is unavailable or fails
+   */
+  async classifyWithLLM(message, candidates = []) {
+    if (!this.llmManager || !this.useLLM) {
+      return null;
+    }
+    
+    const brands = Object.values(this.brands);
+    const descriptions = brands.map(brand =>
+      `- ${brand.name}${brand.keywords.length > 0 ? ` (${brand.keywords.join(', ')})` : ''}`
+    );
+    let timer;
+    try {
+      const reply = await Promise.race([
+        this.llmManager.generateResponse([
+          {
+            role: 'system',
+            content: 'Which of these brands is the message about?\n' + descriptions.join('\n') +
+              '\nReply with the brand names, most relevant first, separated by commas, or "none" ' +
+              'if the message is not about a specific brand.' +
+              (candidates.length > 0 ? `\nKeyword hints: ${candidates.map(c => c.name).join(', ')}.` : '')
+          },
+          { role: 'user', content: message }
+        ]),
+        new Promise((_, reject) => {
+          timer = setTimeout(() => reject(new Error(`No answer within ${this.llmTimeoutMs}ms`)), this.llmTimeoutMs);
+        })
+      ]);
+      
+      const named = reply.split(/[,\n]/)
+        .map(name => this.registry.getBrand(name.trim().replace(/^[-*\s]+|[.\s]+$/g, '')))
+        .filter(Boolean);
+      const unique = [...new Set(named.map(brand => brand.name))];
+      return unique.map(name => ({ name, confidence: this.confidentScore, matches: [{ term: name, type: 'llm' }] }));
+    } catch (error) {
+      logger.warning('Could not classify the brand with the LLM', { error: error.message });
+      return null;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  
+  /**
+   * Get brand information, including its integration scopes
+   * @param {string} brandName - Brand name or alias
    * @returns {Object|null} - Brand info or null
    */
   getBrandInfo(brandName) {
-    for (const brand of Object.values(this.brands)) {
-      if (brand.name === brandName) {
-        return brand;
-      }
-    }
-    return null;
+    return this.registry.getBrand(brandName);
   }
   
   /**
@@ -112,11 +278,4 @@ export class BrandDetector {
   getAllBrands() {
     return Object.values(this.brands).map(b => b.name);
   }
-  
-  /**
-   * Clear the last detected brand (useful for new conversations)
-   */
-  clearContext() {
-    this.lastDetectedBrand = null;
-  }
 }
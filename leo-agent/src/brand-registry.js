@@ -0,0 +1,190 @@
+/**
+ * Brand Registry
+ * Loads the brands from config/brands.json (brands.file): how each brand is
+ * recognized (aliases, keywords, domains) and what it maps to in each integration
+ * (Jira projects, Confluence spaces, Google Drive folders, GitHub repos), so
+ * searches can be narrowed to the brand being asked about.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Integration -> the scope list each brand may declare for it
+export const INTEGRATION_SCOPES = {
+  jira: 'projects',
+  confluence: 'spaces',
+  googleDrive: 'folders',
+  github: 'repos'
+};
+
+/**
+ * Validate and normalize one brand declaration
+ * @returns {Object} - { brand, problems }
+ */
+function normalizeBrand(key, declared) {
+  const problems = [];
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+  
+  if (!declared || typeof declared !== 'object' || Array.isArray(declared)) {
+    return { brand: null, problems: [`brands.${key} must be an object`] };
+  }
+  if (typeof declared.name !== 'string' || declared.name.trim() === '') {
+    problems.push(`brands.${key}.name must be a non-empty string`);
+  }
+  for (const list of ['aliases', 'keywords', 'domains']) {
+    if (declared[list] !== undefined && !isStringArray(declared[list])) {
+      problems.push(`brands.${key}.${list} must be an array of strings`);
+    }
+  }
+  for (const [integration, scope] of Object.entries(INTEGRATION_SCOPES)) {
+    const value = declared[integration]?.[scope];
+    if (declared[integration] !== undefined && value !== undefined && !isStringArray(value)) {
+      problems.push(`brands.${key}.${integration}.${scope} must be an array of strings`);
+    }
+  }
+  if (problems.length > 0) {
+    return { brand: null, problems };
+  }
+  
+  const brand = {
+    key,
+    name: declared.name,
+    aliases: declared.aliases || [],
+    keywords: declared.keywords || [],
+    domains: declared.domains || []
+  };
+  for (const [integration, scope] of Object.entries(INTEGRATION_SCOPES)) {
+    brand[integration] = { [scope]: declared[integration]?.[scope] || [] };
+  }
+  return { brand, problems };
+}
+
+export class BrandRegistry {
+  /**
+   * @param {Object} options
+   * @param {string} [options.path] - Brands file (defaults to brands.file, relative to the project root)
+   * @param {Object} [options.brands] - Brand declarations to use instead of reading the file
+   */
+  constructor(options = {}) {
+    this.path = path.resolve(__dirname, '..', options.path ?? config.get('brands.file') ?? 'config/brands.json');
+    this.brands = {};
+    this.errors = [];
+    
+    if (options.brands) {
+      this.setBrands(options.brands);
+    } else {
+      this.load();
+    }
+  }
+  
+  /**
+   * Read and validate the brands file. Invalid brands are left out and reported in errors.
+   */
+  load() {
+    let declared = {};
+    try {
+      declared = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      this.brands = {};
+      this.errors = [`Could not load ${this.path}: ${error.message}`];
+      logger.warning('Could not load the brand registry', { path: this.path, error: error.message });
+      return;
+    }
+    
+    this.setBrands(declared);
+    for (const error of this.errors) {
+      logger.warning(`Invalid brand: ${error}`);
+    }
+  }
+  
+  /**
+   * Replace the brands with validated declarations
+   * @param {Object} declared - Brand declarations keyed by brand key
+   */
+  setBrands(declared) {
+    this.brands = {};
+    this.errors = [];
+    for (const [key, value] of Object.entries(declared || {})) {
+      const { brand, problems } = normalizeBrand(key, value);
+      if (brand) {
+        this.brands[key] = brand;
+      }
+      this.errors.push(...problems);
+    }
+  }
+  
+  /**
+   * Find a brand by key, name or alias (case-insensitive)
+   * @param {string|null} nameOrAlias - Brand key, name or alias
+   * @returns {Object|null} - Brand or null
+   */
+  getBrand(nameOrAlias) {
+    if (!nameOrAlias) {
+      return null;
+    }
+    const wanted = nameOrAlias.toLowerCase();
+    return Object.values(this.brands).find(brand =>
+      brand.key.toLowerCase() === wanted ||
+      brand.name.toLowerCase() === wanted ||
+      brand.aliases.some(alias => alias.toLowerCase() === wanted)
+    ) || null;
+  }
+  
+  /**
+   * What a brand maps to in an integration
+   * @param {string|null} brandName - Brand name (or key / alias)
+   * @param {string} integration - jira, confluence, googleDrive or github
+   * @returns {Array<string>} - Project keys, space keys, folder IDs or "owner/repo" names
+   */
+  getScopes(brandName, integration) {
+    const brand = this.getBrand(brandName);
+    return brand ? brand[integration][INTEGRATION_SCOPES[integration]] : [];
+  }
+  
+  /**
+   * Every brand's scopes in an integration, for brands that have any
+   * @param {string} integration - jira, confluence, googleDrive or github
+   * @returns {Object} - Brand name -> scopes
+   */
+  getScopeMap(integration) {
+    const map = {};
+    for (const brand of Object.values(this.brands)) {
+      const scopes = brand[integration][INTEGRATION_SCOPES[integration]];
+      if (scopes.length > 0) {
+        map[brand.name] = scopes;
+      }
+    }
+    return map;
+  }
+  
+  /**
+   * Every brand's scopes in an integration, with a settings map (brand name -> scope
+   * or scopes, e.g. jira.projects) layered on top
+   * @param {string} integration - jira, confluence, googleDrive or github
+   * @param {Object} overrides - Brand name -> string or array from settings
+   * @returns {Object} - Brand name -> scopes
+   */
+  mergeScopeMap(integration, overrides = {}) {
+    const map = this.getScopeMap(integration);
+    for (const [name, scopes] of Object.entries(overrides || {})) {
+      map[this.getBrand(name)?.name || name] = [].concat(scopes);
+    }
+    return map;
+  }
+  
+  /**
+   * All brands
+   * @returns {Array<Object>}
+   */
+  getAll() {
+    return Object.values(this.brands);
+  }
+}
+
+// Shared registry, loaded once from the brands file
+export const brandRegistry = new BrandRegistry();
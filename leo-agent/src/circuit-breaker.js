@@ -0,0 +1,232 @@
+/**
+ * Circuit Breaker
+ * Stops calling an MCP tool that keeps failing. After failureThreshold consecutive
+ * failures its circuit opens: calls fail fast with a "service degraded" result
+ * while a background probe checks the tool every probeIntervalMs (backing off
+ * to maxProbeIntervalMs). A successful probe closes the circuit again.
+ *
+ *   closed --failures--> open --probe--> half_open --ok--> closed
+ *                         ^                  |
+ *                         +-----failed-------+
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+export const CIRCUIT_STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - Overrides for the mcp.circuitBreaker settings
+   * @param {Function} [options.probe] - async (key) => true when the tool works again;
+   *   without one, an open circuit closes after probeIntervalMs
+   */
+  constructor(options = {}) {
+    const setting = (name, fallback) => options[name] ?? config.get(`mcp.circuitBreaker.${name}`) ?? fallback;
+    this.enabled = setting('enabled', true);
+    this.failureThreshold = setting('failureThreshold', 5);
+    this.probeIntervalMs = setting('probeIntervalMs', 30000);
+    this.maxProbeIntervalMs = setting('maxProbeIntervalMs', 300000);
+    this.probe = options.probe || null;
+    
+    // Circuit per "server.tool" key
+    this.circuits = new Map();
+  }
+  
+  /**
+   * Get (or create) the circuit for a key
+   */
+  getCircuit(key) {
+    if (!this.circuits.has(key)) {
+      this.circuits.set(key, {
+        state: CIRCUIT_STATES.CLOSED,
+        failures: 0,
+        openedAt: null,
+        nextProbeAt: null,
+        probeIntervalMs: this.probeIntervalMs,
+        timer: null
+      });
+    }
+    return this.circuits.get(key);
+  }
+  
+  /**
+   * Whether calls to a tool should go through (only while its circuit is closed)
+   * @param {string} key - "server.tool"
+   * @returns {boolean}
+   */
+  allowRequest(key) {
+    if (!this.enabled) {
+      return true;
+    }
+    const circuit = this.circuits.get(key);
+    return !circuit || circuit.state === CIRCUIT_STATES.CLOSED;
+  }
+  
+  /**
+   * Record a successful call
+   */
+  recordSuccess(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit) {
+      return;
+    }
+    
+    if (circuit.state === CIRCUIT_STATES.CLOSED) {
+      circuit.failures = 0;
+    } else {
+      this.close(key);
+    }
+  }
+  
+  /**
+   * Record a failed call, opening the circuit at failureThreshold consecutive failures
+   */
+  recordFailure(key) {
+    if (!this.enabled) {
+      return;
+    }
+    
+    const circuit = this.getCircuit(key);
+    if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+      return;
+    }
+    
+    circuit.failures++;
+    if (circuit.failures >= this.failureThreshold) {
+      this.open(key);
+    }
+  }
+  
+  /**
+   * Open a circuit and schedule the first probe
+   */
+  open(key) {
+    const circuit = this.getCircuit(key);
+    circuit.state = CIRCUIT_STATES.OPEN;
+    circuit.openedAt = Date.now();
+    this.scheduleProbe(key, circuit);
+    
+    logger.warning(`Circuit opened for ${key}, calls fail fast until it recovers`, {
+      tool: key,
+      failures: circuit.failures,
+      nextProbeInMs: circuit.probeIntervalMs
+    });
+  }
+  
+  /**
+   * Close a circuit (the tool works again)
+   */
+  close(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit) {
+      return;
+    }
+    
+    clearTimeout(circuit.timer);
+    this.circuits.delete(key);
+    logger.info(`Circuit closed for ${key}`, {
+      tool: key,
+      downForMs: circuit.openedAt ? Date.now() - circuit.openedAt : 0
+    });
+  }
+  
+  /**
+   * Probe the tool after the circuit's current probe interval
+   */
+  scheduleProbe(key, circuit) {
+    clearTimeout(circuit.timer);
+    circuit.nextProbeAt = Date.now() + circuit.probeIntervalMs;
+    circuit.timer = setTimeout(() => this.runProbe(key), circuit.probeIntervalMs);
+    circuit.timer.unref();
+  }
+  
+  /**
+   * Check whether an open circuit's tool works again. Calls stay blocked
+   * (half-open) while the probe runs; a failed probe doubles the interval.
+   */
+  async runProbe(key) {
+    const circuit = this.circuits.get(key);
+    if (!circuit || circuit.state !== CIRCUIT_STATES.OPEN) {
+      return;
+    }
+    
+    circuit.state = CIRCUIT_STATES.HALF_OPEN;
+    circuit.timer = null;
+    
+    let healthy;
+    try {
+      healthy = this.probe ? await this.probe(key) : true;
+    } catch (error) {
+      healthy = false;
+    }
+    
+    // Closed (or reset) while the probe ran
+    if (this.circuits.get(key) !== circuit || circuit.state !== CIRCUIT_STATES.HALF_OPEN) {
+      return;
+    }
+    
+    if (healthy) {
+      this.close(key);
+      return;
+    }
+    
+    circuit.state = CIRCUIT_STATES.OPEN;
+    circuit.probeIntervalMs = Math.min(circuit.probeIntervalMs * 2, this.maxProbeIntervalMs);
+    this.scheduleProbe(key, circuit);
+    logger.info(`${key} is still failing, probing again in ${circuit.probeIntervalMs}ms`, { tool: key });
+  }
+  
+  /**
+   * Result returned instead of calling a tool whose circuit is open
+   * @param {string} key - "server.tool"
+   * @returns {Object} - SERVICE_DEGRADED error
+   */
+  degradedResult(key) {
+    const circuit = this.getCircuit(key);
+    const since = new Date(circuit.openedAt).toISOString();
+    
+    return {
+      error: 'SERVICE_DEGRADED',
+      tool: key,
+      message: `${key} is failing repeatedly and is skipped until it recovers`,
+      since,
+      retryAfterMs: Math.max((circuit.nextProbeAt || 0) - Date.now(), 0),
+      summary: `${key} has been failing since ${since}, so Leo skipped it. ` +
+        'It is checked in the background and used again as soon as it responds.'
+    };
+  }
+  
+  /**
+   * Circuits that are not closed, for status reporting
+   * @returns {Object} - { [key]: { state, failures, since, nextProbeAt } }
+   */
+  getStates() {
+    const states = {};
+    for (const [key, circuit] of this.circuits) {
+      if (circuit.state !== CIRCUIT_STATES.CLOSED) {
+        states[key] = {
+          state: circuit.state,
+          failures: circuit.failures,
+          since: new Date(circuit.openedAt).toISOString(),
+          nextProbeAt: circuit.nextProbeAt ? new Date(circuit.nextProbeAt).toISOString() : null
+        };
+      }
+    }
+    return states;
+  }
+  
+  /**
+   * Cancel pending probes and forget all circuits
+   */
+  stop() {
+    for (const circuit of this.circuits.values()) {
+      clearTimeout(circuit.timer);
+    }
+    this.circuits.clear();
+  }
+}
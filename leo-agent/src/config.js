@@ -1,56 +1,375 @@
 /**
  * Configuration Manager
  * Handles all configuration settings for Leo Agent
+ *
+ * settings.json can be reloaded while Leo runs (see watch): a change that isn't
+ * valid JSON, gives a setting the wrong type or breaks an MCP server declaration
+ * is rejected and the current settings are kept. Listeners are told about accepted changes with a 'reload' event.
  */
 
 import fs from 'fs';
 import path from 'path';
+import { EventEmitter } from 'events';
 import { fileURLToPath } from 'url';
+import { FileWatcher } from './file-watcher.js';
+import { logger } from './logger.js';
+// mcp-registry reads config only when called, so this import cycle is safe
+import { validateServer } from './mcp-registry.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-class Config {
+/**
+ * Describe a setting's type for validation messages
+ */
+function typeOf(value) {
+  if (value === null) {
+    return 'null';
+  }
+  return Array.isArray(value) ? 'array' : typeof value;
+}
+
+class Config extends EventEmitter {
   constructor() {
+    super();
     this.configPath = path.join(__dirname, '..', 'config', 'settings.json');
     this.settings = this.loadSettings();
   }
   
   /**
-   * Load settings from file or create default
+   * Load settings from file (merged over the defaults) or create default
    */
   loadSettings() {
     try {
       if (fs.existsSync(this.configPath)) {
         const data = fs.readFileSync(this.configPath, 'utf8');
-        return JSON.parse(data);
+        return this.mergeSettings(this.getDefaults(), JSON.parse(data));
       }
     } catch (error) {
       console.warn('Could not load settings.json, using defaults');
     }
     
-    // Default settings
+    return this.getDefaults();
+  }
+  
+  /**
+   * Re-read settings.json. A file that can't be parsed, has settings of the wrong
+   * type or declares a broken MCP server is rejected: the current settings are kept
+   * and the problems are logged.
+   * @returns {Object} - { reloaded, errors }
+   */
+  reload() {
+    let saved = {};
+    try {
+      if (fs.existsSync(this.configPath)) {
+        saved = JSON.parse(fs.readFileSync(this.configPath, 'utf8'));
+      }
+    } catch (error) {
+      return this.rejectReload([`Could not parse ${path.basename(this.configPath)}: ${error.message}`]);
+    }
+    
+    const errors = typeOf(saved) === 'object'
+      ? this.validateSettings(saved)
+      : [`${path.basename(this.configPath)} must contain an object`];
+    const merged = errors.length === 0 ? this.mergeSettings(this.getDefaults(), saved) : null;
+    if (merged) {
+      errors.push(...this.validateServers(saved.mcp?.servers, merged.mcp.servers));
+    }
+    if (errors.length > 0) {
+      return this.rejectReload(errors);
+    }
+    
+    this.settings = merged;
+    logger.info('Reloaded settings', { path: this.configPath });
+    this.emit('reload', this.settings);
+    return { reloaded: true, errors: [] };
+  }
+  
+  /**
+   * Log a rejected settings change
+   */
+  rejectReload(errors) {
+    logger.warning('Rejected settings change, keeping the current settings', { path: this.configPath, errors });
+    return { reloaded: false, errors };
+  }
+  
+  /**
+   * Check saved settings against the types of the defaults. Settings without a
+   * default (or whose default is null) can hold anything.
+   * @param {Object} saved - Settings from settings.json
+   * @param {Object} [defaults] - Defaults to compare with
+   * @param {string} [prefix] - Dotted path of the settings being checked
+   * @returns {Array<string>} - Problems, e.g. "llm.maxTokens must be a number (got string)"
+   */
+  validateSettings(saved, defaults = this.getDefaults(), prefix = '') {
+    const errors = [];
+    
+    for (const [key, value] of Object.entries(saved)) {
+      const base = defaults[key];
+      if (base === undefined || base === null) {
+        continue;
+      }
+      const name = prefix + key;
+      if (name === 'mcp.servers') {
+        // Declarations vary by server and transport; validateServers checks them
+        continue;
+      }
+      if (typeOf(value) !== typeOf(base)) {
+        const expected = typeOf(base);
+        errors.push(`${name} must be ${/^[aeiou]/.test(expected) ? 'an' : 'a'} ${expected} (got ${typeOf(value)})`);
+      } else if (typeOf(base) === 'object') {
+        errors.push(...this.validateSettings(value, base, `${name}.`));
+      }
+    }
+    
+    return errors;
+  }
+  
+  /**
+   * Check the MCP servers settings.json declares or changes, as merged over the
+   * defaults, with the same rules the MCP registry applies at startup
+   * @param {Object} [saved] - mcp.servers from settings.json
+   * @param {Object} merged - mcp.servers merged over the defaults
+   * @returns {Array<string>} - Problems, e.g. "mcp.servers.x.transport must be one of stdio, sse, http"
+   */
+  validateServers(saved, merged) {
+    if (saved === undefined) {
+      return [];
+    }
+    if (typeOf(saved) !== 'object') {
+      return [`mcp.servers must be an object (got ${typeOf(saved)})`];
+    }
+    
+    return Object.keys(saved).flatMap(key => typeOf(merged[key]) === 'object'
+      ? validateServer(key, merged[key])
+      : [`mcp.servers.${key} must be an object`]);
+  }
+  
+  /**
+   * Reload settings.json whenever it changes
+   * @param {Object} [options] - { debounceMs }
+   * @returns {FileWatcher} - Call close() to stop watching
+   */
+  watch(options = {}) {
+    return new FileWatcher(this.configPath, () => this.reload(), options).start();
+  }
+  
+  /**
+   * Deep-merge saved settings over defaults, so settings.json only needs the
+   * values it changes. Arrays and scalars replace; objects merge.
+   * @param {Object} defaults - Default settings
+   * @param {Object} overrides - Saved settings
+   * @returns {Object} - Merged settings
+   */
+  mergeSettings(defaults, overrides) {
+    const merged = { ...defaults };
+    
+    for (const [key, value] of Object.entries(overrides || {})) {
+      const base = defaults[key];
+      const bothObjects = value && base && typeof value === 'object' && typeof base === 'object' &&
+        !Array.isArray(value) && !Array.isArray(base);
+      merged[key] = bothObjects ? this.mergeSettings(base, value) : value;
+    }
+    
+    return merged;
+  }
+  
+  /**
+   * Default settings
+   */
+  getDefaults() {
     return {
       llm: {
         provider: 'openai',
         model: 'gpt-4o-mini',
         maxTokens: 2000,
-        temperature: 0.7
+        temperature: 0.7,
+        local: {
+          toolCalling: false,
+          // How long the models a local server reports are reused for a bare "local" fallback
+          discoveryTtlMs: 60000
+        },
+        // Tried in order after the primary provider on rate limits / server errors
+        fallbackChain: [],
+        retry: {
+          maxRetries: 2,
+          baseDelayMs: 1000,
+          maxDelayMs: 8000
+        }
+      },
+      agent: {
+        toolCalling: true,
+        maxToolSteps: 5
+      },
+      context: {
+        maxRecentMessages: 20,
+        keepRecentMessages: 10,
+        memoryMaxTokens: 600,
+        safetyMarginTokens: 500
+      },
+      api: {
+        port: 3000,
+        host: '127.0.0.1',
+        maxBodyBytes: 1048576
+      },
+      storage: {
+        type: 'file',
+        path: 'data/sessions'
+      },
+      // Tool response times and failures, used to suggest timeouts
+      metrics: {
+        enabled: true,
+        path: 'data/metrics/timeout-metrics.json',
+        historyPath: 'data/metrics/timeout-metrics-history.jsonl',
+        saveIntervalMs: 60000,
+        snapshotIntervalHours: 24,
+        halfLifeHours: 72,
+        maxAgeDays: 14
+      },
+      // Names and roles by user ID (Slack member ID, or the session ID elsewhere),
+      // for prompt templates: { "U04ANA": { "name": "Ana", "role": "Product lead" } }
+      prompts: {
+        users: {},
+        // Every saved prompt is kept here as a numbered version
+        versionsPath: 'data/prompt-versions'
       },
       brands: {
+        // Brand definitions: aliases, keywords, domains and per-integration scopes
+        file: 'config/brands.json',
+        // Brand assumed when a conversation names none: per user ID, then for everyone
         default: null,
-        detectFromMessage: true
+        userDefaults: {},
+        detectFromMessage: true,
+        // Brands scoring below minConfidence are ignored (a single generic keyword scores 0.4);
+        // when the best one scores below confidentScore the LLM classifies the message (useLLM, llmTimeoutMs)
+        minConfidence: 0.5,
+        confidentScore: 0.8,
+        useLLM: true,
+        llmTimeoutMs: 3000
+      },
+      // Known Jira fields used to write and validate JQL. Project keys come from
+      // config/brands.json (projects here overrides them); users maps names to account IDs.
+      jira: {
+        projects: {},
+        issueTypes: ['Bug', 'Story', 'Task', 'Epic', 'Sub-task'],
+        statuses: ['To Do', 'In Progress', 'In Review', 'Done'],
+        priorities: ['Highest', 'High', 'Medium', 'Low', 'Lowest'],
+        priorityAliases: { P1: 'Highest', P2: 'High', P3: 'Medium', P4: 'Low', P5: 'Lowest' },
+        users: {},
+        maxResults: 10,
+        // Translate questions with the LLM (rule-based when off or when it fails)
+        useLLM: true,
+        llmTimeoutMs: 5000
+      },
+      // Parent pages (title -> page ID) and labels used to write and validate CQL.
+      // Spaces come from config/brands.json (spaces here overrides them).
+      confluence: {
+        spaces: {},
+        pages: {},
+        labels: [],
+        maxResults: 10,
+        useLLM: true,
+        llmTimeoutMs: 5000
       },
       mcp: {
         enabled: true,
+        // Overall time budget for gathering data from all selected sources
+        gatherDeadlineMs: 25000,
+        // Stop calling a tool after failureThreshold consecutive failures and probe
+        // it every probeIntervalMs (doubling up to maxProbeIntervalMs) until it recovers
+        circuitBreaker: {
+          enabled: true,
+          failureThreshold: 5,
+          probeIntervalMs: 30000,
+          maxProbeIntervalMs: 300000
+        },
+        // Restart stdio servers that exit, waiting initialBackoffMs (doubling up to maxBackoffMs)
+        supervisor: {
+          enabled: true,
+          initialBackoffMs: 1000,
+          maxBackoffMs: 60000
+        },
+        // Each server: command, args, env (supports ${VAR}, ${A|B} and ${VAR:-default}),
+        // enabled (true, false or a ${VAR} reference that enables the server when set),
+        // timeouts (connect, listTools, request, call) and an optional tools allow-list.
+        // Override per machine with MCP_<SERVER>_COMMAND / _ARGS / _ENABLED env vars.
         servers: {
-          jira: { enabled: true },
-          confluence: { enabled: true },
-          googleDrive: { enabled: true },
-          github: { enabled: true },
-          intercom: { enabled: true }
+          atlassian: {
+            name: 'Atlassian (Jira/Confluence)',
+            command: 'mcp-atlassian',
+            args: [],
+            enabled: true,
+            env: {
+              CONFLUENCE_URL: '${CONFLUENCE_URL|ATLASSIAN_URL:-https://truefirestudios.atlassian.net/wiki}',
+              CONFLUENCE_USERNAME: '${CONFLUENCE_USERNAME|ATLASSIAN_EMAIL|JIRA_EMAIL}',
+              CONFLUENCE_API_TOKEN: '${CONFLUENCE_API_TOKEN|ATLASSIAN_API_TOKEN|JIRA_API_TOKEN}',
+              JIRA_URL: '${JIRA_URL|ATLASSIAN_URL:-https://truefirestudios.atlassian.net}',
+              JIRA_USERNAME: '${JIRA_USERNAME|ATLASSIAN_EMAIL|JIRA_EMAIL}',
+              JIRA_API_TOKEN: '${JIRA_API_TOKEN|ATLASSIAN_API_TOKEN}'
+            },
+            timeouts: {
+              connect: 10000,
+              listTools: 5000,
+              request: 20000
+            }
+          },
+          googleDrive: {
+            name: 'Google Drive',
+            command: 'npx',
+            args: ['-y', '@chinchillaenterprises/mcp-google-drive'],
+            enabled: true,
+            env: {
+              GOOGLE_CLIENT_ID: '${GOOGLE_CLIENT_ID}',
+              GOOGLE_CLIENT_SECRET: '${GOOGLE_CLIENT_SECRET}',
+              GOOGLE_REFRESH_TOKEN: '${GOOGLE_REFRESH_TOKEN}'
+            },
+            timeouts: {
+              connect: 10000,
+              listTools: 5000,
+              request: 20000
+            }
+          },
+          github: {
+            name: 'GitHub',
+            transport: 'http',
+            url: 'https://api.githubcopilot.com/mcp/',
+            // Only connect when there is a token to authenticate with
+            enabled: '${GITHUB_TOKEN|GITHUB_PERSONAL_ACCESS_TOKEN}',
+            headers: {
+              Authorization: 'Bearer ${GITHUB_TOKEN|GITHUB_PERSONAL_ACCESS_TOKEN}'
+            },
+            timeouts: {
+              connect: 10000,
+              listTools: 5000,
+              request: 20000
+            },
+            tools: ['list_pull_requests', 'list_issues', 'list_tags', 'list_releases', 'list_commits']
+          }
         }
       },
+      intercom: {
+        enabled: true,
+        baseUrl: 'https://api.intercom.io',
+        // Brand name -> { token, appId }; tokens support ${VAR} references. "default" is used
+        // for brands without their own workspace
+        workspaces: {
+          default: { token: '${INTERCOM_ACCESS_TOKEN}' }
+        },
+        lookbackDays: 30,
+        maxConversations: 50
+      },
+      github: {
+        // Brand name -> ["owner/repo", ...]; "default" is used when no brand is detected
+        repos: {},
+        lookbackDays: 7,
+        perPage: 20
+      },
+      // Reload prompts/ and config/settings.json when they change, once edits have
+      // paused for debounceMs. Broken edits are rejected and logged.
+      hotReload: {
+        enabled: true,
+        debounceMs: 300
+      },
       logging: {
         level: 'info',
         file: 'leo-agent.log'
@@ -124,7 +443,7 @@ class Config {
    * Reset to default settings
    */
   reset() {
-    this.settings = this.loadSettings();
+    this.settings = this.getDefaults();
     this.save();
   }
   
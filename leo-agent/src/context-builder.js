@@ -0,0 +1,185 @@
+/**
+ * Context Builder
+ * Fits the system prompt, conversation memory, MCP data and recent turns into the
+ * model's context window, summarizing older turns into a running memory instead
+ * of silently dropping them
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const SUMMARY_PROMPT = `You maintain the running memory of a conversation between a product team member and Leo, an AI Product Manager assistant.
+Merge the existing memory with the new conversation turns into an updated memory.
+Keep decisions, commitments, open questions, brands, project names, ticket keys, dates and numbers.
+Drop small talk and anything superseded by later turns.
+Write concise bullet points, no more than {maxWords} words in total. Reply with the memory only.`;
+
+export class ContextBuilder {
+  /**
+   * @param {LLMManager} llmManager - Used to estimate tokens and to write summaries
+   */
+  constructor(llmManager) {
+    this.llmManager = llmManager;
+  }
+  
+  /**
+   * Get context settings, with defaults
+   */
+  getSettings() {
+    return {
+      // Evict (and summarize) once history grows past this many messages...
+      maxRecentMessages: config.get('context.maxRecentMessages') ?? 20,
+      // ...down to this many, so summarization runs every few turns rather than every turn
+      keepRecentMessages: config.get('context.keepRecentMessages') ?? 10,
+      memoryMaxTokens: config.get('context.memoryMaxTokens') ?? 600,
+      // Headroom for estimation error and message framing
+      safetyMarginTokens: config.get('context.safetyMarginTokens') ?? 500
+    };
+  }
+  
+  /**
+   * Build the messages for the next LLM call. Turns that no longer fit are
+   * summarized into session.memory and removed from session.history.
+   * @param {Object} params
+   * @param {string} params.systemPrompt - System prompt
+   * @param {Object} params.session - Conversation session (history and memory are updated in place)
+   * @param {string} params.userContent - Current user message, possibly enriched with MCP data
+   * @returns {Promise<Array>} - Messages ready for the LLM
+   */
+  async build({ systemPrompt, session, userContent }) {
+    const settings = this.getSettings();
+    const budget = await this.getInputBudget(settings);
+    
+    // Reserve the memory's maximum size so a growing summary never pushes us over
+    const systemTokens = this.countTokens(systemPrompt) + settings.memoryMaxTokens;
+    let userTokens = this.countTokens(userContent);
+    
+    if (systemTokens + userTokens > budget) {
+      userContent = this.truncateToFit(userContent, budget - systemTokens);
+      userTokens = this.countTokens(userContent);
+      logger.warning('Message with MCP data truncated to fit the context window', {
+        budget,
+        systemTokens
+      });
+    }
+    
+    // Keep the most recent turns that fit in what is left
+    const history = session.history;
+    const historyBudget = budget - systemTokens - userTokens;
+    let keepFrom = history.length;
+    let used = 0;
+    
+    while (keepFrom > 0) {
+      const cost = this.countTokens(history[keepFrom - 1].content);
+      if (used + cost > historyBudget) break;
+      used += cost;
+      keepFrom--;
+    }
+    
+    if (history.length > settings.maxRecentMessages) {
+      keepFrom = Math.max(keepFrom, history.length - settings.keepRecentMessages);
+    }
+    
+    // Start the recent window on a user turn so it never opens with an orphaned reply
+    while (keepFrom < history.length && history[keepFrom].role !== 'user') {
+      keepFrom++;
+    }
+    
+    if (keepFrom > 0) {
+      const evicted = history.splice(0, keepFrom);
+      session.memory = await this.summarize(session.memory, evicted, settings);
+    }
+    
+    return [
+      { role: 'system', content: this.withMemory(systemPrompt, session.memory) },
+      ...history.map(({ role, content }) => ({ role, content })),
+      { role: 'user', content: userContent }
+    ];
+  }
+  
+  /**
+   * Tokens available for the prompt: the context window minus room for the answer.
+   * Uses the smallest window in the fallback chain so a fallback to a smaller
+   * (e.g. local) model still fits.
+   */
+  async getInputBudget(settings) {
+    const contextWindow = await this.llmManager.getChainContextWindow();
+    return contextWindow - this.llmManager.maxTokens - settings.safetyMarginTokens;
+  }
+  
+  /**
+   * Estimate tokens for a piece of text
+   */
+  countTokens(text) {
+    return this.llmManager.estimateTokens([{ role: 'user', content: text || '' }]);
+  }
+  
+  /**
+   * Append the conversation memory block to the system prompt
+   */
+  withMemory(systemPrompt, memory) {
+    if (!memory) {
+      return systemPrompt;
+    }
+    return `${systemPrompt}\n\n## Conversation Memory\nSummary of earlier parts of this conversation:\n${memory}`;
+  }
+  
+  /**
+   * Cut text down to roughly the given number of tokens, keeping the beginning
+   * (the user's question and the first part of the data)
+   */
+  truncateToFit(text, maxTokens) {
+    if (this.countTokens(text) <= maxTokens) {
+      return text;
+    }
+    
+    const notice = '\n\n[... remaining data truncated to fit the context window ...]';
+    // Scale only the text part of the estimate, so the result (notice included) stays within maxTokens
+    const framing = this.countTokens('');
+    const ratio = Math.max(maxTokens - framing, 0) / Math.max(this.countTokens(text) - framing, 1);
+    const keepChars = Math.max(Math.floor(text.length * ratio) - notice.length, 0);
+    return text.slice(0, keepChars) + notice;
+  }
+  
+  /**
+   * Fold evicted turns into the running memory using the LLM
+   * @param {string|null} memory - Existing memory
+   * @param {Array} turns - Turns being evicted from history
+   * @param {Object} settings - Context settings
+   * @returns {Promise<string>} - Updated memory
+   */
+  async summarize(memory, turns, settings) {
+    const transcript = turns
+      .map(turn => `${turn.role === 'user' ? 'User' : 'Leo'}: ${turn.content}`)
+      .join('\n\n');
+    const maxWords = Math.floor(settings.memoryMaxTokens * 0.7);
+    
+    try {
+      const summary = await this.llmManager.generateResponse([
+        { role: 'system', content: SUMMARY_PROMPT.replace('{maxWords}', maxWords) },
+        {
+          role: 'user',
+          content: `Existing memory:\n${memory || '(none)'}\n\nNew conversation turns:\n${transcript}`
+        }
+      ]);
+      
+      // The model doesn't always respect the word limit, and the budget reserves only memoryMaxTokens
+      const trimmed = this.truncateToFit(summary.trim(), settings.memoryMaxTokens);
+      logger.info('Summarized older conversation turns into memory', {
+        turns: turns.length,
+        memoryTokens: this.countTokens(trimmed)
+      });
+      return trimmed;
+    } catch (error) {
+      // Fall back to a crude note so the earlier questions aren't lost entirely
+      logger.warning('Failed to summarize conversation turns, keeping a short note instead', {
+        error: error.message
+      });
+      const notes = turns
+        .filter(turn => turn.role === 'user')
+        .map(turn => `- Earlier the user asked: ${turn.content.slice(0, 200)}`);
+      const fallback = [memory, ...notes].filter(Boolean).join('\n');
+      return this.truncateToFit(fallback, settings.memoryMaxTokens);
+    }
+  }
+}
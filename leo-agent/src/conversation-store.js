@@ -0,0 +1,256 @@
+/**
+ * Conversation Store
+ * Persists per-user conversation state (history, pending permission requests,
+ * error context) so threads survive restarts
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Base store - subclasses implement getSession, saveSession, deleteSession and listSessions
+ */
+export class ConversationStore {
+  /**
+   * Get a stored session
+   * @param {string} userId - User/session ID
+   * @returns {Promise<Object|null>} - Session or null if none is stored
+   */
+  async getSession(userId) {
+    throw new Error('getSession() not implemented');
+  }
+  
+  /**
+   * Persist a session
+   * @param {Object} session - Session to save
+   */
+  async saveSession(session) {
+    throw new Error('saveSession() not implemented');
+  }
+  
+  /**
+   * Delete a session
+   * @param {string} userId - User/session ID
+   * @returns {Promise<boolean>} - True if a session was deleted
+   */
+  async deleteSession(userId) {
+    throw new Error('deleteSession() not implemented');
+  }
+  
+  /**
+   * List stored sessions, most recently updated first
+   * @returns {Promise<Array>} - Session summaries
+   */
+  async listSessions() {
+    throw new Error('listSessions() not implemented');
+  }
+  
+  /**
+   * Get a stored session, or a new empty one (not saved until saveSession)
+   * @param {string} userId - User/session ID
+   * @returns {Promise<Object>} - Session
+   */
+  async loadSession(userId) {
+    const session = await this.getSession(userId);
+    if (session) {
+      return session;
+    }
+    
+    const now = new Date().toISOString();
+    return {
+      userId,
+      createdAt: now,
+      updatedAt: now,
+      history: [],
+      memory: null, // Running summary of turns evicted from history
+      pendingRequest: null,
+      pendingRecovery: null, // Timeout-recovery options offered in the last answer
+      brandState: { pinned: null, detected: null, current: null, cleared: false }, // Pinned and detected brands, see LeoAgent.getSessionBrandState
+      errorContext: null
+    };
+  }
+  
+  /**
+   * Apply changes to a session and save it
+   * @param {string} userId - User/session ID
+   * @param {Object} changes - Fields to overwrite
+   * @returns {Promise<Object>} - Updated session
+   */
+  async updateSession(userId, changes) {
+    const session = await this.loadSession(userId);
+    Object.assign(session, changes);
+    await this.saveSession(session);
+    return session;
+  }
+  
+  /**
+   * Get conversation history for a user
+   * @param {string} userId - User/session ID
+   * @returns {Promise<Array>} - Conversation history
+   */
+  async getHistory(userId) {
+    const session = await this.getSession(userId);
+    return session ? session.history : [];
+  }
+  
+  /**
+   * Summarize a session for listings
+   */
+  summarize(session) {
+    return {
+      userId: session.userId,
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt,
+      messageCount: session.history.length,
+      hasPendingRequest: session.pendingRequest !== null,
+      hasError: session.errorContext !== null
+    };
+  }
+}
+
+/**
+ * In-memory store - state is lost on restart, useful for tests and one-off scripts
+ */
+export class MemoryConversationStore extends ConversationStore {
+  constructor() {
+    super();
+    this.sessions = new Map();
+  }
+  
+  async getSession(userId) {
+    const session = this.sessions.get(userId);
+    return session ? structuredClone(session) : null;
+  }
+  
+  async saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    this.sessions.set(session.userId, structuredClone(session));
+  }
+  
+  async deleteSession(userId) {
+    return this.sessions.delete(userId);
+  }
+  
+  async listSessions() {
+    return [...this.sessions.values()]
+      .map(session => this.summarize(session))
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+/**
+ * File-backed store - one JSON file per session
+ */
+export class FileConversationStore extends ConversationStore {
+  constructor(directory) {
+    super();
+    this.directory = directory;
+    this.writeQueues = new Map(); // Serialize writes per session
+  }
+  
+  /**
+   * Get the file path for a session
+   */
+  getSessionPath(userId) {
+    return path.join(this.directory, `${encodeURIComponent(userId)}.json`);
+  }
+  
+  async getSession(userId) {
+    try {
+      const data = await fs.readFile(this.getSessionPath(userId), 'utf8');
+      return JSON.parse(data);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.error('Failed to read conversation session', {
+          userId,
+          error: error.message
+        });
+      }
+      return null;
+    }
+  }
+  
+  async saveSession(session) {
+    session.updatedAt = new Date().toISOString();
+    const data = JSON.stringify(session, null, 2);
+    const filePath = this.getSessionPath(session.userId);
+    
+    const previous = this.writeQueues.get(session.userId) || Promise.resolve();
+    const write = previous.catch(() => {}).then(async () => {
+      await fs.mkdir(this.directory, { recursive: true });
+      // Write to a temp file and rename so a crash never leaves half a session
+      const tempPath = `${filePath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, data, 'utf8');
+      await fs.rename(tempPath, filePath);
+    });
+    
+    this.writeQueues.set(session.userId, write);
+    try {
+      await write;
+    } finally {
+      if (this.writeQueues.get(session.userId) === write) {
+        this.writeQueues.delete(session.userId);
+      }
+    }
+  }
+  
+  async deleteSession(userId) {
+    try {
+      await fs.unlink(this.getSessionPath(userId));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+  
+  async listSessions() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+    
+    const sessions = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+      const session = await this.getSession(decodeURIComponent(file.slice(0, -'.json'.length)));
+      if (session) {
+        sessions.push(this.summarize(session));
+      }
+    }
+    
+    return sessions.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+}
+
+/**
+ * Create the conversation store configured in settings (storage.type: 'file' | 'memory')
+ * @param {Object} options - Overrides for the storage settings
+ * @returns {ConversationStore}
+ */
+export function createConversationStore(options = {}) {
+  const type = options.type || config.get('storage.type') || 'file';
+  
+  switch (type) {
+    case 'memory':
+      return new MemoryConversationStore();
+    case 'file': {
+      const directory = options.path || config.get('storage.path') || 'data/sessions';
+      return new FileConversationStore(path.resolve(__dirname, '..', directory));
+    }
+    default:
+      throw new Error(`Unknown conversation store type: ${type}`);
+  }
+}
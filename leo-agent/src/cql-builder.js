@@ -0,0 +1,280 @@
+/**
+ * CQL Builder
+ * Turns questions like "find the FaderPro checkout PRD" into CQL for confluence_search:
+ * the brand's spaces (from the brand registry), title/text terms, labels, ancestor pages and
+ * date ranges. The LLM writes the query from the known spaces, pages and labels;
+ * every query is validated before it is used, with a rule-based translation as the fallback.
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { getPeriodStart, mentionsPeriod } from './query-utils.js';
+import { validateQuery, quote, escapeRegExp } from './query-language.js';
+import { brandRegistry } from './brand-registry.js';
+
+// Fields a query may use (lowercase)
+const FIELDS = [
+  'type', 'space', 'title', 'text', 'label', 'ancestor', 'parent', 'id',
+  'creator', 'contributor', 'mention', 'created', 'lastmodified'
+];
+
+// Functions values may use (lowercase)
+const FUNCTIONS = [
+  'currentuser', 'now',
+  'startofday', 'startofweek', 'startofmonth', 'startofyear',
+  'endofday', 'endofweek', 'endofmonth', 'endofyear'
+];
+
+const CONTENT_TYPES = ['page', 'blogpost', 'comment', 'attachment'];
+
+const DEFAULT_SCHEMA = {
+  spaces: {},
+  pages: {},
+  labels: []
+};
+
+// Words that say what to do rather than what to find
+const STOPWORDS = new Set([
+  'a', 'an', 'the', 'and', 'or', 'of', 'for', 'to', 'in', 'on', 'at', 'by', 'with', 'about', 'from',
+  'is', 'are', 'was', 'were', 'be', 'do', 'does', 'did', 'have', 'has', 'we', 'our', 'us', 'i', 'me', 'my',
+  'you', 'your', 'it', 'its', 'this', 'that', 'these', 'those', 'what', 'which', 'where', 'who', 'how', 'when',
+  'find', 'show', 'get', 'give', 'list', 'search', 'look', 'looking', 'pull', 'open', 'up', 'see', 'need',
+  'can', 'could', 'please', 'any', 'all', 'some', 'latest', 'recent', 'recently', 'new', 'there',
+  'confluence', 'page', 'pages', 'doc', 'docs', 'document', 'documents', 'wiki', 'blog', 'post', 'posts',
+  'space', 'updated', 'changed', 'modified', 'edited', 'written', 'created'
+]);
+
+/**
+ * Each brand's Confluence spaces: the brand registry, with confluence.spaces on top
+ * @returns {Object} - Brand name -> space keys
+ */
+function getSpaceMap() {
+  return brandRegistry.mergeScopeMap('confluence', config.get('confluence.spaces'));
+}
+
+/**
+ * Find the Confluence spaces a question is about: a brand named in the question
+ * ("FaderPro"), an explicit "space:ENG", or a configured space key ("the FP space"),
+ * else the detected brand's spaces
+ * @param {string} query - User question
+ * @param {string|null} brand - Detected brand
+ * @param {Object} spaces - Brand name -> space keys (defaults to each brand's spaces)
+ * @returns {Array<string>} - Space keys (empty when the question is not about one)
+ */
+export function findSpaceKeys(query, brand = null, spaces = getSpaceMap()) {
+  const named = Object.keys(spaces).find(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(query));
+  if (named) {
+    return spaces[named];
+  }
+  
+  // Case-sensitive, so "the engineering space about checkout" does not read "about" as a key
+  const explicit = query.match(/\bspace:\s*([A-Z][A-Z0-9]+)\b/);
+  if (explicit) {
+    return [explicit[1]];
+  }
+  
+  // Any other all-caps word only counts when it is a configured space key
+  const known = new Set(Object.values(spaces).flat());
+  const key = (query.match(/\b[A-Z][A-Z0-9]+\b/g) || []).find(word => known.has(word));
+  if (key) {
+    return [key];
+  }
+  
+  const detected = Object.keys(spaces).find(name => name.toLowerCase() === brand?.toLowerCase());
+  return detected ? spaces[detected] : [];
+}
+
+/**
+ * Check that a CQL query only uses known fields, functions and content types
+ * @param {string} cql - Query to check
+ * @returns {Object} - { valid, errors }
+ */
+export function validateCql(cql) {
+  return validateQuery(cql, {
+    fields: FIELDS,
+    functions: FUNCTIONS,
+    known: { type: CONTENT_TYPES }
+  });
+}
+
+export class CQLBuilder {
+  /**
+   * @param {Object} options
+   * @param {LLMManager} [options.llmManager] - LLM that writes the CQL (rule-based translation only without one)
+   */
+  constructor(options = {}) {
+    this.llmManager = options.llmManager || null;
+  }
+  
+  /**
+   * Known spaces (per brand), pages and labels, from the brand registry and confluence settings
+   */
+  getSchema() {
+    const settings = config.get('confluence') || {};
+    const schema = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_SCHEMA)) {
+      schema[name] = settings[name] ?? fallback;
+    }
+    schema.spaces = getSpaceMap();
+    return schema;
+  }
+  
+  /**
+   * Translate a question into validated CQL
+   * @param {string} query - User question
+   * @param {string|null} brand - Detected brand
+   * @param {number|null} [deadline] - Epoch ms by which the search must be done; the LLM gets
+   *   at most half the time left, so the search itself still has the rest
+   * @returns {Promise<Object>} - { cql, source: 'llm' | 'rules' }
+   */
+  async build(query, brand = null, deadline = null) {
+    const schema = this.getSchema();
+    const timeout = Math.min(config.get('confluence.llmTimeoutMs') ?? 5000,
+      deadline ? Math.floor((deadline - Date.now()) / 2) : Infinity);
+    
+    if (this.llmManager && (config.get('confluence.useLLM') ?? true) && timeout > 0) {
+      let timer;
+      try {
+        const cql = await Promise.race([
+          this.translateWithLLM(query, brand, schema),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`No CQL from the LLM within ${timeout}ms`)), timeout);
+          })
+        ]);
+        
+        const { valid, errors } = validateCql(cql);
+        if (valid) {
+          return { cql, source: 'llm' };
+        }
+        logger.warning('LLM wrote invalid CQL, using the rule-based translation', { cql, errors });
+      } catch (error) {
+        logger.warning('Could not translate the question to CQL with the LLM', { error: error.message });
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    
+    return { cql: this.buildFromRules(query, brand, schema), source: 'rules' };
+  }
+  
+  /**
+   * Ask the LLM for a CQL query
+   */
+  async translateWithLLM(query, brand, schema) {
+    const spaces = Object.entries(schema.spaces).map(([name, keys]) => `${name}: ${keys.join('/')}`).join(', ');
+    const pages = Object.entries(schema.pages).map(([title, id]) => `${title}: ${id}`).join(', ');
+    const space = findSpaceKeys(query, brand, schema.spaces).join(' or ');
+    
+    const response = await this.llmManager.generateResponse([
+      {
+        role: 'system',
+        content: [
+          'Translate questions about Confluence into a single CQL query. Reply with the CQL only.',
+          `Fields: ${FIELDS.join(', ')}. Content types: ${CONTENT_TYPES.join(', ')}.`,
+          spaces ? `Spaces (brand: key): ${spaces}.` : 'Leave out the space unless the question names a space key.',
+          space ? `Search the ${space} space.` : '',
+          'Search for the subject of the question with title ~ "words" OR text ~ "words"; leave out filler like "find the".',
+          pages ? `Parent pages (title: ID), for "under X" use ancestor = ID: ${pages}.` : '',
+          schema.labels.length > 0 ? `Labels: ${schema.labels.join(', ')}.` : '',
+          'Dates: lastmodified >= "YYYY-MM-DD" or functions like startOfWeek(), startOfMonth().',
+          'Quote values that contain spaces. End with ORDER BY lastmodified DESC unless the question asks for another order.',
+          `Today is ${new Date().toISOString().slice(0, 10)}.${brand ? ` The question is about ${brand}.` : ''}`
+        ].filter(Boolean).join('\n')
+      },
+      { role: 'user', content: query }
+    ]);
+    
+    // Strip code fences or a "CQL:" label
+    return response
+      .replace(/```(?:cql|sql)?/gi, '')
+      .replace(/^\s*cql:\s*/i, '')
+      .trim();
+  }
+  
+  /**
+   * Rule-based translation from keywords in the question
+   * @param {string} query - User question
+   * @param {string|null} brand - Detected brand
+   * @param {Object} schema - Known spaces (brand name -> space keys), pages and labels
+   * @returns {string} - CQL
+   */
+  buildFromRules(query, brand = null, schema = this.getSchema()) {
+    const clauses = [];
+    // Words already turned into clauses, left out of the search terms
+    const used = [];
+    
+    // Content type
+    clauses.push(/\bblog ?posts?\b|\bblogs?\b/i.test(query) ? 'type = blogpost' : 'type = page');
+    
+    // Space
+    const spaceKeys = findSpaceKeys(query, brand, schema.spaces);
+    if (spaceKeys.length === 1) {
+      clauses.push(`space = ${quote(spaceKeys[0])}`);
+    } else if (spaceKeys.length > 1) {
+      clauses.push(`space in (${spaceKeys.map(quote).join(', ')})`);
+    }
+    used.push(...spaceKeys, ...Object.keys(schema.spaces).filter(name => schema.spaces[name].some(key => spaceKeys.includes(key))));
+    
+    // Ancestor: "under <page title>" for a known page, or "under page 12345"
+    const pageTitle = Object.keys(schema.pages)
+      .find(title => new RegExp(`\\b(?:under|below|in) (?:the )?${escapeRegExp(title)}\\b`, 'i').test(query));
+    const pageId = query.match(/\b(?:under|below) page (\d+)\b/i);
+    if (pageTitle) {
+      clauses.push(`ancestor = ${schema.pages[pageTitle]}`);
+      used.push(...pageTitle.split(/\s+/), 'under', 'below');
+    } else if (pageId) {
+      clauses.push(`ancestor = ${pageId[1]}`);
+      used.push(pageId[1], 'under', 'below');
+    }
+    
+    // Labels: "labeled retro", "tagged onboarding", or a known label used as a word
+    const labels = [];
+    const tagged = query.match(/\b(?:label(?:l?ed)?|tagged)\s+(?:as\s+|with\s+)?"?([\w-]+)"?/i);
+    if (tagged) {
+      labels.push(tagged[1].toLowerCase());
+      used.push(tagged[0]);
+    }
+    for (const label of schema.labels) {
+      if (!labels.includes(label.toLowerCase()) && new RegExp(`\\b${escapeRegExp(label)}\\b`, 'i').test(query)) {
+        labels.push(label.toLowerCase());
+      }
+    }
+    if (labels.length === 1) {
+      clauses.push(`label = ${quote(labels[0])}`);
+    } else if (labels.length > 1) {
+      clauses.push(`label in (${labels.map(quote).join(', ')})`);
+    }
+    
+    // Period: "this week", "last 30 days", ...
+    if (mentionsPeriod(query)) {
+      const since = getPeriodStart(query, 7);
+      const field = /\b(created|new|written)\b/i.test(query) ? 'created' : 'lastmodified';
+      clauses.push(`${field} >= "${since.toISOString().slice(0, 10)}"`);
+      used.push(...query.match(/(?:last|past)\s+\d+\s+days?|today|yesterday|this week|last week|this month/gi));
+    }
+    
+    // Search terms: quoted phrases as they are, otherwise the remaining words
+    const phrases = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1]);
+    let rest = query.replace(/"[^"]*"/g, ' ');
+    for (const text of used) {
+      rest = rest.replace(new RegExp(`\\b${escapeRegExp(text)}\\b`, 'gi'), ' ');
+    }
+    const words = rest.split(/[^\w'-]+/)
+      .filter(word => word.length > 1 && !STOPWORDS.has(word.toLowerCase()) && !/^\d+$/.test(word));
+    const terms = [...phrases, ...(words.length > 0 ? [words.join(' ')] : [])];
+    for (const term of terms) {
+      clauses.push(`(title ~ ${quote(term)} OR text ~ ${quote(term)})`);
+    }
+    
+    return `${clauses.join(' AND ')} ORDER BY lastmodified DESC`;
+  }
+  
+  /**
+   * Check a CQL query against the known fields
+   * @param {string} cql - Query to check
+   * @returns {Object} - { valid, errors }
+   */
+  validate(cql) {
+    return validateCql(cql);
+  }
+}
@@ -0,0 +1,56 @@
+#!/usr/bin/env node
+
+/**
+ * Leo Agent - Timeout Metrics Export
+ * Prints per-tool p50/p95/success rate from the saved timeout metrics, with
+ * the periodic snapshots so slowly degrading endpoints stand out.
+ *
+ *   npm run metrics            - table of current stats and the trend per tool
+ *   npm run metrics -- --csv   - one row per snapshot and tool
+ *   npm run metrics -- --json  - { current, history }
+ */
+
+import chalk from 'chalk';
+import { TimeoutRecoveryManager } from './timeout-recovery-manager.js';
+
+const format = process.argv.includes('--json') ? 'json' : process.argv.includes('--csv') ? 'csv' : 'table';
+
+const manager = new TimeoutRecoveryManager();
+await manager.loadMetrics();
+const current = manager.exportMetrics();
+const history = await manager.loadMetricsHistory();
+
+if (format === 'json') {
+  console.log(JSON.stringify({ current, history }, null, 2));
+} else if (format === 'csv') {
+  console.log('date,tool,p50,p95,average,successRate,sampleSize,recentFailures');
+  for (const snapshot of [...history, current]) {
+    for (const [tool, stats] of Object.entries(snapshot.tools)) {
+      console.log([
+        snapshot.generatedAt, tool, stats.p50, stats.p95, stats.average,
+        stats.successRate, stats.sampleSize, stats.recentFailures
+      ].map(value => value ?? '').join(','));
+    }
+  }
+} else {
+  const tools = Object.keys(current.tools);
+  if (tools.length === 0) {
+    console.log(chalk.yellow(`No timeout metrics recorded yet (${manager.metricsPath})`));
+  }
+
+  const ms = (value) => (value === null ? '-' : `${value}ms`).padStart(8);
+  const rate = (value) => (value === null ? '-' : `${Math.round(value * 100)}%`).padStart(5);
+
+  for (const tool of tools) {
+    console.log(chalk.blue.bold(`\n${tool}`));
+    console.log(chalk.gray(`  ${'date'.padEnd(10)}  ${'p50'.padStart(8)}  ${'p95'.padStart(8)}  ${'ok'.padStart(5)}  samples`));
+
+    const snapshots = history.filter(snapshot => snapshot.tools[tool]);
+    for (const snapshot of [...snapshots, current]) {
+      const stats = snapshot.tools[tool];
+      const label = snapshot === current ? 'now' : snapshot.generatedAt.slice(0, 10);
+      console.log(`  ${label.padEnd(10)}  ${ms(stats.p50)}  ${ms(stats.p95)}  ${rate(stats.successRate)}  ${stats.sampleSize}`);
+    }
+  }
+  console.log();
+}
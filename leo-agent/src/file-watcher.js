@@ -0,0 +1,158 @@
+/**
+ * File Watcher
+ * Watches a file or a directory tree and calls back once changes settle, so
+ * prompts and settings can be reloaded without restarting Leo. Editors often
+ * save in several steps (write a temp file, rename it over the original), so
+ * events are debounced, and a file is watched through its directory so that a
+ * replaced or recreated file is still noticed.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+export class FileWatcher {
+  /**
+   * @param {string} target - File or directory to watch (a directory is watched with its subdirectories)
+   * @param {Function} onChange - Called (and awaited) after changes settle; errors are logged, not thrown
+   * @param {Object} [options]
+   * @param {number} [options.debounceMs] - How long changes must pause before onChange is called
+   */
+  constructor(target, onChange, options = {}) {
+    this.target = path.resolve(target);
+    this.onChange = onChange;
+    this.debounceMs = options.debounceMs ?? 300;
+    this.parentWatcher = null;
+    // Directory -> fs.FSWatcher, for a directory target
+    this.treeWatchers = new Map();
+    this.timer = null;
+    this.running = null;
+    this.pending = false;
+  }
+  
+  /**
+   * Start watching. The target may not exist yet: it is picked up when it is created.
+   * @returns {FileWatcher} - This watcher
+   */
+  start() {
+    const parent = path.dirname(this.target);
+    const name = path.basename(this.target);
+    
+    this.parentWatcher = this.watchDirectory(parent, (filename) => {
+      if (filename === null || filename === name) {
+        this.watchTree();
+        this.schedule();
+      }
+    });
+    this.watchTree();
+    return this;
+  }
+  
+  /**
+   * Watch a directory (not its subdirectories). The watcher doesn't keep the process alive.
+   * @returns {fs.FSWatcher|null} - The watcher, or null if the directory can't be watched
+   */
+  watchDirectory(directory, onEvent) {
+    try {
+      const watcher = fs.watch(directory, { persistent: false }, (eventType, filename) => onEvent(filename?.toString() ?? null));
+      watcher.on('error', (error) => {
+        logger.warning(`Stopped watching ${directory}`, { error: error.message });
+        watcher.close();
+      });
+      return watcher;
+    } catch (error) {
+      logger.warning(`Could not watch ${directory}`, { error: error.message });
+      return null;
+    }
+  }
+  
+  /**
+   * Watch every directory under a directory target, dropping watchers for removed
+   * directories and adding them for new ones
+   */
+  watchTree() {
+    const directories = new Set();
+    const walk = (directory) => {
+      let entries;
+      try {
+        entries = fs.readdirSync(directory, { withFileTypes: true });
+      } catch (error) {
+        // Not created yet, or a file
+        return;
+      }
+      directories.add(directory);
+      for (const entry of entries) {
+        // Hidden directories (.git, a .versions store) are not prompts or settings
+        if (entry.isDirectory() && !entry.name.startsWith('.')) {
+          walk(path.join(directory, entry.name));
+        }
+      }
+    };
+    walk(this.target);
+    
+    for (const [directory, watcher] of this.treeWatchers) {
+      if (!directories.has(directory)) {
+        watcher.close();
+        this.treeWatchers.delete(directory);
+      }
+    }
+    for (const directory of directories) {
+      if (!this.treeWatchers.has(directory)) {
+        const watcher = this.watchDirectory(directory, () => {
+          this.watchTree();
+          this.schedule();
+        });
+        if (watcher) {
+          this.treeWatchers.set(directory, watcher);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Call onChange once no change has been seen for debounceMs
+   */
+  schedule() {
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.fire(), this.debounceMs);
+    this.timer.unref?.();
+  }
+  
+  /**
+   * Call onChange, one call at a time: changes seen during a call trigger one more
+   */
+  async fire() {
+    if (this.running) {
+      this.pending = true;
+      return;
+    }
+    
+    this.running = (async () => {
+      try {
+        await this.onChange();
+      } catch (error) {
+        logger.error(`Reloading ${this.target} failed`, { error: error.message });
+      }
+    })();
+    await this.running;
+    this.running = null;
+    
+    if (this.pending) {
+      this.pending = false;
+      await this.fire();
+    }
+  }
+  
+  /**
+   * Stop watching
+   */
+  close() {
+    clearTimeout(this.timer);
+    this.parentWatcher?.close();
+    this.parentWatcher = null;
+    for (const watcher of this.treeWatchers.values()) {
+      watcher.close();
+    }
+    this.treeWatchers.clear();
+  }
+}
@@ -5,7 +5,7 @@
  * This provides a command-line interface to interact with Leo during development
  */
 
-import { LeoAgent } from './agent.js';
+import { LeoAgent, describeBrandState } from './agent.js';
 import readline from 'readline';
 import chalk from 'chalk';
 import dotenv from 'dotenv';
@@ -35,15 +35,19 @@ console.log(chalk.green.bold(`
 
 console.log(chalk.yellow('Initializing MCP connections...\n'));
 
-// Initialize MCP servers
-try {
-  await leo.mcpManager.initialize();
+/**
+ * Print the status of each MCP server
+ */
+function printMCPStatus() {
   const status = leo.mcpManager.getStatus();
   
   console.log(chalk.cyan('MCP Server Status:'));
   for (const [key, info] of Object.entries(status)) {
+    const restarts = info.restarts > 0 ? `, restarted ${info.restarts}x` : '';
     if (info.available) {
-      console.log(chalk.green(`✓ ${info.name}: Connected (${info.tools} tools)`));
+      console.log(chalk.green(`✓ ${info.name}: Connected (${info.tools} tools${restarts})`));
+    } else if (info.restarting) {
+      console.log(chalk.yellow(`⟳ ${info.name}: Restarting`));
     } else if (info.enabled) {
       console.log(chalk.yellow(`⚠ ${info.name}: Failed to connect`));
     } else {
@@ -51,16 +55,111 @@ try {
     }
   }
   console.log('');
+}
+
+// Report servers that exit and come back while the CLI is running
+leo.mcpManager.supervisor.on('status', ({ name, state, delayMs, tools }) => {
+  if (state === 'exited') {
+    console.log(chalk.yellow(`\n⚠ ${name} exited`));
+  } else if (state === 'restarting') {
+    console.log(chalk.yellow(`⟳ Restarting ${name} in ${Math.round(delayMs / 1000)}s...`));
+  } else if (state === 'connected') {
+    console.log(chalk.green(`✓ ${name} reconnected (${tools} tools)`));
+  }
+  rl.prompt(true);
+});
+
+// Pick up prompt and settings edits without a restart
+leo.watchFiles();
+
+// Initialize MCP servers
+try {
+  await leo.mcpManager.initialize();
+  printMCPStatus();
 } catch (error) {
   console.error(chalk.red('Warning: Failed to initialize MCP servers:'), error.message);
   console.log(chalk.yellow('Continuing without MCP integration...\n'));
 }
 
-console.log(chalk.yellow('Type your questions or "exit" to quit.\n'));
+console.log(chalk.yellow('Type your questions or "exit" to quit.'));
+console.log(chalk.gray('Sessions: /sessions to list, /resume <id> to switch, /clear to delete the current one.'));
+console.log(chalk.gray('Brands: /brand to show the current one, /brand <name> to pin one, /brand clear to reset.'));
+console.log(chalk.gray('MCP servers: /status to show their current status.\n'));
+
+// Conversations are persisted, so the CLI can pick up any earlier session
+let sessionId = 'cli-user';
+
+/**
+ * Show the brand in effect for the current session in the prompt
+ */
+async function updatePrompt() {
+  const state = await leo.getBrandState(sessionId);
+  const label = state.brands.length > 0 ? chalk.gray(` [${describeBrandState(state)}]`) : '';
+  rl.setPrompt(chalk.blue('You') + label + chalk.blue(': '));
+}
+
+/**
+ * Handle a CLI command (/sessions, /resume <id>, /clear, /brand, /status)
+ * @returns {Promise<boolean>} - True if the input was a command
+ */
+async function handleCommand(query) {
+  const [command, ...args] = query.split(/\s+/);
+  
+  switch (command.toLowerCase()) {
+    case '/sessions': {
+      const sessions = await leo.listSessions();
+      if (sessions.length === 0) {
+        console.log(chalk.gray('\nNo saved sessions.\n'));
+        return true;
+      }
+      console.log(chalk.cyan('\nSaved sessions:'));
+      for (const session of sessions) {
+        const marker = session.userId === sessionId ? chalk.green('*') : ' ';
+        console.log(`${marker} ${session.userId} - ${session.messageCount} messages, updated ${session.updatedAt}`);
+      }
+      console.log('');
+      return true;
+    }
+    case '/resume': {
+      if (!args[0]) {
+        console.log(chalk.yellow('\nUsage: /resume <session id>\n'));
+        return true;
+      }
+      const session = await leo.resumeSession(args[0]);
+      sessionId = args[0];
+      console.log(session
+        ? chalk.green(`\nResumed session ${sessionId} (${session.history.length} messages).\n`)
+        : chalk.yellow(`\nNo saved session ${sessionId}; starting a new one.\n`));
+      await updatePrompt();
+      return true;
+    }
+    case '/clear': {
+      await leo.clearHistory(sessionId);
+      console.log(chalk.green(`\nCleared session ${sessionId}.\n`));
+      await updatePrompt();
+      return true;
+    }
+    case '/brand': {
+      // Brand commands are handled (and saved) by the agent
+      const reply = await leo.chat(query, { userId: sessionId, channel: 'cli', client: 'cli' });
+      console.log(chalk.green('\nLeo: ') + reply + '\n');
+      await updatePrompt();
+      return true;
+    }
+    case '/status': {
+      console.log('');
+      printMCPStatus();
+      return true;
+    }
+    default:
+      return false;
+  }
+}
 
 // Graceful shutdown handler
 const shutdown = async () => {
   console.log(chalk.yellow('\n\nShutting down...'));
+  leo.stopWatching();
   await leo.mcpManager.disconnect();
   console.log(chalk.green('\nGoodbye! 👋\n'));
   process.exit(0);
@@ -71,6 +170,7 @@ process.on('SIGINT', shutdown);
 process.on('SIGTERM', shutdown);
 
 // Handle user input
+await updatePrompt();
 rl.prompt();
 
 rl.on('line', async (input) => {
@@ -81,19 +181,40 @@ rl.on('line', async (input) => {
     process.exit(0);
   }
   
+  if (query.startsWith('/') && await handleCommand(query)) {
+    rl.prompt();
+    return;
+  }
+  
   if (query) {
     console.log(chalk.cyan('\nLeo is thinking...\n'));
     
     try {
+      // Render tokens as they arrive instead of waiting for the full answer
+      let streaming = false;
       const response = await leo.chat(query, {
-        userId: 'cli-user',
-        channel: 'cli'
+        userId: sessionId,
+        channel: 'cli',
+        client: 'cli',
+        onToken: (token) => {
+          if (!streaming) {
+            process.stdout.write(chalk.green('Leo: '));
+            streaming = true;
+          }
+          process.stdout.write(token);
+        }
       });
       
-      console.log(chalk.green('Leo: ') + response + '\n');
+      if (streaming) {
+        process.stdout.write('\n\n');
+      } else {
+        // Nothing was streamed (e.g. an error reply), print the full response
+        console.log(chalk.green('Leo: ') + response + '\n');
+      }
     } catch (error) {
       console.error(chalk.red('Error: ') + error.message + '\n');
     }
+    await updatePrompt();
   }
   
   rl.prompt();
@@ -0,0 +1,250 @@
+/**
+ * Intercom Connector
+ * Fetches recent customer conversations and their tags from the Intercom
+ * workspace of each brand, so customer feedback answers cite real conversations
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { resolveEnvReferences } from './mcp-registry.js';
+import { getPeriodStart } from './query-utils.js';
+
+const INTERCOM_VERSION = '2.11';
+
+// Built-in tool offered to the LLM alongside the MCP tools
+export const INTERCOM_TOOL = {
+  name: 'intercom_search_conversations',
+  description: 'Search recent Intercom customer conversations (support requests, complaints, feedback) for a brand. ' +
+    'Returns conversation IDs, tags, tag counts and excerpts to cite.',
+  inputSchema: {
+    type: 'object',
+    properties: {
+      brand: {
+        type: 'string',
+        description: 'Brand whose Intercom workspace to search (TrueFire, ArtistWorks, Blayze, FaderPro, JamPlay)'
+      },
+      period: {
+        type: 'string',
+        description: 'Time period, e.g. "this week", "this month", "last 30 days"'
+      }
+    }
+  }
+};
+
+export class IntercomConnector {
+  /**
+   * @param {Object} options - Overrides for the intercom settings (baseUrl, workspaces, ...)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.appIds = new Map(); // Workspace key -> app id, for conversation links
+  }
+  
+  /**
+   * Get Intercom settings, with defaults
+   */
+  getSettings() {
+    const setting = (name, fallback) => this.options[name] ?? config.get(`intercom.${name}`) ?? fallback;
+    return {
+      enabled: setting('enabled', true),
+      baseUrl: setting('baseUrl', 'https://api.intercom.io').replace(/\/+$/, ''),
+      appUrl: setting('appUrl', 'https://app.intercom.com').replace(/\/+$/, ''),
+      workspaces: setting('workspaces', {}),
+      lookbackDays: setting('lookbackDays', 30),
+      maxConversations: setting('maxConversations', 50),
+      timeout: setting('timeout', 15000)
+    };
+  }
+  
+  /**
+   * Whether Intercom is enabled and at least one workspace has a token
+   * @returns {boolean}
+   */
+  isConfigured() {
+    const { enabled, workspaces } = this.getSettings();
+    return enabled && Object.keys(workspaces).some(key => this.getWorkspace(key) !== null);
+  }
+  
+  /**
+   * Find the workspace for a brand (case-insensitive), falling back to "default"
+   * @param {string|null} brand - Brand name
+   * @returns {Object|null} - { key, token, appId } or null if none is configured or its token is unset
+   */
+  getWorkspace(brand) {
+    const { workspaces } = this.getSettings();
+    const key = (brand && Object.keys(workspaces).find(name => name.toLowerCase() === brand.toLowerCase())) ||
+      (workspaces.default ? 'default' : null);
+    if (!key) {
+      return null;
+    }
+    
+    const workspace = workspaces[key];
+    const token = workspace.token ? resolveEnvReferences(workspace.token) : undefined;
+    if (!token) {
+      return null;
+    }
+    return { key, token, appId: workspace.appId || null };
+  }
+  
+  /**
+   * Fetch recent conversations for a brand and summarize their tags
+   * @param {string} query - User query (used for the time window)
+   * @param {string|null} brand - Detected brand
+   * @param {number|null} [deadline] - Epoch ms after which requests are cut short
+   * @returns {Promise<Object|null>} - Conversations and tag counts, { error, suggestion } on failure, or null when disabled
+   */
+  async getFeedback(query, brand, deadline = null) {
+    const settings = this.getSettings();
+    if (!settings.enabled) {
+      return null;
+    }
+    
+    const workspace = this.getWorkspace(brand);
+    if (!workspace) {
+      return {
+        error: `No Intercom workspace token configured${brand ? ` for ${brand}` : ''}`,
+        suggestion: 'Map the brand to a workspace under intercom.workspaces and set its token (e.g. INTERCOM_ACCESS_TOKEN)'
+      };
+    }
+    
+    const since = getPeriodStart(query, settings.lookbackDays);
+    logger.info('Querying Intercom...', { brand, workspace: workspace.key, since: since.toISOString() });
+    
+    try {
+      const search = await this.request(workspace, 'POST', '/conversations/search', {
+        query: {
+          field: 'updated_at',
+          operator: '>',
+          value: Math.floor(since.getTime() / 1000)
+        },
+        sort: { field: 'updated_at', order: 'descending' },
+        pagination: { per_page: Math.min(settings.maxConversations, 150) }
+      }, deadline);
+      
+      const appId = await this.getAppId(workspace, deadline);
+      const conversations = (search.conversations || []).map(conversation =>
+        this.formatConversation(conversation, appId));
+      
+      return {
+        workspace: workspace.key,
+        since: since.toISOString(),
+        totalConversations: search.total_count ?? conversations.length,
+        tagCounts: this.countTags(conversations),
+        conversations
+      };
+    } catch (error) {
+      logger.error('Intercom query error', {
+        brand,
+        workspace: workspace.key,
+        error: error.message
+      });
+      return {
+        error: error.message,
+        suggestion: error.status === 401
+          ? 'Check the Intercom access token for this workspace'
+          : 'Intercom may be slow or unavailable. Try again later.'
+      };
+    }
+  }
+  
+  /**
+   * Make an Intercom API request, within intercom.timeout and any deadline (epoch ms)
+   */
+  async request(workspace, method, path, body, deadline = null) {
+    const { baseUrl, timeout: requestTimeout } = this.getSettings();
+    const timeout = deadline ? Math.max(Math.min(requestTimeout, deadline - Date.now()), 1) : requestTimeout;
+    
+    let response;
+    try {
+      response = await fetch(`${baseUrl}${path}`, {
+        method,
+        headers: {
+          Authorization: `Bearer ${workspace.token}`,
+          Accept: 'application/json',
+          'Content-Type': 'application/json',
+          'Intercom-Version': INTERCOM_VERSION
+        },
+        body: body ? JSON.stringify(body) : undefined,
+        signal: AbortSignal.timeout(timeout)
+      });
+    } catch (error) {
+      if (error.name === 'TimeoutError') {
+        throw Object.assign(new Error(`Intercom request timed out after ${timeout}ms`), { timedOut: true });
+      }
+      throw new Error(`Could not reach Intercom at ${baseUrl}: ${error.message}`);
+    }
+    
+    if (!response.ok) {
+      const details = await response.json().catch(() => ({}));
+      const message = details.errors?.[0]?.message || response.statusText;
+      const error = new Error(`Intercom API error (${response.status}): ${message}`);
+      error.status = response.status;
+      throw error;
+    }
+    
+    return response.json();
+  }
+  
+  /**
+   * Get the workspace app id used in conversation links (configured or from /me)
+   */
+  async getAppId(workspace, deadline = null) {
+    if (workspace.appId) {
+      return workspace.appId;
+    }
+    if (!this.appIds.has(workspace.key)) {
+      try {
+        const me = await this.request(workspace, 'GET', '/me', undefined, deadline);
+        this.appIds.set(workspace.key, me.app?.id_code || null);
+      } catch (error) {
+        logger.warning('Could not look up the Intercom app id, conversation links are omitted', {
+          workspace: workspace.key,
+          error: error.message
+        });
+        // A request cut short by the deadline is tried again next time
+        if (!error.timedOut) {
+          this.appIds.set(workspace.key, null);
+        }
+      }
+    }
+    return this.appIds.get(workspace.key) ?? null;
+  }
+  
+  /**
+   * Reduce a conversation to the fields Leo needs to cite it
+   */
+  formatConversation(conversation, appId) {
+    const source = conversation.source || {};
+    const text = `${source.subject || ''} ${source.body || ''}`
+      .replace(/<[^>]+>/g, ' ')
+      .replace(/&nbsp;/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+    
+    return {
+      id: conversation.id,
+      title: conversation.title || null,
+      state: conversation.state,
+      createdAt: new Date(conversation.created_at * 1000).toISOString(),
+      updatedAt: new Date(conversation.updated_at * 1000).toISOString(),
+      tags: (conversation.tags?.tags || []).map(tag => tag.name),
+      excerpt: text.length > 280 ? `${text.slice(0, 280)}...` : text,
+      url: appId ? `${this.getSettings().appUrl}/a/apps/${appId}/inbox/inbox/conversation/${conversation.id}` : null
+    };
+  }
+  
+  /**
+   * Count conversations per tag, most common first
+   */
+  countTags(conversations) {
+    const counts = {};
+    for (const conversation of conversations) {
+      for (const tag of conversation.tags) {
+        counts[tag] = (counts[tag] || 0) + 1;
+      }
+    }
+    return Object.entries(counts)
+      .sort((a, b) => b[1] - a[1])
+      .map(([tag, count]) => ({ tag, count }));
+  }
+}
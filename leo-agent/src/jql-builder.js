@@ -0,0 +1,289 @@
+/**
+ * JQL Builder
+ * Turns questions like "open P1 bugs in TrueFire assigned to Dana updated this sprint"
+ * into JQL for jira_search. The LLM writes the query from the known Jira fields (each
+ * brand's projects from the brand registry, statuses, priorities, ...); every query is validated
+ * against them before it is used, with a rule-based translation as the fallback.
+ */
+
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { getPeriodStart, mentionsPeriod } from './query-utils.js';
+import { validateQuery, quote, escapeRegExp } from './query-language.js';
+import { brandRegistry } from './brand-registry.js';
+
+// Fields a query may use (lowercase)
+const FIELDS = [
+  'project', 'issuetype', 'type', 'status', 'statuscategory', 'priority', 'assignee', 'reporter',
+  'sprint', 'labels', 'component', 'fixversion', 'created', 'updated', 'resolved', 'duedate',
+  'due', 'text', 'summary', 'description', 'key', 'parent', 'resolution'
+];
+
+// Functions values may use (lowercase)
+const FUNCTIONS = [
+  'currentuser', 'opensprints', 'closedsprints', 'futuresprints', 'now',
+  'startofday', 'startofweek', 'startofmonth', 'startofyear',
+  'endofday', 'endofweek', 'endofmonth', 'endofyear'
+];
+
+const STATUS_CATEGORIES = ['To Do', 'In Progress', 'Done'];
+
+// Words that say issues are finished ("closed bugs", "resolved last week")
+const DONE_WORDS = 'done|closed|resolved|completed|finished|fixed';
+
+// Words that name issues in general, besides the issue types
+const ISSUE_WORDS = ['issue', 'ticket', 'item', 'work'];
+
+// Words after "for" / "about" that are not what the issues are about
+const NOT_SUBJECTS = new Set([
+  'me', 'us', 'you', 'them', 'him', 'her', 'it', 'this', 'that', 'these', 'those', 'all', 'any', 'a', 'an',
+  'last', 'next', 'today', 'yesterday', 'now', 'review', 'release', 'sprint', 'week', 'month'
+]);
+
+const DEFAULT_SCHEMA = {
+  projects: {},
+  issueTypes: ['Bug', 'Story', 'Task', 'Epic', 'Sub-task'],
+  statuses: ['To Do', 'In Progress', 'In Review', 'Done'],
+  priorities: ['Highest', 'High', 'Medium', 'Low', 'Lowest'],
+  priorityAliases: { P1: 'Highest', P2: 'High', P3: 'Medium', P4: 'Low', P5: 'Lowest' },
+  users: {}
+};
+
+/**
+ * Check that a JQL query only uses known fields, functions and values
+ * @param {string} jql - Query to check
+ * @param {Object} schema - Known values (projects, issueTypes, statuses, priorities)
+ * @returns {Object} - { valid, errors }
+ */
+export function validateJql(jql, schema = DEFAULT_SCHEMA) {
+  return validateQuery(jql, {
+    fields: FIELDS,
+    functions: FUNCTIONS,
+    sortFields: ['rank'],
+    known: {
+      // Project keys only: brand names are not projects
+      project: Object.values(schema.projects || {}).flat(),
+      issuetype: schema.issueTypes,
+      type: schema.issueTypes,
+      status: schema.statuses,
+      statuscategory: STATUS_CATEGORIES,
+      priority: schema.priorities
+    }
+  });
+}
+
+export class JQLBuilder {
+  /**
+   * @param {Object} options
+   * @param {LLMManager} [options.llmManager] - LLM that writes the JQL (rule-based translation only without one)
+   */
+  constructor(options = {}) {
+    this.llmManager = options.llmManager || null;
+  }
+  
+  /**
+   * Known Jira fields and values, from the jira settings. Projects are each
+   * brand's projects in the brand registry, with jira.projects on top.
+   */
+  getSchema() {
+    const settings = config.get('jira') || {};
+    const schema = {};
+    for (const [name, fallback] of Object.entries(DEFAULT_SCHEMA)) {
+      schema[name] = settings[name] ?? fallback;
+    }
+    schema.projects = brandRegistry.mergeScopeMap('jira', settings.projects);
+    return schema;
+  }
+  
+  /**
+   * Translate a question into validated JQL
+   * @param {string} query - User question
+   * @param {string|null} brand - Detected brand
+   * @param {number|null} [deadline] - Epoch ms by which the search must be done; the LLM gets
+   *   at most half the time left, so the search itself still has the rest
+   * @returns {Promise<Object>} - { jql, source: 'llm' | 'rules' }
+   */
+  async build(query, brand = null, deadline = null) {
+    const schema = this.getSchema();
+    const timeout = Math.min(config.get('jira.llmTimeoutMs') ?? 5000,
+      deadline ? Math.floor((deadline - Date.now()) / 2) : Infinity);
+    
+    if (this.llmManager && (config.get('jira.useLLM') ?? true) && timeout > 0) {
+      let timer;
+      try {
+        const jql = await Promise.race([
+          this.translateWithLLM(query, brand, schema),
+          new Promise((_, reject) => {
+            timer = setTimeout(() => reject(new Error(`No JQL from the LLM within ${timeout}ms`)), timeout);
+          })
+        ]);
+        
+        const { valid, errors } = validateJql(jql, schema);
+        if (valid) {
+          return { jql, source: 'llm' };
+        }
+        logger.warning('LLM wrote invalid JQL, using the rule-based translation', { jql, errors });
+      } catch (error) {
+        logger.warning('Could not translate the question to JQL with the LLM', { error: error.message });
+      } finally {
+        clearTimeout(timer);
+      }
+    }
+    
+    return { jql: this.buildFromRules(query, brand, schema), source: 'rules' };
+  }
+  
+  /**
+   * Ask the LLM for a JQL query
+   */
+  async translateWithLLM(query, brand, schema) {
+    const projects = Object.entries(schema.projects).map(([name, keys]) => `${name}: ${keys.join('/')}`).join(', ');
+    const priorities = Object.entries(schema.priorityAliases).map(([alias, name]) => `${alias} = ${name}`).join(', ');
+    const users = Object.entries(schema.users).map(([name, id]) => `${name}: ${id}`).join(', ');
+    
+    const response = await this.llmManager.generateResponse([
+      {
+        role: 'system',
+        content: [
+          'Translate questions about Jira into a single JQL query. Reply with the JQL only.',
+          `Fields: ${FIELDS.filter(field => field !== 'type' && field !== 'due').join(', ')}.`,
+          projects ? `Projects (brand: key): ${projects}.` : 'Leave out the project unless the question names a project key.',
+          `Issue types: ${schema.issueTypes.join(', ')}.`,
+          `Statuses: ${schema.statuses.join(', ')}. Status categories: ${STATUS_CATEGORIES.join(', ')} ("open" means statusCategory != Done).`,
+          `Priorities: ${schema.priorities.join(', ')} (${priorities}).`,
+          users ? `Users (name: account ID, use the ID): ${users}.` : 'Quote user names, e.g. assignee = "Dana".',
+          'Sprints: sprint in openSprints() for the current sprint, sprint in closedSprints() for past ones.',
+          'Dates: relative values like -7d or functions like startOfWeek(), startOfMonth().',
+          'Quote values that contain spaces. End with ORDER BY updated DESC unless the question asks for another order.',
+          `Today is ${new Date().toISOString().slice(0, 10)}.${brand ? ` The question is about ${brand}.` : ''}`
+        ].join('\n')
+      },
+      { role: 'user', content: query }
+    ]);
+    
+    // Strip code fences or a "JQL:" label
+    return response
+      .replace(/```(?:jql|sql)?/gi, '')
+      .replace(/^\s*jql:\s*/i, '')
+      .trim();
+  }
+  
+  /**
+   * Rule-based translation from keywords in the question
+   * @param {string} query - User question
+   * @param {string|null} brand - Detected brand
+   * @param {Object} schema - Known fields (projects: brand name -> project keys)
+   * @returns {string} - JQL
+   */
+  buildFromRules(query, brand = null, schema = this.getSchema()) {
+    const clauses = [];
+    
+    // Project: a brand named in the question, else the detected brand, else a key like "TF"
+    const projectNames = Object.keys(schema.projects);
+    const named = projectNames.find(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(query)) ||
+      projectNames.find(name => name.toLowerCase() === brand?.toLowerCase());
+    const keys = named ? schema.projects[named]
+      : Object.values(schema.projects).flat().filter(projectKey => new RegExp(`\\b${escapeRegExp(projectKey)}\\b`).test(query)).slice(0, 1);
+    if (keys.length === 1) {
+      clauses.push(`project = ${keys[0]}`);
+    } else if (keys.length > 1) {
+      clauses.push(`project in (${keys.join(', ')})`);
+    }
+    
+    // Issue types, matching plurals ("bugs", "stories")
+    const types = schema.issueTypes.filter(type => {
+      const word = escapeRegExp(type.toLowerCase()).replace(/y$/, '(?:y|ie)');
+      return new RegExp(`\\b${word}s?\\b`, 'i').test(query);
+    });
+    if (types.length === 1) {
+      clauses.push(`issuetype = ${quote(types[0])}`);
+    } else if (types.length > 1) {
+      clauses.push(`issuetype in (${types.map(quote).join(', ')})`);
+    }
+    
+    // Priority: "P1" or a priority name ("highest priority", "high-priority")
+    const alias = Object.keys(schema.priorityAliases).find(name => new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(query));
+    const priority = alias ? schema.priorityAliases[alias]
+      : schema.priorities.find(name => new RegExp(`\\b${escapeRegExp(name)}[\\s-]priority\\b`, 'i').test(query));
+    if (priority) {
+      clauses.push(`priority = ${quote(priority)}`);
+    }
+    
+    // Status: a named status, or open / in progress / done
+    const status = schema.statuses.find(name => name.includes(' ') && new RegExp(`\\b${escapeRegExp(name)}\\b`, 'i').test(query));
+    if (status) {
+      clauses.push(`status = ${quote(status)}`);
+    } else if (/\b(open|unresolved|outstanding|not done)\b/i.test(query)) {
+      clauses.push('statusCategory != Done');
+    } else if (/\bin progress\b/i.test(query)) {
+      clauses.push('statusCategory = "In Progress"');
+    } else if (this.asksForDone(query, schema)) {
+      clauses.push('statusCategory = Done');
+    }
+    
+    // Assignee: "assigned to Dana", "assigned to me"
+    const assignee = query.match(/\bassigned to (\w+)/i);
+    if (assignee) {
+      const name = assignee[1];
+      const user = Object.keys(schema.users).find(userName => userName.toLowerCase() === name.toLowerCase());
+      clauses.push(/^me$/i.test(name) ? 'assignee = currentUser()' : `assignee = ${quote(user ? schema.users[user] : name)}`);
+    } else if (/\bunassigned\b/i.test(query)) {
+      clauses.push('assignee IS EMPTY');
+    }
+    
+    // Sprint
+    if (/\b(this|current|active) sprint\b/i.test(query)) {
+      clauses.push('sprint in openSprints()');
+    } else if (/\b(last|previous) sprint\b/i.test(query)) {
+      clauses.push('sprint in closedSprints()');
+    }
+    
+    // Period: "this week", "last 14 days", ...
+    if (mentionsPeriod(query)) {
+      const since = getPeriodStart(query, 7);
+      clauses.push(`updated >= "${since.toISOString().slice(0, 10)}"`);
+    }
+    
+    // Subject: quoted phrases, or what the issues are "for" / "about" ("done for the API"),
+    // unless it is a project, issue type or status already used above
+    const used = [named, ...keys, ...types, status].filter(Boolean).map(name => name.toLowerCase());
+    const subject = query.match(/\b(?:for|about|regarding|mentioning)\s+(?:the\s+)?([\w.+#-]*\w)/i)?.[1];
+    const terms = [...query.matchAll(/"([^"]+)"/g)].map(match => match[1]);
+    if (subject && !NOT_SUBJECTS.has(subject.toLowerCase()) && !used.some(name => name.includes(subject.toLowerCase()))) {
+      terms.push(subject);
+    }
+    for (const term of terms) {
+      clauses.push(`text ~ ${quote(term)}`);
+    }
+    
+    return [clauses.join(' AND '), 'ORDER BY updated DESC'].filter(Boolean).join(' ');
+  }
+  
+  /**
+   * Whether "done" words describe the issues asked about ("closed bugs", "tickets that
+   * were resolved", "resolved last week", "what did we finish"), rather than something
+   * the user wants to do ("tickets I need to close today") or a subject ("what is done for X")
+   * @param {string} query - User question
+   * @param {Object} schema - Known fields (issueTypes)
+   * @returns {boolean}
+   */
+  asksForDone(query, schema) {
+    const nouns = [...ISSUE_WORDS, ...schema.issueTypes.map(type => type.toLowerCase())]
+      .map(noun => `${escapeRegExp(noun).replace(/y$/, '(?:y|ie)')}s?`).join('|');
+    return [
+      new RegExp(`\\b(?:${DONE_WORDS})\\s+(?:[\\w-]+\\s+)?(?:${nouns})\\b`, 'i'),
+      new RegExp(`\\b(?:${nouns})\\s+(?:that\\s+|which\\s+)?(?:were|are|was|is|have been|has been|got)\\s+(?:${DONE_WORDS})\\b`, 'i'),
+      new RegExp(`\\b(?:${DONE_WORDS})\\s+(?:last|this|yesterday|today|in the (?:last|past))\\b`, 'i'),
+      /\bdid\s+\w+\s+(?:close|finish|resolve|complete|fix)\b/i
+    ].some(pattern => pattern.test(query));
+  }
+  
+  /**
+   * Check a JQL query against the known fields
+   * @param {string} jql - Query to check
+   * @returns {Object} - { valid, errors }
+   */
+  validate(jql) {
+    return validateJql(jql, this.getSchema());
+  }
+}
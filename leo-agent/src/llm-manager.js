@@ -1,27 +1,45 @@
 /**
  * LLM Manager - Handles connections to various LLM providers
- * Currently supports OpenAI, with architecture for adding more providers
+ * Supports OpenAI, Claude and local OpenAI-compatible servers (Ollama / LM Studio)
  */
 
-import OpenAI from 'openai';
+import OpenAI, { APIConnectionError } from 'openai';
 import Anthropic from '@anthropic-ai/sdk';
 import { config } from './config.js';
+import { logger } from './logger.js';
+
+// Statuses worth retrying or falling through the chain for (rate limits, overload, server errors)
+const RETRYABLE_STATUSES = [408, 429, 500, 502, 503, 504, 529];
 
 export class LLMManager {
   constructor() {
-    this.provider = config.get('llm.provider') || 'openai';
-    this.model = config.get('llm.model') || 'gpt-3.5-turbo';
-    this.maxTokens = config.get('llm.maxTokens') || 2000;
-    this.temperature = config.get('llm.temperature') || 0.7;
+    this.applySettings();
+    this.lastUsedProvider = null;
     
     // Initialize providers
     this.providers = {
       openai: this.initOpenAI(),
       claude: this.initClaude(),
-      local: null   // Future: Local models via Ollama/LM Studio
+      local: this.initLocal()
     };
   }
   
+  /**
+   * Read the provider and model settings (called again when settings.json is reloaded)
+   */
+  applySettings() {
+    this.provider = config.get('llm.provider') || 'openai';
+    this.model = config.get('llm.model') || 'gpt-3.5-turbo';
+    this.maxTokens = config.get('llm.maxTokens') || 2000;
+    this.temperature = config.get('llm.temperature') || 0.7;
+    
+    // The local server or model may have changed, so connect again and rediscover its models
+    this.localModels = null;
+    if (this.providers) {
+      this.providers.local = this.initLocal();
+    }
+  }
+  
   /**
    * Initialize OpenAI client
    */
@@ -53,113 +71,833 @@ export class LLMManager {
   }
   
   /**
-   * Generate a response from the LLM
+   * Initialize a client for a local OpenAI-compatible server (Ollama, LM Studio).
+   * Only when one is configured: a base URL, a local model, or local as the primary provider.
+   */
+  initLocal() {
+    const baseUrl = config.get('llm.local.baseUrl') || process.env.LOCAL_LLM_BASE_URL || process.env.OLLAMA_BASE_URL;
+    if (!baseUrl && !config.get('llm.local.model') && this.provider !== 'local') {
+      return null;
+    }
+    this.localBaseUrl = this.normalizeLocalBaseUrl(baseUrl || 'http://localhost:11434/v1');
+    
+    return new OpenAI({
+      baseURL: this.localBaseUrl,
+      // Local servers ignore the key, but the SDK requires one
+      apiKey: config.get('llm.local.apiKey') || process.env.LOCAL_LLM_API_KEY || 'local'
+    });
+  }
+  
+  /**
+   * Point a base URL at the server's OpenAI-compatible /v1 API
+   * @param {string} baseUrl - Base URL as configured (e.g. http://localhost:11434)
+   * @returns {string} - Base URL ending in /v1
+   */
+  normalizeLocalBaseUrl(baseUrl) {
+    const trimmed = baseUrl.replace(/\/+$/, '');
+    return trimmed.endsWith('/v1') ? trimmed : `${trimmed}/v1`;
+  }
+  
+  /**
+   * Generate a response from the LLM, falling through the provider chain on retryable failures
    * @param {Array} messages - Array of message objects with role and content
    * @returns {Promise<string>} - Generated response
    */
   async generateResponse(messages) {
-    switch (this.provider) {
+    return this.withFallback('generate', (provider, model) =>
+      this.generateWithProvider(provider, model, messages)
+    );
+  }
+  
+  /**
+   * Stream a response from the LLM, yielding text as it is generated.
+   * Falls through the provider chain only until the first chunk has been yielded.
+   * @param {Array} messages - Array of message objects with role and content
+   * @returns {AsyncGenerator<string>} - Text chunks in arrival order
+   */
+  async *streamResponse(messages) {
+    const chain = await this.getFallbackChain();
+    const { maxRetries } = this.getRetrySettings();
+    let lastError;
+    
+    for (const [index, entry] of chain.entries()) {
+      if (!this.providers[entry.provider]) {
+        logger.warning(`LLM provider ${entry.provider} not initialized, skipping`, { provider: entry.provider });
+        continue;
+      }
+      
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        let started = false;
+        try {
+          for await (const chunk of this.streamWithProvider(entry.provider, entry.model, messages)) {
+            started = true;
+            yield chunk;
+          }
+          this.recordAnswer('stream', entry, index, attempt);
+          return;
+        } catch (error) {
+          // Once text has reached the caller we cannot switch providers mid-answer
+          if (started || !error.retryable) {
+            throw error;
+          }
+          lastError = error;
+          await this.backoff(entry, attempt, maxRetries, error);
+        }
+      }
+    }
+    
+    throw lastError || new Error('No LLM provider in the fallback chain is available. Please check your API keys.');
+  }
+  
+  /**
+   * Generate a response that may ask for tool calls instead of answering directly
+   * @param {Array} messages - Conversation messages, including earlier tool calls and results
+   * @param {Array} tools - Tool definitions with name, description and inputSchema
+   * @param {Function} [onToken] - Called with each text chunk of an answer; the response is
+   *   streamed, but chunks are only passed on once the step turns out to make no tool calls,
+   *   so narration around tool calls never reaches the caller
+   * @returns {Promise<Object>} - { content, toolCalls: [{ id, name, arguments }] }
+   */
+  async generateWithTools(messages, tools, onToken = null) {
+    // Each attempt holds its own chunks: nothing has reached the caller while it runs,
+    // so a provider failing part-way can still fall through to the next one
+    let chunks = [];
+    const hold = onToken && ((text) => chunks.push(text));
+    
+    const result = await this.withFallback(
+      'tools',
+      (provider, model) => {
+        chunks = [];
+        return this.generateToolsWithProvider(provider, model, messages, tools, hold);
+      },
+      provider => this.providerSupportsTools(provider)
+    );
+    
+    if (onToken && result.toolCalls.length === 0) {
+      chunks.forEach(text => onToken(text));
+    }
+    return result;
+  }
+  
+  /**
+   * Generate a response with a specific provider and model
+   */
+  async generateWithProvider(provider, model, messages) {
+    switch (provider) {
+      case 'openai':
+        return this.generateOpenAIResponse(messages, model);
+      case 'claude':
+        return this.generateClaudeResponse(messages, model);
+      case 'local':
+        return this.generateLocalResponse(messages, model);
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+  
+  /**
+   * Stream a response with a specific provider and model
+   */
+  async *streamWithProvider(provider, model, messages) {
+    switch (provider) {
+      case 'openai':
+        yield* this.streamOpenAIResponse(messages, model);
+        break;
+      case 'claude':
+        yield* this.streamClaudeResponse(messages, model);
+        break;
+      case 'local':
+        yield* this.streamLocalResponse(messages, model);
+        break;
+      default:
+        throw new Error(`Unknown LLM provider: ${provider}`);
+    }
+  }
+  
+  /**
+   * Generate a tool-calling response with a specific provider and model
+   */
+  async generateToolsWithProvider(provider, model, messages, tools, onToken = null) {
+    switch (provider) {
       case 'openai':
-        return this.generateOpenAIResponse(messages);
+        return this.generateOpenAIToolResponse(messages, tools, model, onToken);
       case 'claude':
-        return this.generateClaudeResponse(messages);
+        return this.generateClaudeToolResponse(messages, tools, model, onToken);
       case 'local':
-        // Future implementation
-        throw new Error('Local LLM provider not yet implemented');
+        return this.generateLocalToolResponse(messages, tools, model, onToken);
       default:
-        throw new Error(`Unknown LLM provider: ${this.provider}`);
+        throw new Error(`Tool calling is not supported for provider: ${provider}`);
+    }
+  }
+  
+  /**
+   * Run an LLM operation through the fallback chain with bounded retries and backoff
+   * @param {string} operation - Operation name for logging
+   * @param {Function} run - (provider, model) => Promise
+   * @param {Function} [canUse] - Filter for providers that support this operation
+   * @param {Function} [canRetry] - Whether a failed operation may still be retried or passed on
+   * @returns {Promise<any>} - Result from the first provider that answers
+   */
+  async withFallback(operation, run, canUse = () => true, canRetry = () => true) {
+    const chain = await this.getFallbackChain();
+    const { maxRetries } = this.getRetrySettings();
+    let lastError;
+    
+    for (const [index, entry] of chain.entries()) {
+      if (!this.providers[entry.provider] || !canUse(entry.provider)) {
+        logger.warning(`LLM provider ${entry.provider} not available for ${operation}, skipping`, {
+          provider: entry.provider,
+          operation
+        });
+        continue;
+      }
+      
+      for (let attempt = 0; attempt <= maxRetries; attempt++) {
+        try {
+          const result = await run(entry.provider, entry.model);
+          this.recordAnswer(operation, entry, index, attempt);
+          return result;
+        } catch (error) {
+          if (!error.retryable || !canRetry()) {
+            throw error;
+          }
+          lastError = error;
+          await this.backoff(entry, attempt, maxRetries, error);
+        }
+      }
     }
+    
+    throw lastError || new Error('No LLM provider in the fallback chain is available. Please check your API keys.');
+  }
+  
+  /**
+   * Resolve the ordered provider chain: the primary provider first, then the
+   * configured fallbacks (e.g. ['openai:gpt-4o-mini', 'claude:claude-3-haiku', 'local'])
+   * @returns {Promise<Array<Object>>} - [{ provider, model }]
+   */
+  async getFallbackChain() {
+    const entries = [`${this.provider}:${this.model}`, ...(config.get('llm.fallbackChain') || [])];
+    const chain = [];
+    
+    for (const entry of entries) {
+      const [provider, ...modelParts] = entry.split(':');
+      let model = modelParts.join(':') || null;
+      
+      if (!['openai', 'claude', 'local'].includes(provider)) {
+        logger.warning(`Ignoring unknown provider in llm.fallbackChain: ${entry}`);
+        continue;
+      }
+      
+      // No local server is configured, so there is nothing to fall back to
+      if (provider === 'local' && !this.providers.local) {
+        continue;
+      }
+      
+      if (!model && provider === 'local') {
+        // Bare "local" uses the configured local model, or the first one the server reports
+        model = config.get('llm.local.model') || (await this.discoverLocalModels())[0] || null;
+      }
+      if (!model) {
+        logger.warning(`No model configured for fallback provider ${provider}, skipping`);
+        continue;
+      }
+      
+      if (!chain.some(existing => existing.provider === provider && existing.model === model)) {
+        chain.push({ provider, model });
+      }
+    }
+    
+    return chain;
+  }
+  
+  /**
+   * Get retry settings for each provider in the chain
+   * @returns {Object} - { maxRetries, baseDelayMs, maxDelayMs }
+   */
+  getRetrySettings() {
+    return {
+      maxRetries: config.get('llm.retry.maxRetries') ?? 2,
+      baseDelayMs: config.get('llm.retry.baseDelayMs') ?? 1000,
+      maxDelayMs: config.get('llm.retry.maxDelayMs') ?? 8000
+    };
+  }
+  
+  /**
+   * Wait before the next attempt, or log that we are moving down the chain
+   */
+  async backoff(entry, attempt, maxRetries, error) {
+    if (attempt >= maxRetries) {
+      logger.warning(`LLM provider ${entry.provider}:${entry.model} failed, trying next provider`, {
+        provider: entry.provider,
+        model: entry.model,
+        error: error.message
+      });
+      return;
+    }
+    
+    const { baseDelayMs, maxDelayMs } = this.getRetrySettings();
+    const delay = Math.min(baseDelayMs * Math.pow(2, attempt), maxDelayMs);
+    logger.warning(`LLM provider ${entry.provider}:${entry.model} failed, retrying in ${delay}ms`, {
+      provider: entry.provider,
+      model: entry.model,
+      attempt: attempt + 1,
+      status: error.status,
+      error: error.message
+    });
+    await new Promise(resolve => setTimeout(resolve, delay));
+  }
+  
+  /**
+   * Remember and log which provider actually answered
+   */
+  recordAnswer(operation, entry, index, attempt) {
+    this.lastUsedProvider = { ...entry };
+    const data = { operation, provider: entry.provider, model: entry.model, attempts: attempt + 1 };
+    
+    // Only log when something went wrong - the logger echoes to the console,
+    // which would interleave with streamed answers on every turn
+    if (index > 0) {
+      logger.warning(`LLM fallback: answered by ${entry.provider}:${entry.model}`, data);
+    } else if (attempt > 0) {
+      logger.info(`LLM answered by ${entry.provider}:${entry.model} after retrying`, data);
+    }
+  }
+  
+  /**
+   * Create an error that keeps the provider's status and whether it is worth retrying
+   * @param {string} message - User-facing message
+   * @param {Error} cause - Original SDK error
+   * @returns {Error}
+   */
+  providerError(message, cause) {
+    const error = new Error(message);
+    error.status = cause.status;
+    error.retryable = RETRYABLE_STATUSES.includes(cause.status) ||
+      cause instanceof APIConnectionError ||
+      cause instanceof Anthropic.APIConnectionError;
+    return error;
+  }
+  
+  /**
+   * Check whether the current provider supports native tool calling
+   * @returns {boolean}
+   */
+  supportsTools() {
+    return this.providerSupportsTools(this.provider);
+  }
+  
+  /**
+   * Check whether a provider supports native tool calling
+   * @param {string} provider - Provider name
+   * @returns {boolean}
+   */
+  providerSupportsTools(provider) {
+    if (provider === 'local') {
+      // Only some local models handle function calling, so it is opt-in
+      return config.get('llm.local.toolCalling') === true;
+    }
+    return ['openai', 'claude'].includes(provider) && this.providers[provider] !== null;
   }
   
   /**
    * Generate response using OpenAI
    * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
    * @returns {Promise<string>} - Generated response
    */
-  async generateOpenAIResponse(messages) {
+  async generateOpenAIResponse(messages, model = this.model) {
     const client = this.providers.openai;
     if (!client) {
       throw new Error('OpenAI client not initialized. Please check your API key.');
     }
     
     try {
-      const response = await client.chat.completions.create({
-        model: this.model,
-        messages: messages,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        presence_penalty: 0.1,
-        frequency_penalty: 0.1
-      });
-      
-      return response.choices[0].message.content;
+      return await this.requestChatCompletion(client, messages, model);
+    } catch (error) {
+      this.handleOpenAIError(error);
+    }
+  }
+  
+  /**
+   * Stream response using OpenAI
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {AsyncGenerator<string>} - Text chunks as they arrive
+   */
+  async *streamOpenAIResponse(messages, model = this.model) {
+    const client = this.providers.openai;
+    if (!client) {
+      throw new Error('OpenAI client not initialized. Please check your API key.');
+    }
+    
+    try {
+      yield* this.streamChatCompletion(client, messages, model);
+    } catch (error) {
+      this.handleOpenAIError(error);
+    }
+  }
+  
+  /**
+   * Generate a tool-calling response using OpenAI function calling
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions
+   * @param {string} model - Model name
+   * @param {Function} [onToken] - Streams the text as it arrives
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async generateOpenAIToolResponse(messages, tools, model = this.model, onToken = null) {
+    const client = this.providers.openai;
+    if (!client) {
+      throw new Error('OpenAI client not initialized. Please check your API key.');
+    }
+    
+    try {
+      return await this.requestToolCompletion(client, messages, tools, model, onToken);
     } catch (error) {
-      console.error('OpenAI API Error:', error);
+      this.handleOpenAIError(error);
+    }
+  }
+  
+  /**
+   * Request a chat completion from an OpenAI-compatible client
+   * @param {OpenAI} client - OpenAI or OpenAI-compatible client
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {Promise<string>} - Generated response
+   */
+  async requestChatCompletion(client, messages, model) {
+    const response = await client.chat.completions.create({
+      model: model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      presence_penalty: 0.1,
+      frequency_penalty: 0.1
+    });
+    
+    return response.choices[0].message.content;
+  }
+  
+  /**
+   * Stream a chat completion from an OpenAI-compatible client
+   * @param {OpenAI} client - OpenAI or OpenAI-compatible client
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {AsyncGenerator<string>} - Text chunks as they arrive
+   */
+  async *streamChatCompletion(client, messages, model) {
+    const stream = await client.chat.completions.create({
+      model: model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      presence_penalty: 0.1,
+      frequency_penalty: 0.1,
+      stream: true
+    });
+    
+    for await (const chunk of stream) {
+      const text = chunk.choices[0]?.delta?.content;
+      if (text) {
+        yield text;
+      }
+    }
+  }
+  
+  /**
+   * Request a function-calling completion from an OpenAI-compatible client
+   * @param {OpenAI} client - OpenAI or OpenAI-compatible client
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions
+   * @param {string} model - Model name
+   * @param {Function} [onToken] - Streams the text as it arrives (tool calls are assembled from the stream)
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async requestToolCompletion(client, messages, tools, model, onToken = null) {
+    const request = {
+      model: model,
+      messages: messages,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      tools: tools.map(tool => ({
+        type: 'function',
+        function: {
+          name: tool.name,
+          description: tool.description || '',
+          parameters: tool.inputSchema || { type: 'object', properties: {} }
+        }
+      }))
+    };
+    
+    if (onToken) {
+      const stream = await client.chat.completions.create({ ...request, stream: true });
+      let content = '';
+      const calls = [];
       
-      // Handle specific error types
-      if (error.status === 401) {
-        throw new Error('Invalid OpenAI API key. Please check your credentials.');
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.status === 500) {
-        throw new Error('OpenAI service error. Please try again later.');
+      for await (const chunk of stream) {
+        const delta = chunk.choices[0]?.delta;
+        if (delta?.content) {
+          content += delta.content;
+          onToken(delta.content);
+        }
+        // Tool calls arrive in pieces, keyed by their index
+        for (const part of delta?.tool_calls || []) {
+          const call = calls[part.index] ??= { id: '', name: '', arguments: '' };
+          call.id = part.id || call.id;
+          call.name += part.function?.name || '';
+          call.arguments += part.function?.arguments || '';
+        }
       }
       
-      throw new Error(`LLM Error: ${error.message}`);
+      return {
+        content,
+        toolCalls: calls.filter(Boolean).map(call => ({
+          id: call.id,
+          name: call.name,
+          arguments: this.parseToolArguments(call.arguments)
+        }))
+      };
+    }
+    
+    const response = await client.chat.completions.create(request);
+    const message = response.choices[0].message;
+    return {
+      content: message.content || '',
+      toolCalls: (message.tool_calls || []).map(call => ({
+        id: call.id,
+        name: call.function.name,
+        arguments: this.parseToolArguments(call.function.arguments)
+      }))
+    };
+  }
+  
+  /**
+   * Parse tool call arguments returned as a JSON string
+   * @param {string} args - Raw arguments
+   * @returns {Object} - Parsed arguments, empty if malformed
+   */
+  parseToolArguments(args) {
+    try {
+      return args ? JSON.parse(args) : {};
+    } catch (error) {
+      console.warn('Could not parse tool call arguments:', args);
+      return {};
+    }
+  }
+  
+  /**
+   * Translate an OpenAI API error into a user-facing error
+   * @param {Error} error - Error thrown by the OpenAI SDK
+   */
+  handleOpenAIError(error) {
+    console.error('OpenAI API Error:', error);
+    
+    // Handle specific error types
+    if (error.status === 401) {
+      throw this.providerError('Invalid OpenAI API key. Please check your credentials.', error);
+    } else if (error.status === 429) {
+      throw this.providerError('Rate limit exceeded. Please try again later.', error);
+    } else if (error.status === 500) {
+      throw this.providerError('OpenAI service error. Please try again later.', error);
     }
+    
+    throw this.providerError(`LLM Error: ${error.message}`, error);
   }
   
   /**
    * Generate response using Claude (Anthropic)
    * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
    * @returns {Promise<string>} - Generated response
    */
-  async generateClaudeResponse(messages) {
+  async generateClaudeResponse(messages, model = this.model) {
     const client = this.providers.claude;
     if (!client) {
       throw new Error('Claude client not initialized. Please check your API key.');
     }
     
     try {
-      // Convert messages format for Claude
-      // Claude expects a different format than OpenAI
-      const systemMessage = messages.find(m => m.role === 'system')?.content || '';
-      const userMessages = messages.filter(m => m.role !== 'system');
-      
-      // Map the model name to Claude's naming convention
-      let claudeModel = this.model;
-      if (claudeModel === 'claude-3-opus') {
-        claudeModel = 'claude-3-opus-20240229';
-      } else if (claudeModel === 'claude-3-sonnet') {
-        claudeModel = 'claude-3-5-sonnet-20241022';
-      } else if (claudeModel === 'claude-3-haiku') {
-        claudeModel = 'claude-3-haiku-20240307';
-      } else if (claudeModel === 'claude-2.1') {
-        claudeModel = 'claude-2.1';
-      }
+      const response = await client.messages.create(this.buildClaudeRequest(messages, model));
       
-      const response = await client.messages.create({
-        model: claudeModel,
-        max_tokens: this.maxTokens,
-        temperature: this.temperature,
-        system: systemMessage,
-        messages: userMessages
+      return response.content[0].text;
+    } catch (error) {
+      this.handleClaudeError(error);
+    }
+  }
+  
+  /**
+   * Stream response using Claude (Anthropic)
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {AsyncGenerator<string>} - Text chunks as they arrive
+   */
+  async *streamClaudeResponse(messages, model = this.model) {
+    const client = this.providers.claude;
+    if (!client) {
+      throw new Error('Claude client not initialized. Please check your API key.');
+    }
+    
+    try {
+      const stream = await client.messages.create({
+        ...this.buildClaudeRequest(messages, model),
+        stream: true
       });
       
-      return response.content[0].text;
+      for await (const event of stream) {
+        if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+          yield event.delta.text;
+        }
+      }
     } catch (error) {
-      console.error('Claude API Error:', error);
+      this.handleClaudeError(error);
+    }
+  }
+  
+  /**
+   * Generate a tool-calling response using Claude tool use
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions
+   * @param {string} model - Model name
+   * @param {Function} [onToken] - Streams the text as it arrives
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async generateClaudeToolResponse(messages, tools, model = this.model, onToken = null) {
+    const client = this.providers.claude;
+    if (!client) {
+      throw new Error('Claude client not initialized. Please check your API key.');
+    }
+    
+    try {
+      const request = {
+        ...this.buildClaudeRequest(messages, model),
+        tools: tools.map(tool => ({
+          name: tool.name,
+          description: tool.description || '',
+          input_schema: tool.inputSchema || { type: 'object', properties: {} }
+        }))
+      };
       
-      // Handle specific error types
-      if (error.status === 401) {
-        throw new Error('Invalid Anthropic API key. Please check your credentials.');
-      } else if (error.status === 429) {
-        throw new Error('Rate limit exceeded. Please try again later.');
-      } else if (error.status === 500) {
-        throw new Error('Claude service error. Please try again later.');
+      if (onToken) {
+        const stream = await client.messages.create({ ...request, stream: true });
+        let content = '';
+        // Content block index -> tool call with its input JSON so far
+        const calls = new Map();
+        
+        for await (const event of stream) {
+          if (event.type === 'content_block_start' && event.content_block.type === 'tool_use') {
+            calls.set(event.index, { id: event.content_block.id, name: event.content_block.name, input: '' });
+          } else if (event.type === 'content_block_delta' && event.delta.type === 'text_delta') {
+            content += event.delta.text;
+            onToken(event.delta.text);
+          } else if (event.type === 'content_block_delta' && event.delta.type === 'input_json_delta') {
+            calls.get(event.index).input += event.delta.partial_json;
+          }
+        }
+        
+        return {
+          content,
+          toolCalls: [...calls.values()].map(call => ({
+            id: call.id,
+            name: call.name,
+            arguments: this.parseToolArguments(call.input)
+          }))
+        };
       }
       
-      throw new Error(`Claude Error: ${error.message}`);
+      const response = await client.messages.create(request);
+      
+      return {
+        content: response.content
+          .filter(block => block.type === 'text')
+          .map(block => block.text)
+          .join(''),
+        toolCalls: response.content
+          .filter(block => block.type === 'tool_use')
+          .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} }))
+      };
+    } catch (error) {
+      this.handleClaudeError(error);
+    }
+  }
+  
+  /**
+   * Build the Claude request body from OpenAI-style messages
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {Object} - Request body for client.messages.create
+   */
+  buildClaudeRequest(messages, model = this.model) {
+    // Convert messages format for Claude
+    // Claude expects a different format than OpenAI
+    const systemMessage = messages.find(m => m.role === 'system')?.content || '';
+    const userMessages = this.toClaudeMessages(messages.filter(m => m.role !== 'system'));
+    
+    // Map the model name to Claude's naming convention
+    let claudeModel = model;
+    if (claudeModel === 'claude-3-opus') {
+      claudeModel = 'claude-3-opus-20240229';
+    } else if (claudeModel === 'claude-3-sonnet') {
+      claudeModel = 'claude-3-5-sonnet-20241022';
+    } else if (claudeModel === 'claude-3-haiku') {
+      claudeModel = 'claude-3-haiku-20240307';
+    } else if (claudeModel === 'claude-2.1') {
+      claudeModel = 'claude-2.1';
+    }
+    
+    return {
+      model: claudeModel,
+      max_tokens: this.maxTokens,
+      temperature: this.temperature,
+      system: systemMessage,
+      messages: userMessages
+    };
+  }
+  
+  /**
+   * Convert OpenAI-style tool calls and tool results into Claude content blocks
+   * @param {Array} messages - Non-system conversation messages
+   * @returns {Array} - Messages in Claude's format
+   */
+  toClaudeMessages(messages) {
+    const converted = [];
+    
+    for (const message of messages) {
+      if (message.role === 'tool') {
+        // Claude expects tool results as user content, grouped after the tool_use turn
+        const block = { type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content };
+        const previous = converted[converted.length - 1];
+        if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+            previous.content[0]?.type === 'tool_result') {
+          previous.content.push(block);
+        } else {
+          converted.push({ role: 'user', content: [block] });
+        }
+      } else if (message.role === 'assistant' && message.tool_calls) {
+        const content = message.content ? [{ type: 'text', text: message.content }] : [];
+        for (const call of message.tool_calls) {
+          content.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function.name,
+            input: this.parseToolArguments(call.function.arguments)
+          });
+        }
+        converted.push({ role: 'assistant', content });
+      } else {
+        converted.push({ role: message.role, content: message.content });
+      }
+    }
+    
+    return converted;
+  }
+  
+  /**
+   * Translate an Anthropic API error into a user-facing error
+   * @param {Error} error - Error thrown by the Anthropic SDK
+   */
+  handleClaudeError(error) {
+    console.error('Claude API Error:', error);
+    
+    // Handle specific error types
+    if (error.status === 401) {
+      throw this.providerError('Invalid Anthropic API key. Please check your credentials.', error);
+    } else if (error.status === 429) {
+      throw this.providerError('Rate limit exceeded. Please try again later.', error);
+    } else if (error.status === 500) {
+      throw this.providerError('Claude service error. Please try again later.', error);
+    }
+    
+    throw this.providerError(`Claude Error: ${error.message}`, error);
+  }
+  
+  /**
+   * Generate response using a local OpenAI-compatible server (Ollama / LM Studio)
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {Promise<string>} - Generated response
+   */
+  async generateLocalResponse(messages, model = this.model) {
+    try {
+      return await this.requestChatCompletion(this.providers.local, messages, model);
+    } catch (error) {
+      this.handleLocalError(error, model);
+    }
+  }
+  
+  /**
+   * Stream response using a local OpenAI-compatible server
+   * @param {Array} messages - Conversation messages
+   * @param {string} model - Model name
+   * @returns {AsyncGenerator<string>} - Text chunks as they arrive
+   */
+  async *streamLocalResponse(messages, model = this.model) {
+    try {
+      yield* this.streamChatCompletion(this.providers.local, messages, model);
+    } catch (error) {
+      this.handleLocalError(error, model);
+    }
+  }
+  
+  /**
+   * Generate a tool-calling response using a local OpenAI-compatible server
+   * @param {Array} messages - Conversation messages
+   * @param {Array} tools - Tool definitions
+   * @param {string} model - Model name
+   * @param {Function} [onToken] - Streams the text as it arrives
+   * @returns {Promise<Object>} - { content, toolCalls }
+   */
+  async generateLocalToolResponse(messages, tools, model = this.model, onToken = null) {
+    try {
+      return await this.requestToolCompletion(this.providers.local, messages, tools, model, onToken);
+    } catch (error) {
+      this.handleLocalError(error, model);
+    }
+  }
+  
+  /**
+   * Translate a local server error into a user-facing error
+   * @param {Error} error - Error thrown by the OpenAI SDK against the local server
+   * @param {string} model - Model that was requested
+   */
+  handleLocalError(error, model = this.model) {
+    console.error('Local LLM Error:', error);
+    
+    if (error instanceof APIConnectionError) {
+      throw this.providerError(`Could not reach the local LLM server at ${this.localBaseUrl}. Is Ollama or LM Studio running?`, error);
+    } else if (error.status === 404) {
+      throw this.providerError(`Model "${model}" is not available on the local LLM server. Run getAvailableModels() to see what it serves.`, error);
+    }
+    
+    throw this.providerError(`Local LLM Error: ${error.message}`, error);
+  }
+  
+  /**
+   * Models the local server reports, cached for llm.local.discoveryTtlMs. An empty
+   * answer is cached too, so a server that is down is not asked again on every request.
+   * @returns {Promise<Array<string>>} - Model ids reported by the server
+   */
+  async discoverLocalModels() {
+    const ttl = config.get('llm.local.discoveryTtlMs') ?? 60000;
+    if (!this.localModels || Date.now() - this.localModels.fetchedAt >= ttl) {
+      this.localModels = { models: await this.fetchLocalModels(), fetchedAt: Date.now() };
+    }
+    return this.localModels.models;
+  }
+  
+  /**
+   * Ask the local server which models it serves
+   * @returns {Promise<Array<string>>} - Model ids reported by the server
+   */
+  async fetchLocalModels() {
+    try {
+      const models = [];
+      for await (const model of this.providers.local.models.list()) {
+        models.push(model.id);
+      }
+      return models;
+    } catch (error) {
+      console.warn(`Could not list models from local LLM server at ${this.localBaseUrl}: ${error.message}`);
+      return [];
     }
   }
   
@@ -174,6 +912,9 @@ export class LLMManager {
     }
     
     this.provider = provider;
+    if (provider === 'local' && !this.providers.local) {
+      this.providers.local = this.initLocal();
+    }
     
     // Update provider-specific settings
     if (options.model) this.model = options.model;
@@ -195,15 +936,23 @@ export class LLMManager {
       model: this.model,
       maxTokens: this.maxTokens,
       temperature: this.temperature,
-      available: this.providers[this.provider] !== null
+      available: this.providers[this.provider] !== null,
+      fallbackChain: config.get('llm.fallbackChain') || [],
+      lastUsedProvider: this.lastUsedProvider || null
     };
   }
   
   /**
    * List available models for current provider
-   * @returns {Array<string>} - Available models
+   * @returns {Promise<Array<string>>} - Available models
    */
-  getAvailableModels() {
+  async getAvailableModels() {
+    if (this.provider === 'local') {
+      // Whatever the local server has pulled/loaded, asked afresh (and kept for the fallback chain)
+      this.localModels = { models: await this.fetchLocalModels(), fetchedAt: Date.now() };
+      return this.localModels.models;
+    }
+    
     const models = {
       openai: [
         'gpt-4o-mini-2025-04-16',
@@ -218,9 +967,6 @@ export class LLMManager {
         'claude-3-sonnet',
         'claude-3-haiku',
         'claude-2.1'
-      ],
-      local: [
-        // Will be dynamically fetched from Ollama/LM Studio
       ]
     };
     
@@ -233,9 +979,53 @@ export class LLMManager {
    * @returns {number} - Estimated token count
    */
   estimateTokens(messages) {
-    // Simple estimation: ~4 characters per token
-    const text = messages.map(m => m.content).join(' ');
-    return Math.ceil(text.length / 4);
+    // Simple estimation: ~4 characters per token, plus a few tokens of framing per message
+    const text = messages
+      .map(m => typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''))
+      .join(' ');
+    return Math.ceil(text.length / 4) + messages.length * 4;
+  }
+  
+  /**
+   * Get the context window (in tokens) for a model
+   * @param {string} model - Model name (defaults to the current model)
+   * @param {string} provider - Provider serving the model (defaults to the current provider)
+   * @returns {number} - Context window size
+   */
+  getContextWindow(model = this.model, provider = this.provider) {
+    const configured = config.get('llm.contextWindow');
+    if (configured) {
+      return configured;
+    }
+    
+    if (provider === 'local') {
+      // Local servers vary widely; Ollama defaults to small contexts
+      return config.get('llm.local.contextWindow') || 8192;
+    }
+    
+    const windows = [
+      [/^gpt-4o/, 128000],
+      [/^gpt-4-turbo/, 128000],
+      [/^gpt-4/, 8192],
+      [/^gpt-3\.5-turbo/, 16385],
+      [/^claude-/, 200000]
+    ];
+    
+    const match = windows.find(([pattern]) => pattern.test(model));
+    return match ? match[1] : 8192;
+  }
+  
+  /**
+   * Get the smallest context window across the available providers in the
+   * fallback chain, since any of them may end up answering
+   * @returns {Promise<number>} - Context window size
+   */
+  async getChainContextWindow() {
+    const chain = (await this.getFallbackChain()).filter(entry => this.providers[entry.provider]);
+    if (chain.length === 0) {
+      return this.getContextWindow();
+    }
+    return Math.min(...chain.map(entry => this.getContextWindow(entry.model, entry.provider)));
   }
   
   /**
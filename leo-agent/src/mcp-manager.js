@@ -5,44 +5,53 @@
 
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
 import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { SSEClientTransport } from '@modelcontextprotocol/sdk/client/sse.js';
+import { StreamableHTTPClientTransport } from '@modelcontextprotocol/sdk/client/streamableHttp.js';
 import { logger } from './logger.js';
 import { TimeoutRecoveryManager } from './timeout-recovery-manager.js';
+import { CircuitBreaker } from './circuit-breaker.js';
+import { MCPSupervisor } from './mcp-supervisor.js';
+import { loadServerConfigs } from './mcp-registry.js';
+import { config } from './config.js';
+import { getPeriodStart } from './query-utils.js';
+import { IntercomConnector, INTERCOM_TOOL } from './intercom-connector.js';
+import { JQLBuilder } from './jql-builder.js';
+import { CQLBuilder, findSpaceKeys } from './cql-builder.js';
+import { brandRegistry } from './brand-registry.js';
+
+// Marker for sources still running when the gather deadline passes
+const DEADLINE_EXCEEDED = Symbol('deadline exceeded');
 
 export class MCPManager {
-  constructor() {
+  /**
+   * @param {Object} options
+   * @param {Object} options.servers - Server declarations (defaults to mcp.servers in settings)
+   * @param {IntercomConnector} options.intercom - Intercom connector (defaults to one built from settings)
+   * @param {JQLBuilder} options.jqlBuilder - Translates questions into JQL (defaults to rule-based translation)
+   * @param {CQLBuilder} options.cqlBuilder - Translates questions into CQL (defaults to rule-based translation)
+   */
+  constructor(options = {}) {
     this.servers = new Map();
     this.initialized = false;
     this.connectionPool = new Map(); // Reuse connections
-    this.timeoutRecoveryManager = new TimeoutRecoveryManager();
-    
-    // MCP server configurations
-    this.serverConfigs = {
-      atlassian: {
-        command: '/Users/dionvm/Documents/Cline/MCP/mcp-atlassian/venv/bin/mcp-atlassian',
-        args: [],
-        name: 'Atlassian (Jira/Confluence)',
-        enabled: true,
-        env: {
-          CONFLUENCE_URL: process.env.CONFLUENCE_URL || process.env.ATLASSIAN_URL || 'https://truefirestudios.atlassian.net/wiki',
-          CONFLUENCE_USERNAME: process.env.CONFLUENCE_USERNAME || process.env.ATLASSIAN_EMAIL || process.env.JIRA_EMAIL,
-          CONFLUENCE_API_TOKEN: process.env.CONFLUENCE_API_TOKEN || process.env.ATLASSIAN_API_TOKEN || process.env.JIRA_API_TOKEN,
-          JIRA_URL: process.env.JIRA_URL || process.env.ATLASSIAN_URL || 'https://truefirestudios.atlassian.net',
-          JIRA_USERNAME: process.env.JIRA_USERNAME || process.env.ATLASSIAN_EMAIL || process.env.JIRA_EMAIL,
-          JIRA_API_TOKEN: process.env.JIRA_API_TOKEN || process.env.ATLASSIAN_API_TOKEN
-        }
-      },
-      googleDrive: {
-        command: 'npx',
-        args: ['-y', '@chinchillaenterprises/mcp-google-drive'],
-        name: 'Google Drive',
-        enabled: true,
-        env: {
-          GOOGLE_CLIENT_ID: process.env.GOOGLE_CLIENT_ID,
-          GOOGLE_CLIENT_SECRET: process.env.GOOGLE_CLIENT_SECRET,
-          GOOGLE_REFRESH_TOKEN: process.env.GOOGLE_REFRESH_TOKEN
-        }
-      }
-    };
+    this.pendingConnections = new Map(); // In-flight connection attempts
+    // Fail fast on tools that keep failing, probing them in the background
+    this.circuitBreaker = new CircuitBreaker({ probe: (key) => this.probeTool(key) });
+    this.timeoutRecoveryManager = new TimeoutRecoveryManager({ circuitBreaker: this.circuitBreaker });
+    // Restarts stdio server processes that exit; emits 'status' events
+    this.supervisor = new MCPSupervisor(this);
+    this.intercom = options.intercom || new IntercomConnector(); // Built-in connector, not an MCP server
+    this.jqlBuilder = options.jqlBuilder || new JQLBuilder();
+    this.cqlBuilder = options.cqlBuilder || new CQLBuilder();
+    
+    // MCP server configurations, declared in settings and validated up front
+    const { servers, errors } = loadServerConfigs(options.servers);
+    this.serverConfigs = servers;
+    this.configErrors = errors;
+    
+    for (const error of errors) {
+      logger.error('Invalid MCP server configuration', { error });
+    }
   }
   
   /**
@@ -51,6 +60,12 @@ export class MCPManager {
   async initialize() {
     logger.info('MCP Manager: Initializing servers...');
     
+    // Pick up response-time history from previous runs
+    if (await this.timeoutRecoveryManager.loadMetrics()) {
+      logger.info('Loaded timeout metrics', { tools: this.timeoutRecoveryManager.performanceMetrics.size });
+    }
+    this.timeoutRecoveryManager.startAutoSave();
+    
     for (const [key, config] of Object.entries(this.serverConfigs)) {
       if (config.enabled) {
         try {
@@ -78,6 +93,12 @@ export class MCPManager {
     // Check if we have a live connection in the pool
     if (this.connectionPool.has(key)) {
       const conn = this.connectionPool.get(key);
+      
+      // The supervisor notices when a watched process exits, so no health check is needed
+      if (this.supervisor.isWatching(key)) {
+        return conn;
+      }
+      
       try {
         // Test if connection is still alive
         await Promise.race([
@@ -101,7 +122,13 @@ export class MCPManager {
       throw new Error(`Server ${key} not configured`);
     }
     
-    await this.connectServer(key, config);
+    // Concurrent callers (e.g. Jira and Confluence) share one connection attempt
+    if (!this.pendingConnections.has(key)) {
+      const connecting = this.connectServer(key, config)
+        .finally(() => this.pendingConnections.delete(key));
+      this.pendingConnections.set(key, connecting);
+    }
+    await this.pendingConnections.get(key);
     return this.servers.get(key);
   }
   
@@ -112,22 +139,16 @@ export class MCPManager {
     const startTime = Date.now();
     logger.info(`Connecting to ${config.name}...`, {
       server: key,
-      name: config.name
+      name: config.name,
+      transport: config.transport,
+      ...(config.url ? { url: config.url } : {})
     });
     
+    let client;
     try {
-      const mergedEnv = {
-        ...process.env,
-        ...(config.env || {})
-      };
-      
-      const transport = new StdioClientTransport({
-        command: config.command,
-        args: config.args,
-        env: mergedEnv
-      });
+      const transport = this.createTransport(config);
       
-      const client = new Client({
+      client = new Client({
         name: `leo-agent-${key}`,
         version: '1.0.0'
       }, {
@@ -142,9 +163,9 @@ export class MCPManager {
         if (this._protocol && this._protocol._requestHandlers) {
           const originalSend = this._protocol._sendRequest.bind(this._protocol);
           this._protocol._sendRequest = async function(request) {
-            // Set a 20-second timeout for all requests
+            // Protocol-level ceiling for all requests
             const timeoutPromise = new Promise((_, reject) => {
-              setTimeout(() => reject(new Error(`Request timeout: ${request.method}`)), 20000);
+              setTimeout(() => reject(new Error(`Request timeout: ${request.method}`)), config.timeouts.request);
             });
             return Promise.race([originalSend(request), timeoutPromise]);
           };
@@ -155,7 +176,7 @@ export class MCPManager {
       // Connect with timeout
       const connectPromise = client.connect(transport);
       const timeoutPromise = new Promise((_, reject) => 
-        setTimeout(() => reject(new Error('Connection timeout')), 10000)
+        setTimeout(() => reject(new Error('Connection timeout')), config.timeouts.connect)
       );
       
       await Promise.race([connectPromise, timeoutPromise]);
@@ -165,140 +186,193 @@ export class MCPManager {
       const tools = await Promise.race([
         client.listTools(),
         new Promise((_, reject) => 
-          setTimeout(() => reject(new Error('List tools timeout')), 5000)
+          setTimeout(() => reject(new Error('List tools timeout')), config.timeouts.listTools)
         )
       ]);
       
+      // Only expose allow-listed tools when the server declares a tools list
+      const availableTools = config.tools
+        ? tools.tools.filter(tool => config.tools.includes(tool.name))
+        : tools.tools;
+      
       const connectionDuration = Date.now() - startTime;
       logger.logConnection(config.name, true, connectionDuration);
-      logger.info(`${config.name} connected with ${tools.tools.length} tools available`, {
+      logger.info(`${config.name} connected with ${availableTools.length} tools available`, {
         server: key,
-        toolCount: tools.tools.length,
+        toolCount: availableTools.length,
         toolListDuration: Date.now() - toolsStartTime
       });
       
       const serverInfo = {
         client,
         config,
-        tools: tools.tools,
+        tools: availableTools,
         transport
       };
       
       this.servers.set(key, serverInfo);
       this.connectionPool.set(key, serverInfo);
-      
+      this.supervisor.watch(key, serverInfo);
+    
     } catch (error) {
       const duration = Date.now() - startTime;
       logger.logConnection(config.name, false, duration, error);
+      // Don't leave a half-started server process behind (e.g. after a connection timeout)
+      await client?.close().catch(() => {});
       throw error;
     }
   }
   
   /**
-   * Query Atlassian with much simpler queries and retry logic
+   * Create the client transport for a server: a spawned process (stdio) or a
+   * remote server reached by URL (sse, http)
+   */
+  createTransport(config) {
+    const requestInit = { headers: config.headers };
+    
+    switch (config.transport) {
+      case 'sse':
+        return new SSEClientTransport(new URL(config.url), { requestInit });
+      case 'http':
+        return new StreamableHTTPClientTransport(new URL(config.url), { requestInit });
+      default:
+        return new StdioClientTransport({
+          command: config.command,
+          args: config.args,
+          env: {
+            ...process.env,
+            ...(config.env || {})
+          }
+        });
+    }
+  }
+  
+  /**
+   * Query Atlassian with much simpler queries and retry logic.
+   * Jira and Confluence are queried concurrently.
    */
-  async queryAtlassian(query, brand) {
+  async queryAtlassian(query, brand, deadline = null) {
     try {
       const server = await this.getConnection('atlassian');
       if (!server) return null;
       
+      const [jira, confluence] = await Promise.all([
+        /jira|issue|ticket|sprint|bug|task/i.test(query) ? this.queryJira(query, brand, deadline) : null,
+        /confluence|doc|prd|spec|wiki|charter|project/i.test(query) ? this.queryConfluence(query, brand, deadline) : null
+      ]);
+      
       const results = {};
+      if (jira) results.jira = jira;
+      if (confluence) results.confluence = confluence;
+      return results;
+    } catch (error) {
+      logger.error('Error in queryAtlassian', {
+        query,
+        brand,
+        error: error.message
+      });
+      return { error: error.message };
+    }
+  }
+  
+  /**
+   * Query Jira with JQL translated from the question, falling back to a project-specific query.
+   * The result carries the JQL that was used so the answer can show it.
+   */
+  async queryJira(query, brand, deadline = null) {
+    try {
+      const { jql, source } = await this.jqlBuilder.build(query, brand, deadline);
+      logger.info('Searching Jira', { query, brand, jql, source });
       
-      // For Jira - use extremely simple query
-      if (/jira|issue|ticket|sprint|bug|task/i.test(query)) {
-        try {
-          logger.info('Attempting simple Jira query...', { query, brand });
-          
-          // Start with just 3 recent items
-          let jiraResult = await this.callToolWithRetry('atlassian', 'jira_search', {
-            jql: 'ORDER BY updated DESC',
-            limit: 3
-          }, 10000, 2, query); // 10s timeout, 2 retries, pass query for context
-          
-          if (jiraResult && !jiraResult.error) {
-            results.jira = jiraResult;
-          } else {
-            // If that fails, try project-specific query
-            const projectMatch = query.match(/\b([A-Z]{2,})\b/);
-            if (projectMatch) {
-              logger.info(`Trying project-specific query for ${projectMatch[1]}...`);
-              jiraResult = await this.callToolWithRetry('atlassian', 'jira_search', {
-                jql: `project = ${projectMatch[1]} ORDER BY updated DESC`,
-                limit: 3
-              }, 10000, 1, query);
-              
-              if (jiraResult && !jiraResult.error) {
-                results.jira = jiraResult;
-              }
-            }
-            
-            if (!results.jira) {
-              results.jira = {
-                error: 'Jira search failed - API may be slow',
-                suggestion: 'Try searching for specific project keys (e.g., "PROJ-123")'
-              };
-            }
-          }
-        } catch (error) {
-          logger.error('Jira search error', {
-            query,
-            error: error.message,
-            operation: 'jira_search'
-          });
-          results.jira = { 
-            error: 'Jira API timeout',
-            suggestion: 'The Atlassian API is responding slowly. Try again later.'
-          };
-        }
+      let jiraResult = await this.callToolWithRetry('atlassian', 'jira_search', {
+        jql,
+        limit: config.get('jira.maxResults') ?? 10
+      }, 10000, 2, query, deadline); // 10s timeout, 2 retries, pass query for context
+      
+      if (jiraResult && !jiraResult.error) {
+        return { ...jiraResult, jql };
       }
       
-      // For Confluence - use very simple query
-      if (/confluence|doc|prd|spec|wiki|charter|project/i.test(query)) {
-        try {
-          logger.info('Attempting simple Confluence query...', { query, brand });
-          
-          // Just get 3 recent pages
-          const confluenceResult = await this.callToolWithRetry('atlassian', 'confluence_search', {
-            query: 'type=page ORDER BY lastmodified DESC',
-            limit: 3
-          }, 10000, 2, query);
-          
-          if (confluenceResult && !confluenceResult.error) {
-            results.confluence = confluenceResult;
-          } else {
-            results.confluence = {
-              error: 'Confluence search failed - API may be slow',
-              suggestion: 'Try searching with specific page titles'
-            };
-          }
-        } catch (error) {
-          logger.error('Confluence search error', {
-            query,
-            error: error.message,
-            operation: 'confluence_search'
-          });
-          results.confluence = { 
-            error: 'Confluence API timeout',
-            suggestion: 'The Atlassian API is responding slowly. Try again later.'
-          };
+      // If that fails, try project-specific query
+      const projectMatch = query.match(/\b([A-Z]{2,})\b/);
+      const projectJql = projectMatch && `project = ${projectMatch[1]} ORDER BY updated DESC`;
+      if (projectMatch && projectJql !== jql) {
+        logger.info(`Trying project-specific query for ${projectMatch[1]}...`);
+        const projectResult = await this.callToolWithRetry('atlassian', 'jira_search', {
+          jql: projectJql,
+          limit: 3
+        }, 10000, 1, query, deadline);
+        
+        if (projectResult && !projectResult.error) {
+          return { ...projectResult, jql: projectJql };
         }
       }
       
-      return results;
+      // Timeouts carry recovery options the user can pick from; a degraded
+      // result says Jira is being skipped until it recovers
+      if (jiraResult?.error === 'TIMEOUT_ERROR' || jiraResult?.error === 'SERVICE_DEGRADED') {
+        return { ...jiraResult, jql };
+      }
+      return {
+        error: 'Jira search failed - API may be slow',
+        suggestion: 'Try searching for specific project keys (e.g., "PROJ-123")',
+        jql
+      };
     } catch (error) {
-      logger.error('Error in queryAtlassian', {
+      logger.error('Jira search error', {
         query,
-        brand,
-        error: error.message
+        error: error.message,
+        operation: 'jira_search'
       });
-      return { error: error.message };
+      return {
+        error: 'Jira API timeout',
+        suggestion: 'The Atlassian API is responding slowly. Try again later.'
+      };
+    }
+  }
+  
+  /**
+   * Query Confluence with CQL translated from the question (space, terms, labels, dates).
+   * The result carries the CQL that was used so the answer can show it.
+   */
+  async queryConfluence(query, brand, deadline = null) {
+    try {
+      const { cql, source } = await this.cqlBuilder.build(query, brand, deadline);
+      logger.info('Searching Confluence', { query, brand, cql, source });
+      
+      const confluenceResult = await this.callToolWithRetry('atlassian', 'confluence_search', {
+        query: cql,
+        limit: config.get('confluence.maxResults') ?? 10
+      }, 10000, 2, query, deadline);
+      
+      if (confluenceResult && !confluenceResult.error) {
+        return { ...confluenceResult, cql };
+      }
+      if (confluenceResult?.error === 'TIMEOUT_ERROR' || confluenceResult?.error === 'SERVICE_DEGRADED') {
+        return { ...confluenceResult, cql };
+      }
+      return {
+        error: 'Confluence search failed - API may be slow',
+        suggestion: 'Try searching with specific page titles',
+        cql
+      };
+    } catch (error) {
+      logger.error('Confluence search error', {
+        query,
+        error: error.message,
+        operation: 'confluence_search'
+      });
+      return {
+        error: 'Confluence API timeout',
+        suggestion: 'The Atlassian API is responding slowly. Try again later.'
+      };
     }
   }
   
   /**
-   * Query Google Drive - this seems to work fine
+   * Query Google Drive, within the brand's folders when it has any
    */
-  async queryGoogleDrive(query, brand) {
+  async queryGoogleDrive(query, brand, deadline = null) {
     try {
       const server = await this.getConnection('googleDrive');
       if (!server) return null;
@@ -327,12 +401,27 @@ export class MCPManager {
       
       const searchQuery = searchTerms.length > 0 ? searchTerms.join(' ') : 'type:folder OR type:document';
       
-      const result = await this.callToolWithRetry('googleDrive', 'drive_search_files', {
-        query: searchQuery,
-        pageSize: 10
-      }, 15000, 2, query);
+      // Search the brand's folders when it has any, otherwise all of Drive
+      const folders = brandRegistry.getScopes(brand, 'googleDrive');
+      if (folders.length === 0) {
+        return await this.callToolWithRetry('googleDrive', 'drive_search_files', {
+          query: searchQuery,
+          pageSize: 10
+        }, 15000, 2, query, deadline);
+      }
       
-      return result;
+      const results = await Promise.all(folders.map(folderId =>
+        this.callToolWithRetry('googleDrive', 'drive_search_files', {
+          query: searchQuery,
+          pageSize: 10,
+          folderId
+        }, 15000, 2, query, deadline)
+      ));
+      const found = results.filter(result => result && !result.error);
+      if (found.length === 0) {
+        return results[0];
+      }
+      return found.length === 1 ? found[0] : { type: 'text', text: found.map(result => result.text).join('\n') };
     } catch (error) {
       logger.error('Google Drive search error', {
         query,
@@ -348,15 +437,159 @@ export class MCPManager {
   }
   
   /**
-   * Call a tool with retry logic using intelligent recovery strategies
+   * Query Intercom for recent customer conversations in the brand's workspace
+   */
+  async queryIntercom(query, brand, deadline = null) {
+    return this.intercom.getFeedback(query, brand, deadline);
+  }
+  
+  /**
+   * Query GitHub for recent PRs, open issues, releases/tags and commits in the brand's repos
+   */
+  async queryGitHub(query, brand, deadline = null) {
+    if (!this.serverConfigs.github?.enabled) return null;
+    
+    try {
+      const server = await this.getConnection('github');
+      if (!server) return null;
+      
+      const repos = this.getGitHubRepos(brand);
+      if (repos.length === 0) {
+        return {
+          error: `No GitHub repositories mapped${brand ? ` for ${brand}` : ''}`,
+          suggestion: 'Add the repositories to the brand in config/brands.json (github.repos)'
+        };
+      }
+      
+      const since = getPeriodStart(query, config.get('github.lookbackDays') ?? 7);
+      const perPage = config.get('github.perPage') ?? 20;
+      const sections = this.getGitHubSections(query);
+      const results = { since: since.toISOString() };
+      
+      logger.info('Querying GitHub...', { query, brand, repos, since: results.since });
+      
+      // Repos are queried concurrently, so one slow repo doesn't hold up the others
+      const queryRepo = async (fullName) => {
+        const [owner, repo] = fullName.split('/');
+        const calls = [];
+        
+        if (sections.pullRequests) {
+          calls.push(['pullRequests', 'list_pull_requests',
+            { owner, repo, state: 'all', sort: 'updated', direction: 'desc', perPage },
+            pr => pr.merged_at || pr.closed_at || pr.updated_at]);
+        }
+        if (sections.issues) {
+          calls.push(['issues', 'list_issues',
+            { owner, repo, state: 'open', since: results.since, perPage },
+            null]);
+        }
+        if (sections.releases) {
+          calls.push(['releases', 'list_releases', { owner, repo, perPage },
+            release => release.published_at || release.created_at]);
+          calls.push(['tags', 'list_tags', { owner, repo, perPage }, null]);
+        }
+        if (sections.commits) {
+          calls.push(['commits', 'list_commits', { owner, repo, perPage },
+            commit => commit.commit?.author?.date || commit.author?.date]);
+        }
+        
+        const repoResults = {};
+        await Promise.all(calls.map(async ([section, toolName, params, dateOf]) => {
+          const result = await this.callToolWithRetry('github', toolName, params, 10000, 1, query, deadline);
+          repoResults[section] = this.filterSince(result, since, dateOf);
+        }));
+        return repoResults;
+      };
+      
+      const outcomes = await Promise.allSettled(repos.map(queryRepo));
+      for (const [index, outcome] of outcomes.entries()) {
+        results[repos[index]] = outcome.status === 'fulfilled'
+          ? outcome.value
+          : { error: outcome.reason?.message || String(outcome.reason) };
+      }
+      
+      return results;
+    } catch (error) {
+      logger.error('GitHub query error', {
+        query,
+        brand,
+        error: error.message
+      });
+      return {
+        error: error.message,
+        suggestion: 'Check GITHUB_TOKEN and the github.repos mapping'
+      };
+    }
+  }
+  
+  /**
+   * Get the "owner/repo" list mapped to a brand (the brand registry, with github.repos
+   * on top), falling back to "default"
+   */
+  getGitHubRepos(brand) {
+    const mapping = brandRegistry.mergeScopeMap('github', config.get('github.repos'));
+    const key = brand && Object.keys(mapping).find(name => name.toLowerCase() === brand.toLowerCase());
+    const repos = key ? mapping[key] : mapping.default;
+    return [].concat(repos || []);
+  }
+  
+  /**
+   * Decide which kinds of GitHub activity a query is about (all of them if unclear)
+   */
+  getGitHubSections(query) {
+    const sections = {
+      pullRequests: /\bprs?\b|pull request|merge|shipped|review/i.test(query),
+      issues: /issue|bug|backlog/i.test(query),
+      releases: /release|\btags?\b|version|shipped|launch/i.test(query),
+      commits: /commit|activity|shipped|changes/i.test(query)
+    };
+    
+    if (!Object.values(sections).some(Boolean)) {
+      return { pullRequests: true, issues: true, releases: true, commits: true };
+    }
+    return sections;
+  }
+  
+  /**
+   * Parse a JSON list result, keeping only items dated on or after `since` when
+   * `dateOf` is given. Results that aren't a JSON list (errors, unexpected
+   * formats) are returned unchanged.
+   */
+  filterSince(result, since, dateOf) {
+    if (!result || result.error || typeof result.text !== 'string') {
+      return result;
+    }
+    
+    try {
+      const items = JSON.parse(result.text);
+      if (!Array.isArray(items)) {
+        return result;
+      }
+      if (!dateOf) {
+        return items;
+      }
+      return items.filter(item => {
+        const date = dateOf(item);
+        return date && new Date(date) >= since;
+      });
+    } catch (e) {
+      return result;
+    }
+  }
+  
+  /**
+   * Call a tool with retry logic using intelligent recovery strategies.
+   * With a deadline (epoch ms), attempts are cut short and no retries start after it.
    */
-  async callToolWithRetry(serverKey, toolName, params = {}, timeout = 15000, maxRetries = 2, query = '') {
+  async callToolWithRetry(serverKey, toolName, params = {}, timeout = 15000, maxRetries = 2, query = '', deadline = null) {
     let lastError;
     let currentParams = params;
     let currentTimeout = timeout;
     
     // Extract context from query for smarter retries
-    const context = this.timeoutRecoveryManager.extractQueryContext(query, toolName);
+    const context = this.timeoutRecoveryManager.extractQueryContext(query, toolName, {
+      spaceKeys: toolName === 'confluence_search' ? findSpaceKeys(query) : []
+    });
     
     // Get suggested timeout based on performance history
     const suggestedTimeout = this.timeoutRecoveryManager.getSuggestedTimeout(`${serverKey}.${toolName}`, timeout);
@@ -366,9 +599,14 @@ export class MCPManager {
     }
     
     for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      // Don't wait on a tool that keeps failing (also stops retrying once the circuit opens)
+      if (!this.circuitBreaker.allowRequest(`${serverKey}.${toolName}`)) {
+        return this.circuitBreaker.degradedResult(`${serverKey}.${toolName}`);
+      }
+      
+      const startTime = Date.now();
+      
       try {
-        const startTime = Date.now();
-        
         if (attempt > 0) {
           // Get next recovery strategy
           const strategy = this.timeoutRecoveryManager.getNextStrategy(toolName, attempt - 1, context);
@@ -390,10 +628,21 @@ export class MCPManager {
           
           // Exponential backoff
           const backoffDelay = Math.pow(2, attempt) * 1000;
+          if (deadline && Date.now() + backoffDelay >= deadline) {
+            logger.warning(`Not retrying ${toolName}: gather deadline reached`, {
+              server: serverKey,
+              tool: toolName,
+              attempt
+            });
+            break;
+          }
           await new Promise(resolve => setTimeout(resolve, backoffDelay));
         }
         
-        const result = await this.callToolWithTimeout(serverKey, toolName, currentParams, currentTimeout);
+        const attemptTimeout = deadline
+          ? Math.max(Math.min(currentTimeout, deadline - Date.now()), 1)
+          : currentTimeout;
+        const result = await this.callToolWithTimeout(serverKey, toolName, currentParams, attemptTimeout);
         
         if (result && !result.error) {
           // Success! Update performance metrics
@@ -403,6 +652,8 @@ export class MCPManager {
         }
         
         lastError = result?.error || 'Unknown error';
+        this.timeoutRecoveryManager.recordFailure(`${serverKey}.${toolName}`, currentParams, Date.now() - startTime,
+          new Error(result?.message || lastError));
       } catch (error) {
         lastError = error;
         const duration = Date.now() - startTime;
@@ -429,6 +680,23 @@ export class MCPManager {
     );
   }
   
+  /**
+   * Check whether a tool with an open circuit works again, by repeating the last call that failed
+   * @param {string} key - "server.tool"
+   * @returns {Promise<boolean>} - True if the call succeeded
+   */
+  async probeTool(key) {
+    const [serverKey, toolName] = key.split('.');
+    const lastFailure = this.timeoutRecoveryManager.failureHistory.get(key)?.at(-1);
+    const server = await this.getConnection(serverKey);
+    if (!server) {
+      return false;
+    }
+    
+    const result = await this.callToolWithTimeout(serverKey, toolName, lastFailure?.params || {}, server.config.timeouts.call);
+    return Boolean(result) && !result.error;
+  }
+  
   /**
    * Call a tool with timeout
    */
@@ -438,6 +706,11 @@ export class MCPManager {
       throw new Error(`Server ${serverKey} not available`);
     }
     
+    const allowedTools = server.config.tools;
+    if (allowedTools && !allowedTools.includes(toolName)) {
+      throw new Error(`Tool ${toolName} is not allowed on ${server.config.name}`);
+    }
+    
     const startTime = Date.now();
     logger.logMCPOperation(`${serverKey}.${toolName}`, params);
     logger.debug(`Calling ${toolName} with ${timeout}ms timeout...`, {
@@ -448,7 +721,7 @@ export class MCPManager {
     });
     
     try {
-      const callPromise = server.client.callTool(toolName, params);
+      const callPromise = server.client.callTool({ name: toolName, arguments: params });
       const timeoutPromise = new Promise((_, reject) => {
         setTimeout(() => reject(new Error(`Timeout after ${timeout}ms`)), timeout);
       });
@@ -481,56 +754,112 @@ export class MCPManager {
   }
   
   /**
-   * Gather data from MCP servers
+   * Gather data from MCP servers.
+   * Selected sources are queried concurrently under one overall deadline
+   * (mcp.gatherDeadlineMs); sources still running at the deadline are reported
+   * as timed out and whatever finished is returned. Per-source status is in
+   * results.meta.sources.
    */
   async gatherData(query, brand = null) {
     if (!this.initialized) {
       await this.initialize();
     }
     
-    const results = {};
-    
-    // Determine which servers to query
+    // Determine which sources to query
     const queryPatterns = {
-      jira: /jira|issue|ticket|sprint|backlog|epic|story/i,
-      confluence: /confluence|doc|documentation|prd|spec|wiki/i,
+      jira: /jira|issue|ticket|sprint|bug|task|backlog|epic|story/i,
+      confluence: /confluence|doc|documentation|prd|spec|wiki|charter/i,
       googleDrive: /drive|google|document|sheet|file|folder/i,
+      intercom: /intercom|customer|complain|feedback|support|churn|cancel|refund/i,
+      github: /github|repo|pull request|\bprs?\b|merge|commit|release|shipped|deploy/i,
       both: /project|status|update|progress/i
     };
+    const broad = queryPatterns.both.test(query);
     
-    // Check Atlassian
-    if ((queryPatterns.jira.test(query) || 
-         queryPatterns.confluence.test(query) || 
-         queryPatterns.both.test(query))) {
-      
-      try {
-        results.atlassian = await this.queryAtlassian(query, brand);
-      } catch (error) {
-        logger.error('Error querying Atlassian', {
-          query,
-          brand,
-          error: error.message
-        });
-        results.atlassian = { error: error.message };
-      }
+    const deadlineMs = config.get('mcp.gatherDeadlineMs') ?? 25000;
+    const startTime = Date.now();
+    const deadline = startTime + deadlineMs;
+    
+    const sources = {
+      jira: (broad || queryPatterns.jira.test(query)) && (() => this.queryJira(query, brand, deadline)),
+      confluence: (broad || queryPatterns.confluence.test(query)) && (() => this.queryConfluence(query, brand, deadline)),
+      googleDrive: (broad || queryPatterns.googleDrive.test(query)) && (() => this.queryGoogleDrive(query, brand, deadline)),
+      github: (broad || queryPatterns.github.test(query)) && (() => this.queryGitHub(query, brand, deadline)),
+      intercom: queryPatterns.intercom.test(query) && (() => this.queryIntercom(query, brand, deadline))
+    };
+    const selected = Object.entries(sources).filter(([, run]) => run);
+    
+    if (selected.length === 0) {
+      return {};
     }
     
-    // Check Google Drive  
-    if ((queryPatterns.googleDrive.test(query) || 
-         queryPatterns.both.test(query))) {
-      
-      try {
-        results.googleDrive = await this.queryGoogleDrive(query, brand);
-      } catch (error) {
-        logger.error('Error querying Google Drive', {
-          query,
-          brand,
-          error: error.message
+    logger.info('Gathering data from sources concurrently', {
+      query,
+      brand,
+      sources: selected.map(([name]) => name),
+      deadlineMs
+    });
+    
+    let deadlineTimer;
+    const deadlineReached = new Promise(resolve => {
+      deadlineTimer = setTimeout(resolve, deadlineMs);
+    });
+    
+    const status = {};
+    const outcomes = await Promise.all(selected.map(async ([name, run]) => {
+      const sourceStart = Date.now();
+      const pending = Promise.resolve()
+        .then(run)
+        .catch(error => {
+          logger.error(`Error querying ${name}`, {
+            query,
+            brand,
+            error: error.message
+          });
+          return { error: error.message };
         });
-        results.googleDrive = { error: error.message };
+      
+      const result = await Promise.race([pending, deadlineReached.then(() => DEADLINE_EXCEEDED)]);
+      
+      if (result === DEADLINE_EXCEEDED) {
+        status[name] = { status: 'timeout', durationMs: Date.now() - sourceStart };
+        return [name, {
+          error: 'Deadline exceeded',
+          message: `${name} did not respond within ${deadlineMs}ms and was left out`
+        }];
+      }
+      
+      status[name] = {
+        status: result === null ? 'skipped'
+          : result?.error === 'TIMEOUT_ERROR' ? 'timeout'
+            : result?.error === 'SERVICE_DEGRADED' ? 'degraded'
+              : result?.error ? 'error'
+                : 'ok',
+        durationMs: Date.now() - sourceStart,
+        ...(result?.error ? { error: result.error } : {})
+      };
+      return [name, result];
+    }));
+    clearTimeout(deadlineTimer);
+    
+    // Assemble results in the shape the agent expects (Jira and Confluence under atlassian)
+    const results = {};
+    for (const [name, result] of outcomes) {
+      if (result === null) continue;
+      if (name === 'jira' || name === 'confluence') {
+        results.atlassian = { ...(results.atlassian || {}), [name]: result };
+      } else {
+        results[name] = result;
       }
     }
     
+    results.meta = {
+      durationMs: Date.now() - startTime,
+      deadlineMs,
+      sources: status
+    };
+    
+    logger.info('Data gathering complete', results.meta);
     return results;
   }
   
@@ -555,6 +884,69 @@ export class MCPManager {
     return tools;
   }
   
+  /**
+   * Get tool definitions flattened across servers, for LLM tool calling
+   */
+  async getToolDefinitions() {
+    const toolsByServer = await this.getAvailableTools();
+    const definitions = [];
+    
+    for (const [serverKey, tools] of Object.entries(toolsByServer)) {
+      for (const tool of tools) {
+        definitions.push({ ...tool, server: serverKey });
+      }
+    }
+    
+    // Only offered when a workspace has a token, so the model never calls it for nothing
+    if (this.intercom.isConfigured()) {
+      definitions.push({ ...INTERCOM_TOOL, server: 'intercom' });
+    }
+    
+    return definitions;
+  }
+  
+  /**
+   * Call a tool chosen by the LLM, resolving which server provides it.
+   * With a deadline (epoch ms), retries stop there.
+   */
+  async callToolByName(toolName, params = {}, query = '', deadline = null) {
+    if (toolName === INTERCOM_TOOL.name) {
+      return this.intercom.getFeedback(params.period || query, params.brand || null);
+    }
+    
+    // Check JQL / CQL from the model before it reaches Jira or Confluence
+    if (toolName === 'jira_search' && params.jql) {
+      const { valid, errors } = this.jqlBuilder.validate(params.jql);
+      if (!valid) {
+        return {
+          error: 'INVALID_JQL',
+          jql: params.jql,
+          message: errors.join('; '),
+          suggestion: 'Fix the JQL using the known fields and values, then search again'
+        };
+      }
+    }
+    if (toolName === 'confluence_search' && params.query) {
+      const { valid, errors } = this.cqlBuilder.validate(params.query);
+      if (!valid) {
+        return {
+          error: 'INVALID_CQL',
+          cql: params.query,
+          message: errors.join('; '),
+          suggestion: 'Fix the CQL using the known fields, then search again'
+        };
+      }
+    }
+    
+    for (const [serverKey, server] of this.servers) {
+      if (server.tools.some(tool => tool.name === toolName)) {
+        return this.callToolWithRetry(serverKey, toolName, params, server.config.timeouts.call, 1, query, deadline);
+      }
+    }
+    
+    return { error: `Unknown tool: ${toolName}` };
+  }
+  
   /**
    * Check if a server is available
    */
@@ -604,6 +996,7 @@ export class MCPManager {
    */
   getStatus() {
     const status = {};
+    const circuits = this.circuitBreaker.getStates();
     
     for (const [key, config] of Object.entries(this.serverConfigs)) {
       const isConnected = this.servers.has(key);
@@ -611,19 +1004,41 @@ export class MCPManager {
         name: config.name,
         available: isConnected,
         enabled: config.enabled,
-        tools: isConnected ? this.servers.get(key).tools.length : 0
+        tools: isConnected ? this.servers.get(key).tools.length : 0,
+        restarting: this.supervisor.getState(key)?.state === 'restarting',
+        restarts: this.supervisor.getState(key)?.restarts || 0,
+        openCircuits: Object.keys(circuits)
+          .filter(tool => tool.startsWith(`${key}.`))
+          .map(tool => ({ tool: tool.slice(key.length + 1), ...circuits[tool] }))
       };
     }
     
     return status;
   }
   
+  /**
+   * Data sources Leo can use right now: connected MCP servers, plus Intercom when configured
+   * @returns {Array<Object>} - [{ key, name }]
+   */
+  getLiveSources() {
+    const sources = Object.entries(this.getStatus())
+      .filter(([, info]) => info.available)
+      .map(([key, info]) => ({ key, name: info.name }));
+    if (this.intercom.isConfigured()) {
+      sources.push({ key: 'intercom', name: 'Intercom (customer conversations)' });
+    }
+    return sources;
+  }
+  
   /**
    * Disconnect all servers
    */
   async disconnect() {
     logger.info('Disconnecting all MCP servers...');
     
+    // Closing on purpose - don't restart
+    this.supervisor.stop();
+    
     for (const [key, server] of this.servers) {
       try {
         await server.client.close();
@@ -642,5 +1057,9 @@ export class MCPManager {
     this.servers.clear();
     this.connectionPool.clear();
     this.initialized = false;
+    
+    this.timeoutRecoveryManager.stopAutoSave();
+    await this.timeoutRecoveryManager.saveMetrics();
+    this.circuitBreaker.stop();
   }
 }
@@ -0,0 +1,217 @@
+/**
+ * MCP Server Registry
+ * Loads MCP server declarations from settings (mcp.servers), resolves environment
+ * variable references, applies env overrides and validates each server.
+ * Servers are either spawned locally (stdio) or reached by URL (sse, http).
+ */
+
+import { config } from './config.js';
+
+const DEFAULT_TIMEOUTS = {
+  connect: 10000,   // Connecting and initializing the session
+  listTools: 5000,  // Listing tools after connecting
+  request: 20000,   // Protocol-level ceiling for any single request
+  call: 15000       // Default timeout for tool calls
+};
+
+const TRANSPORTS = ['stdio', 'sse', 'http'];
+
+/**
+ * Resolve ${VAR} references in a string.
+ * Supports fallbacks between variables and a literal default:
+ *   ${JIRA_URL}                          - value of JIRA_URL
+ *   ${CONFLUENCE_USERNAME|ATLASSIAN_EMAIL} - first variable that is set
+ *   ${JIRA_URL|ATLASSIAN_URL:-https://x}  - ...or the default after :-
+ * @param {string} value - String possibly containing references
+ * @param {Object} env - Environment to resolve against
+ * @returns {string|undefined} - Resolved string, or undefined if any reference had no value
+ */
+export function resolveEnvReferences(value, env = process.env) {
+  let missing = false;
+  
+  const resolved = value.replace(/\$\{([^}]+)\}/g, (match, expression) => {
+    const [names, fallback] = expression.split(':-');
+    for (const name of names.split('|').map(n => n.trim())) {
+      if (env[name]) {
+        return env[name];
+      }
+    }
+    if (fallback !== undefined) {
+      return fallback;
+    }
+    missing = true;
+    return '';
+  });
+  
+  return missing ? undefined : resolved;
+}
+
+/**
+ * Turn a server key into its env override prefix (googleDrive -> MCP_GOOGLE_DRIVE)
+ */
+export function envPrefix(key) {
+  return 'MCP_' + key.replace(/([a-z0-9])([A-Z])/g, '$1_$2').replace(/[^A-Za-z0-9]/g, '_').toUpperCase();
+}
+
+/**
+ * Read an on/off value ("false", "0", "no" and "off" are off)
+ */
+function isOn(value) {
+  return !['false', '0', 'no', 'off'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Apply MCP_<SERVER>_ENABLED / _COMMAND / _ARGS / _URL overrides from the environment
+ */
+function applyEnvOverrides(key, server, env) {
+  const prefix = envPrefix(key);
+  const overridden = { ...server };
+  
+  if (env[`${prefix}_ENABLED`] !== undefined) {
+    overridden.enabled = isOn(env[`${prefix}_ENABLED`]);
+  }
+  if (env[`${prefix}_COMMAND`]) {
+    overridden.command = env[`${prefix}_COMMAND`];
+  }
+  if (env[`${prefix}_ARGS`]) {
+    const args = env[`${prefix}_ARGS`].trim();
+    overridden.args = args.startsWith('[') ? JSON.parse(args) : args.split(/\s+/);
+  }
+  if (env[`${prefix}_URL`]) {
+    overridden.url = env[`${prefix}_URL`];
+  }
+  
+  return overridden;
+}
+
+/**
+ * Validate a server declaration (as declared, before env references are resolved)
+ * @returns {Array<string>} - Problems found (empty if valid)
+ */
+export function validateServer(key, server) {
+  const problems = [];
+  const isStringArray = (value) => Array.isArray(value) && value.every(item => typeof item === 'string');
+  
+  const transport = server.transport ?? 'stdio';
+  const isStringMap = (value) => value && typeof value === 'object' && !Array.isArray(value) &&
+    Object.values(value).every(item => typeof item === 'string');
+  
+  if (!TRANSPORTS.includes(transport)) {
+    problems.push(`mcp.servers.${key}.transport must be one of ${TRANSPORTS.join(', ')}`);
+  } else if (transport === 'stdio') {
+    if (typeof server.command !== 'string' || server.command.trim() === '') {
+      problems.push(`mcp.servers.${key}.command must be a non-empty string`);
+    }
+  } else {
+    if (typeof server.url !== 'string' || !/^(https?:\/\/|\$\{)/.test(server.url)) {
+      problems.push(`mcp.servers.${key}.url must be an http(s) URL for the ${transport} transport`);
+    }
+    if (server.headers !== undefined && !isStringMap(server.headers)) {
+      problems.push(`mcp.servers.${key}.headers must map header names to strings`);
+    }
+  }
+  if (server.args !== undefined && !isStringArray(server.args)) {
+    problems.push(`mcp.servers.${key}.args must be an array of strings`);
+  }
+  if (server.env !== undefined && !isStringMap(server.env)) {
+    problems.push(`mcp.servers.${key}.env must map variable names to strings`);
+  }
+  if (server.enabled !== undefined && typeof server.enabled !== 'boolean' && typeof server.enabled !== 'string') {
+    problems.push(`mcp.servers.${key}.enabled must be true, false or a \${VAR} reference`);
+  }
+  if (server.timeouts !== undefined) {
+    for (const [name, value] of Object.entries(server.timeouts)) {
+      if (!(name in DEFAULT_TIMEOUTS)) {
+        problems.push(`mcp.servers.${key}.timeouts.${name} is not a known timeout (${Object.keys(DEFAULT_TIMEOUTS).join(', ')})`);
+      } else if (typeof value !== 'number' || value <= 0) {
+        problems.push(`mcp.servers.${key}.timeouts.${name} must be a positive number of milliseconds`);
+      }
+    }
+  }
+  if (server.tools !== undefined && server.tools !== null && !isStringArray(server.tools)) {
+    problems.push(`mcp.servers.${key}.tools must be an array of tool names`);
+  }
+  
+  return problems;
+}
+
+/**
+ * Resolve env references in each value of a map (env vars, headers).
+ * Entries whose variables are unset are left out, so nothing bogus is sent.
+ */
+function resolveMap(values, env) {
+  const resolved = {};
+  for (const [name, value] of Object.entries(values || {})) {
+    const result = resolveEnvReferences(value, env);
+    if (result !== undefined) {
+      resolved[name] = result;
+    }
+  }
+  return resolved;
+}
+
+/**
+ * Resolve a server's enabled flag. A string is resolved like other values
+ * (e.g. "${GITHUB_TOKEN}" enables the server only when the token is set).
+ */
+function isEnabled(enabled, env) {
+  if (typeof enabled !== 'string') {
+    return enabled !== false;
+  }
+  const resolved = resolveEnvReferences(enabled, env);
+  return resolved !== undefined && isOn(resolved);
+}
+
+/**
+ * Load, override and validate MCP server declarations
+ * @param {Object} servers - Server declarations keyed by server key (defaults to mcp.servers)
+ * @param {Object} env - Environment for references and overrides
+ * @returns {Object} - { servers: normalized configs keyed by server key, errors: [] }
+ */
+export function loadServerConfigs(servers = config.get('mcp.servers') || {}, env = process.env) {
+  const globallyEnabled = config.get('mcp.enabled') !== false;
+  const result = { servers: {}, errors: [] };
+  
+  for (const [key, declared] of Object.entries(servers)) {
+    if (!declared || typeof declared !== 'object') {
+      result.errors.push(`mcp.servers.${key} must be an object`);
+      continue;
+    }
+    
+    let server;
+    try {
+      server = applyEnvOverrides(key, declared, env);
+    } catch (error) {
+      result.errors.push(`${envPrefix(key)}_ARGS is not valid JSON: ${error.message}`);
+      continue;
+    }
+    
+    const problems = validateServer(key, server);
+    if (problems.length > 0) {
+      result.errors.push(...problems);
+      continue;
+    }
+    
+    const transport = server.transport ?? 'stdio';
+    const url = transport === 'stdio' ? null : resolveEnvReferences(server.url, env);
+    if (url === undefined) {
+      result.errors.push(`mcp.servers.${key}.url references an environment variable that is not set`);
+      continue;
+    }
+    
+    result.servers[key] = {
+      name: server.name || key,
+      transport,
+      command: transport === 'stdio' ? resolveEnvReferences(server.command, env) || server.command : null,
+      args: (server.args || []).map(arg => resolveEnvReferences(arg, env) ?? arg),
+      env: resolveMap(server.env, env),
+      url,
+      headers: resolveMap(server.headers, env),
+      enabled: globallyEnabled && isEnabled(server.enabled, env),
+      timeouts: { ...DEFAULT_TIMEOUTS, ...(server.timeouts || {}) },
+      tools: server.tools || null
+    };
+  }
+  
+  return result;
+}
@@ -0,0 +1,159 @@
+/**
+ * MCP Supervisor
+ * Watches the stdio MCP server processes MCPManager starts. When one exits it is
+ * restarted in the background with capped exponential backoff, its tools are
+ * listed again, and each change is published as a 'status' event - so requests
+ * don't pay for reconnecting and status output stays accurate.
+ */
+
+import { EventEmitter } from 'events';
+import { config } from './config.js';
+import { logger } from './logger.js';
+
+export class MCPSupervisor extends EventEmitter {
+  /**
+   * @param {MCPManager} manager - Manager whose servers are supervised
+   * @param {Object} options - Overrides for the mcp.supervisor settings (enabled, initialBackoffMs, maxBackoffMs)
+   */
+  constructor(manager, options = {}) {
+    super();
+    const setting = (name, fallback) => options[name] ?? config.get(`mcp.supervisor.${name}`) ?? fallback;
+    this.manager = manager;
+    this.enabled = setting('enabled', true);
+    this.initialBackoffMs = setting('initialBackoffMs', 1000);
+    this.maxBackoffMs = setting('maxBackoffMs', 60000);
+    
+    // Server key -> { client, state, restarts, attempt, timer }
+    this.watched = new Map();
+  }
+  
+  /**
+   * Watch a connected server's process; called again with the new client after each restart
+   * @param {string} key - Server key
+   * @param {Object} server - Connected server ({ client, config, tools })
+   */
+  watch(key, server) {
+    if (!this.enabled || server.config.transport !== 'stdio') {
+      return;
+    }
+    
+    const { client } = server;
+    const entry = this.watched.get(key);
+    client.onclose = () => this.handleExit(key, client);
+    client.onerror = (error) => logger.warning(`${server.config.name} transport error`, {
+      server: key,
+      error: error.message
+    });
+    
+    if (!entry) {
+      this.watched.set(key, { client, state: 'connected', restarts: 0, attempt: 0, timer: null });
+      return;
+    }
+    
+    // Back after a restart (by the supervisor or a request that connected first)
+    clearTimeout(entry.timer);
+    Object.assign(entry, { client, timer: null, attempt: 0, restarts: entry.restarts + 1 });
+    logger.info(`${server.config.name} restarted`, { server: key, restarts: entry.restarts, tools: server.tools.length });
+    this.setState(key, 'connected', { tools: server.tools.length });
+  }
+  
+  /**
+   * Whether a server's process is being watched (so a dead one is noticed without a health check)
+   */
+  isWatching(key) {
+    return this.watched.get(key)?.state === 'connected';
+  }
+  
+  /**
+   * A watched process exited: drop the dead connection and schedule a restart
+   */
+  handleExit(key, client) {
+    const entry = this.watched.get(key);
+    if (!entry || entry.client !== client) {
+      return; // Closed on purpose, or an old client
+    }
+    
+    entry.client = null;
+    if (this.manager.servers.get(key)?.client === client) {
+      this.manager.servers.delete(key);
+      this.manager.connectionPool.delete(key);
+    }
+    
+    logger.warning(`${this.getName(key)} exited, restarting it in the background`, { server: key });
+    this.setState(key, 'exited');
+    this.scheduleRestart(key);
+  }
+  
+  /**
+   * Restart after the next backoff delay (doubling from initialBackoffMs up to maxBackoffMs)
+   */
+  scheduleRestart(key) {
+    const entry = this.watched.get(key);
+    const delayMs = Math.min(this.initialBackoffMs * Math.pow(2, entry.attempt), this.maxBackoffMs);
+    entry.attempt++;
+    
+    this.setState(key, 'restarting', { attempt: entry.attempt, delayMs });
+    entry.timer = setTimeout(() => this.restart(key), delayMs);
+    entry.timer.unref();
+  }
+  
+  /**
+   * Reconnect a server (which lists its tools and watches the new process)
+   */
+  async restart(key) {
+    const entry = this.watched.get(key);
+    if (!entry || entry.state !== 'restarting') {
+      return;
+    }
+    entry.timer = null;
+    
+    try {
+      await this.manager.getConnection(key);
+    } catch (error) {
+      // Unwatched (disconnect) or reconnected by a request in the meantime
+      if (this.watched.get(key) !== entry || entry.state !== 'restarting') {
+        return;
+      }
+      logger.error(`Failed to restart ${this.getName(key)}`, {
+        server: key,
+        attempt: entry.attempt,
+        error: error.message
+      });
+      this.scheduleRestart(key);
+    }
+  }
+  
+  /**
+   * Record a state change and publish it as a 'status' event
+   */
+  setState(key, state, details = {}) {
+    this.watched.get(key).state = state;
+    this.emit('status', { server: key, name: this.getName(key), state, ...details });
+  }
+  
+  /**
+   * Supervision state of a server, for status reporting
+   * @returns {Object|null} - { state, restarts } or null when not supervised
+   */
+  getState(key) {
+    const entry = this.watched.get(key);
+    return entry ? { state: entry.state, restarts: entry.restarts } : null;
+  }
+  
+  /**
+   * Display name of a server
+   */
+  getName(key) {
+    return this.manager.serverConfigs[key]?.name || key;
+  }
+  
+  /**
+   * Stop watching all servers and cancel pending restarts (before closing them on purpose)
+   */
+  stop() {
+    for (const entry of this.watched.values()) {
+      clearTimeout(entry.timer);
+    }
+    this.watched.clear();
+  }
+}
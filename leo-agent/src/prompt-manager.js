@@ -1,37 +1,57 @@
 /**
  * Prompt Manager
  * Loads and manages system prompts for Leo
+ *
+ * Prompts are templates (see prompt-template.js) rendered for each question with
+ * the date, the user, the brands asked about, the channel and the data sources
+ * that are live right now:
+ *   prompts/system.md            the system prompt (a built-in default when missing)
+ *   prompts/channels/<name>.md   replaces system.md on a channel (cli, slack, api)
+ *   prompts/brands/<brand>.md    appended when a question is about the brand
+ *   prompts/partials/<name>.md   included with {{> name}}
+ *
+ * Every saved prompt is also kept as a numbered version (see prompt-versions.js),
+ * and each rendered prompt reports the versions it was built from. init() records
+ * the versions of the prompts on disk; constructing a PromptManager only reads.
+ * watch() reloads the prompts when files change; an edit that doesn't render is rejected.
  */
 
 import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { config } from './config.js';
+import { logger } from './logger.js';
+import { FileWatcher } from './file-watcher.js';
+import { renderTemplate } from './prompt-template.js';
+import { PromptVersionStore, diffLines, hashContent } from './prompt-versions.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-export class PromptManager {
-  constructor() {
-    this.promptsDir = path.join(__dirname, '..', 'prompts');
-    this.systemPrompt = this.loadSystemPrompt();
-    this.brandPrompts = this.loadBrandPrompts();
-  }
-  
-  /**
-   * Load the main system prompt
-   */
-  loadSystemPrompt() {
-    try {
-      const promptPath = path.join(this.promptsDir, 'system.md');
-      if (fs.existsSync(promptPath)) {
-        return fs.readFileSync(promptPath, 'utf8');
-      }
-    } catch (error) {
-      console.warn('Could not load system prompt, using default');
+// prompts/ subdirectory -> the PromptManager property holding its templates
+const PROMPT_KINDS = { channels: 'channelPrompts', brands: 'brandPrompts', partials: 'partials' };
+
+/**
+ * Prompt name ("system", "brands/faderpro", ...) -> template, for a set of loaded prompts
+ * @param {Object} loaded - { systemPrompt, channelPrompts, brandPrompts, partials }
+ * @returns {Object}
+ */
+function byName(loaded) {
+  const named = loaded.systemPrompt !== null ? { system: loaded.systemPrompt } : {};
+  for (const [kind, property] of Object.entries(PROMPT_KINDS)) {
+    for (const [key, content] of Object.entries(loaded[property])) {
+      named[`${kind}/${key}`] = content;
     }
-    
-    // Default system prompt
-    return `You are Leo, an AI Product Manager assistant for TrueFire Studios.
+  }
+  return named;
+}
+
+// Default system prompt
+const DEFAULT_SYSTEM_PROMPT = `You are Leo, an AI Product Manager assistant for TrueFire Studios.
+Today is {{date}}.
+{{#if user.name}}
+You are talking with {{user.name}}{{#if user.role}} ({{user.role}}){{/if}}.
+{{/if}}
 
 TrueFire Studios operates 5 distinct brands:
 - TrueFire: Online guitar lessons and courses
@@ -45,60 +65,197 @@ Your role is to:
 2. Analyze customer feedback and feature requests
 3. Track project progress and identify blockers
 4. Provide strategic product insights
-5. Connect information across different tools (JIRA, Confluence, Intercom, etc.)
+5. Connect information across the team's tools
+
+{{#if sources}}
+Data sources connected right now:
+{{#each sources}}
+- {{this.name}}
+{{/each}}
+If a question needs a source that is not listed, say it is not connected instead of guessing.
+{{else}}
+No data sources are connected right now. Say so when a question needs live data.
+{{/if}}
 
 Always:
 - Confirm which brand a question relates to
 - Use brand-specific data and context
 - Cite specific metrics and sources when available
+- Only quote counts and figures that appear in the data provided; never estimate them
 - Balance customer needs with technical feasibility
 - Consider both quick wins and long-term strategy
+{{#if channel == "slack"}}
+- Keep answers short and lead with the conclusion; they are read in a Slack thread
+{{/if}}
 
 You are knowledgeable, analytical, and focused on helping the team succeed.`;
+
+export class PromptManager {
+  /**
+   * @param {Object} options
+   * @param {MCPManager} [options.mcpManager] - Reports which data sources are live (none are listed without one)
+   * @param {string} [options.promptsDir] - Prompt templates directory (defaults to prompts/)
+   * @param {PromptVersionStore} [options.versionStore] - Where prompt versions are kept (defaults to prompts.versionsPath)
+   */
+  constructor(options = {}) {
+    this.mcpManager = options.mcpManager || null;
+    this.promptsDir = options.promptsDir || path.join(__dirname, '..', 'prompts');
+    this.versionStore = options.versionStore || new PromptVersionStore();
+    this.systemPrompt = this.loadSystemPrompt();
+    this.channelPrompts = this.loadPrompts('channels');
+    this.brandPrompts = this.loadPrompts('brands');
+    this.partials = this.loadPrompts('partials');
+    // Filled in by init() (and every reload)
+    this.versions = {};
+  }
+  
+  /**
+   * Record a version of each loaded prompt that changed on disk since its last
+   * version, so answers can be traced to the exact prompt text
+   * @returns {PromptManager} - This manager
+   */
+  init() {
+    this.versions = this.syncVersions();
+    return this;
   }
   
   /**
-   * Load brand-specific prompts
+   * Load the main system prompt template (null when there is none: the built-in prompt is used)
    */
-  loadBrandPrompts() {
+  loadSystemPrompt() {
+    try {
+      const promptPath = path.join(this.promptsDir, 'system.md');
+      if (fs.existsSync(promptPath)) {
+        return fs.readFileSync(promptPath, 'utf8');
+      }
+    } catch (error) {
+      console.warn('Could not load system prompt, using default');
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Load the templates in a prompts subdirectory (brands, channels or partials)
+   * @param {string} kind - Subdirectory
+   * @returns {Object} - Lowercase file name (without .md) -> template
+   */
+  loadPrompts(kind) {
     const prompts = {};
-    const brandsDir = path.join(this.promptsDir, 'brands');
+    const dir = path.join(this.promptsDir, kind);
     
     try {
-      if (fs.existsSync(brandsDir)) {
-        const files = fs.readdirSync(brandsDir);
+      if (fs.existsSync(dir)) {
+        const files = fs.readdirSync(dir);
         for (const file of files) {
           if (file.endsWith('.md')) {
-            const brandName = file.replace('.md', '');
-            const content = fs.readFileSync(path.join(brandsDir, file), 'utf8');
-            prompts[brandName] = content;
+            const name = file.replace('.md', '').toLowerCase();
+            prompts[name] = fs.readFileSync(path.join(dir, file), 'utf8');
           }
         }
       }
     } catch (error) {
-      console.warn('Could not load brand prompts');
+      console.warn(`Could not load ${kind} prompts`);
     }
     
     return prompts;
   }
   
+  /**
+   * Values the prompt templates can use
+   * @param {Array<string>} brands - Brands the question is about
+   * @param {Object} context - channel, userId, now
+   * @returns {Object} - date, isoDate, user { id, name, role }, brand, brands, channel,
+   *   sources [{ key, name }] and live (source key -> true)
+   */
+  getVariables(brands, context = {}) {
+    const now = context.now ?? new Date();
+    const profile = (context.userId && config.get('prompts.users')?.[context.userId]) || {};
+    const sources = this.mcpManager ? this.mcpManager.getLiveSources() : [];
+    
+    return {
+      date: now.toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric' }),
+      isoDate: now.toISOString().slice(0, 10),
+      user: { id: context.userId ?? null, name: profile.name ?? null, role: profile.role ?? null },
+      brand: brands.join(' and '),
+      brands,
+      channel: context.channel ?? null,
+      sources,
+      live: Object.fromEntries(sources.map(source => [source.key, true]))
+    };
+  }
+  
+  /**
+   * Render a prompt template, or return null (with a warning) if it is malformed
+   */
+  render(name, template, variables, usedPartials) {
+    try {
+      return renderTemplate(template, variables, this.partials, usedPartials);
+    } catch (error) {
+      console.warn(`Could not render the ${name} prompt: ${error.message}`);
+      return null;
+    }
+  }
+  
   /**
    * Get the complete system prompt, optionally with brand-specific additions
-   * @param {string|null} brand - Brand name
+   * @param {string|Array<string>|null} brand - Brand name, or several when the question compares brands
+   * @param {Object} [context] - Who is asking and where
+   * @param {string} [context.channel] - cli, slack or api; picks prompts/channels/<channel>.md when there is one
+   * @param {string} [context.userId] - User whose name and role (prompts.users) the prompt can use
    * @returns {string} - Complete system prompt
    */
-  getSystemPrompt(brand = null) {
-    let prompt = this.systemPrompt;
+  getSystemPrompt(brand = null, context = {}) {
+    return this.renderSystemPrompt(brand, context).prompt;
+  }
+  
+  /**
+   * Render the complete system prompt and report which prompt versions it was built from
+   * @param {string|Array<string>|null} brand - As for getSystemPrompt
+   * @param {Object} [context] - As for getSystemPrompt
+   * @returns {Object} - { prompt, versions } where versions are IDs like "system@3",
+   *   "brands/faderpro@1" ("system@builtin" for the built-in prompt)
+   */
+  renderSystemPrompt(brand = null, context = {}) {
+    const brands = [].concat(brand ?? []);
+    const variables = this.getVariables(brands, context);
+    const channel = context.channel?.toLowerCase();
+    const name = this.channelPrompts[channel] !== undefined ? `channels/${channel}`
+      : this.systemPrompt !== null ? 'system' : null;
+    const usedPartials = new Set();
+    const versions = [];
+    
+    // A broken template falls back to the built-in prompt rather than failing the question
+    let prompt = name && this.render(name, this.getPrompt(name), variables, usedPartials);
+    if (prompt) {
+      versions.push(this.getVersionId(name));
+    } else {
+      prompt = renderTemplate(DEFAULT_SYSTEM_PROMPT, variables);
+      versions.push('system@builtin');
+    }
+    prompt = prompt.trimEnd();
     
-    if (brand && this.brandPrompts[brand.toLowerCase()]) {
-      prompt += '\n\n' + this.brandPrompts[brand.toLowerCase()];
+    for (const brandName of brands) {
+      const key = `brands/${brandName.toLowerCase()}`;
+      const brandPrompt = this.getPrompt(key);
+      const rendered = brandPrompt && this.render(key, brandPrompt, variables, usedPartials)?.trim();
+      if (rendered) {
+        prompt += '\n\n' + rendered;
+        versions.push(this.getVersionId(key));
+      }
+    }
+    
+    for (const partial of usedPartials) {
+      versions.push(this.getVersionId(`partials/${partial}`));
     }
     
-    return prompt;
+    return { prompt, versions };
   }
   
   /**
-   * Create example conversation based on LEO_PROMPT_AND_EXAMPLES.md
+   * Create example conversation based on LEO_PROMPT_AND_EXAMPLES.md. Counts and
+   * conversation IDs are placeholders: the model should take the format from it,
+   * never the numbers.
    * @returns {Array} - Example messages
    */
   getExampleConversation() {
@@ -115,27 +272,27 @@ Based on the data:
 
 **Top 5 Customer Complaints for TrueFire (Current Month):**
 
-1. **Video Playback Issues** (127 tickets, 23% of complaints)
+1. **Video Playback Issues** ([count] conversations, e.g. #[conversation ID])
    - Buffering problems on mobile devices
    - Video quality automatically dropping to low resolution
    - Several reports from users in Europe and Asia
 
-2. **Course Navigation Confusion** (89 tickets, 16% of complaints)
+2. **Course Navigation Confusion** ([count] conversations, e.g. #[conversation ID])
    - Difficulty finding previously watched lessons
    - Progress tracking not updating correctly
    - Requests for better course organization
 
-3. **Billing/Subscription Issues** (76 tickets, 14% of complaints)
+3. **Billing/Subscription Issues** ([count] conversations, e.g. #[conversation ID])
    - Confusion about renewal dates
    - Difficulty canceling subscriptions
    - Some double-charging incidents (already resolved)
 
-4. **Mobile App Performance** (64 tickets, 12% of complaints)
+4. **Mobile App Performance** ([count] conversations, e.g. #[conversation ID])
    - App crashes on older Android devices
    - Offline download feature not working reliably
    - Login issues after app updates
 
-5. **Content Requests** (58 tickets, 11% of complaints)
+5. **Content Requests** ([count] conversations, e.g. #[conversation ID])
    - More advanced jazz guitar content
    - Requests for specific instructors
    - More left-handed guitarist options
@@ -151,41 +308,243 @@ Would you like me to dive deeper into any of these issues or check for related J
   }
   
   /**
-   * Reload prompts from disk
+   * Reload prompts from disk. A changed template that doesn't render is rejected
+   * and logged: the loaded one is kept (a new file is left out), so a broken edit
+   * never replaces a working prompt.
+   * @returns {Object} - { rejected: [{ name, error }] }
    */
   reload() {
-    this.systemPrompt = this.loadSystemPrompt();
-    this.brandPrompts = this.loadBrandPrompts();
+    const next = {
+      systemPrompt: this.loadSystemPrompt(),
+      channelPrompts: this.loadPrompts('channels'),
+      brandPrompts: this.loadPrompts('brands'),
+      partials: this.loadPrompts('partials')
+    };
+    const current = byName(this);
+    
+    // Partials first, as the other prompts are checked with them
+    const changed = Object.entries(byName(next))
+      .filter(([name, content]) => content !== current[name])
+      .sort(([a], [b]) => b.startsWith('partials/') - a.startsWith('partials/'));
+    const rejected = [];
+    for (const [name, content] of changed) {
+      const { valid, error } = this.validatePrompt(content, next.partials);
+      if (valid) {
+        continue;
+      }
+      
+      rejected.push({ name, error });
+      logger.warning(`Rejected the change to the ${name} prompt, ${current[name] === undefined ? 'leaving it out' : 'keeping the loaded one'}`,
+        { error });
+      if (name === 'system') {
+        next.systemPrompt = current.system ?? null;
+      } else {
+        const [kind, key] = name.split('/');
+        if (current[name] === undefined) {
+          delete next[PROMPT_KINDS[kind]][key];
+        } else {
+          next[PROMPT_KINDS[kind]][key] = current[name];
+        }
+      }
+    }
+    
+    Object.assign(this, next);
+    this.versions = this.syncVersions();
+    return { rejected };
+  }
+  
+  /**
+   * Reload the prompts whenever a file in the prompts directory changes
+   * @param {Object} [options] - { debounceMs }
+   * @returns {FileWatcher} - Call close() to stop watching
+   */
+  watch(options = {}) {
+    return new FileWatcher(this.promptsDir, () => this.reload(), options).start();
+  }
+  
+  /**
+   * Normalize a prompt name: "system", "brands/<brand>", "channels/<channel>" or
+   * "partials/<name>" (a bare brand name means its brand prompt)
+   * @param {string} type - Prompt name
+   * @returns {string} - Normalized name
+   * @throws {Error} - If the name is not a valid prompt name
+   */
+  getPromptName(type) {
+    const name = String(type ?? '').trim().toLowerCase();
+    if (name === 'system' || /^(brands|channels|partials)\/[\w-]+$/.test(name)) {
+      return name;
+    }
+    if (/^[\w-]+$/.test(name)) {
+      return `brands/${name}`;
+    }
+    throw new Error(`Invalid prompt name "${type}"`);
   }
   
   /**
-   * Save a custom prompt
-   * @param {string} type - 'system' or brand name
+   * Current template of a loaded prompt
+   * @param {string} name - Normalized prompt name
+   * @returns {string|undefined}
+   */
+  getPrompt(name) {
+    if (name === 'system') {
+      return this.systemPrompt ?? undefined;
+    }
+    const [kind, key] = name.split('/');
+    return this[PROMPT_KINDS[kind]]?.[key];
+  }
+  
+  /**
+   * Version ID of a loaded prompt, e.g. "system@3" ("@unsaved" if it could not be
+   * recorded, or before init())
+   */
+  getVersionId(name) {
+    return `${name}@${this.versions[name] ?? 'unsaved'}`;
+  }
+  
+  /**
+   * Find the current version of every loaded prompt. Prompts changed on disk since
+   * their last version (or never saved) are recorded as a new version first, so
+   * every answer can be traced back to the exact prompt text.
+   * @returns {Object} - Prompt name -> version number
+   */
+  syncVersions() {
+    const versions = {};
+    for (const [name, content] of Object.entries(byName(this))) {
+      try {
+        const latest = this.versionStore.latest(name);
+        versions[name] = latest?.hash === hashContent(content)
+          ? latest.version
+          : this.versionStore.add(name, content, { note: 'Changed on disk' }).version;
+      } catch (error) {
+        console.warn(`Could not record a version of the ${name} prompt: ${error.message}`);
+      }
+    }
+    return versions;
+  }
+  
+  /**
+   * Check that a prompt template renders
+   * @param {string} content - Template
+   * @param {Object} [partials] - Partials it may include (defaults to the loaded ones)
+   * @returns {Object} - { valid, error }
+   */
+  validatePrompt(content, partials = this.partials) {
+    if (typeof content !== 'string' || content.trim() === '') {
+      return { valid: false, error: 'Prompt is empty' };
+    }
+    try {
+      renderTemplate(content, this.getVariables([]), partials);
+      return { valid: true, error: null };
+    } catch (error) {
+      return { valid: false, error: error.message };
+    }
+  }
+  
+  /**
+   * Save a custom prompt as a new version and make it the current one
+   * @param {string} type - 'system', a brand name, or "brands/", "channels/" or "partials/" + name
    * @param {string} content - Prompt content
+   * @param {Object} [details] - Recorded with the version
+   * @param {string} [details.author] - Who saved it
+   * @param {string} [details.note] - Why it changed
+   * @returns {Object} - The saved version, without its content
    */
-  savePrompt(type, content) {
+  savePrompt(type, content, { author = null, note = null } = {}) {
     try {
-      // Ensure prompts directory exists
-      if (!fs.existsSync(this.promptsDir)) {
-        fs.mkdirSync(this.promptsDir, { recursive: true });
+      const name = this.getPromptName(type);
+      const { valid, error } = this.validatePrompt(content);
+      if (!valid) {
+        throw new Error(`Invalid prompt template: ${error}`);
       }
       
-      if (type === 'system') {
-        fs.writeFileSync(path.join(this.promptsDir, 'system.md'), content, 'utf8');
-      } else {
-        // Brand-specific prompt
-        const brandsDir = path.join(this.promptsDir, 'brands');
-        if (!fs.existsSync(brandsDir)) {
-          fs.mkdirSync(brandsDir, { recursive: true });
-        }
-        fs.writeFileSync(path.join(brandsDir, `${type.toLowerCase()}.md`), content, 'utf8');
-      }
+      const { content: saved, ...version } = this.versionStore.add(name, content, { author, note });
+      const promptPath = name === 'system'
+        ? path.join(this.promptsDir, 'system.md')
+        : path.join(this.promptsDir, `${name}.md`);
+      fs.mkdirSync(path.dirname(promptPath), { recursive: true });
+      fs.writeFileSync(promptPath, content, 'utf8');
       
       // Reload after saving
       this.reload();
+      return version;
     } catch (error) {
       console.error('Failed to save prompt:', error);
       throw error;
     }
   }
+  
+  /**
+   * Prompts with saved versions
+   * @returns {Array<Object>} - [{ name, current, versions }] where current is the version
+   *   in use (null if the prompt file was removed) and versions is how many there are
+   */
+  listPrompts() {
+    return this.versionStore.names().map(name => ({
+      name,
+      current: this.versions[name] ?? null,
+      versions: this.versionStore.list(name).length
+    }));
+  }
+  
+  /**
+   * A prompt's versions, oldest first, without their content
+   * @param {string} type - Prompt name
+   * @returns {Array<Object>} - [{ id, name, version, author, note, createdAt, hash }]
+   */
+  listVersions(type) {
+    return this.versionStore.list(this.getPromptName(type));
+  }
+  
+  /**
+   * Get one version of a prompt, with its content
+   * @param {string} type - Prompt name
+   * @param {number} version - Version number
+   * @returns {Object|null} - Version or null if it does not exist
+   */
+  getVersion(type, version) {
+    return this.versionStore.get(this.getPromptName(type), version);
+  }
+  
+  /**
+   * Compare two versions of a prompt line by line
+   * @param {string} type - Prompt name
+   * @param {number} from - Older version
+   * @param {number} to - Newer version
+   * @returns {Object|null} - { name, from, to, added, removed, diff } or null if either version does not exist
+   */
+  diffVersions(type, from, to) {
+    const before = this.getVersion(type, from);
+    const after = this.getVersion(type, to);
+    if (!before || !after) {
+      return null;
+    }
+    
+    const lines = diffLines(before.content, after.content);
+    return {
+      name: before.name,
+      from: before.version,
+      to: after.version,
+      added: lines.filter(line => line.startsWith('+ ')).length,
+      removed: lines.filter(line => line.startsWith('- ')).length,
+      diff: lines.join('\n')
+    };
+  }
+  
+  /**
+   * Roll a prompt back to an earlier version, saved as a new version (history is never rewritten)
+   * @param {string} type - Prompt name
+   * @param {number} version - Version to restore
+   * @param {Object} [details] - { author, note } (note defaults to "Rolled back to version N")
+   * @returns {Object|null} - The new version, or null if the version does not exist
+   */
+  rollback(type, version, { author = null, note = null } = {}) {
+    const restored = this.getVersion(type, version);
+    if (!restored) {
+      return null;
+    }
+    return this.savePrompt(restored.name, restored.content, {
+      author,
+      note: note ?? `Rolled back to version ${restored.version}`
+    });
+  }
 }
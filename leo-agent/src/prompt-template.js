@@ -0,0 +1,154 @@
+/**
+ * Prompt Templates
+ * A small template language for prompts:
+ *
+ *   {{date}}, {{user.name}}                        a variable (missing values render as nothing)
+ *   {{> guidelines}}                               a partial, rendered with the same variables
+ *   {{#if sources}} ... {{else}} ... {{/if}}       shown when a value is set (lists: when not empty)
+ *   {{#if channel == "slack"}} ... {{/if}}         shown when a value equals a string (or != it)
+ *   {{#each sources}}- {{this.name}}{{/each}}      repeated for each item of a list
+ *
+ * Block tags alone on a line take the whole line with them, so templates can be
+ * laid out one tag per line without leaving blank lines behind.
+ */
+
+const TAG = /\{\{\s*(.*?)\s*\}\}/g;
+const STANDALONE_BLOCK_TAG = /^[ \t]*(\{\{\s*(?:#|\/|else\b)[^}]*\}\})[ \t]*\r?\n/gm;
+const MAX_PARTIAL_DEPTH = 10;
+
+/**
+ * Parse an {{#if}} condition: a path, or a path compared with a quoted string
+ */
+function parseCondition(expression) {
+  const comparison = expression.match(/^([\w.]+)\s*(==|!=)\s*"([^"]*)"$/);
+  if (comparison) {
+    return { path: comparison[1], operator: comparison[2], value: comparison[3] };
+  }
+  if (!/^[\w.]+$/.test(expression)) {
+    throw new Error(`Invalid condition "{{#if ${expression}}}"`);
+  }
+  return { path: expression };
+}
+
+/**
+ * Parse a template into a tree of text, variable, partial, if and each nodes
+ */
+function parse(template) {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  const open = () => stack[stack.length - 1];
+  const append = (node) => {
+    const parent = open();
+    (parent.otherwise ?? parent.body).push(node);
+  };
+  
+  const source = template.replace(STANDALONE_BLOCK_TAG, '$1');
+  let last = 0;
+  for (const match of source.matchAll(TAG)) {
+    if (match.index > last) {
+      append({ type: 'text', text: source.slice(last, match.index) });
+    }
+    last = match.index + match[0].length;
+    
+    const tag = match[1];
+    if (tag.startsWith('#if ')) {
+      const node = { type: 'if', condition: parseCondition(tag.slice(4).trim()), body: [], otherwise: null };
+      append(node);
+      stack.push(node);
+    } else if (tag.startsWith('#each ')) {
+      const node = { type: 'each', path: tag.slice(6).trim(), body: [] };
+      append(node);
+      stack.push(node);
+    } else if (tag === 'else') {
+      if (open().type !== 'if' || open().otherwise) {
+        throw new Error('{{else}} outside of {{#if}}');
+      }
+      open().otherwise = [];
+    } else if (tag === '/if' || tag === '/each') {
+      if (open().type !== tag.slice(1)) {
+        throw new Error(`{{${tag}}} without a matching {{#${tag.slice(1)}}}`);
+      }
+      stack.pop();
+    } else if (tag.startsWith('>')) {
+      append({ type: 'partial', name: tag.slice(1).trim() });
+    } else if (/^[\w.]+$/.test(tag)) {
+      append({ type: 'variable', path: tag });
+    } else {
+      throw new Error(`Invalid tag "{{${tag}}}"`);
+    }
+  }
+  if (last < source.length) {
+    append({ type: 'text', text: source.slice(last) });
+  }
+  
+  if (stack.length > 1) {
+    throw new Error(`Unclosed {{#${open().type}}}`);
+  }
+  return root.body;
+}
+
+/**
+ * Look up a dotted path ("user.name", "this.name") in the variables
+ */
+function lookup(variables, path) {
+  return path.split('.').reduce((value, key) => value?.[key], variables);
+}
+
+/**
+ * Whether a value counts as set for {{#if}}: empty lists and strings do not
+ */
+function isSet(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * Render parsed nodes; depth counts nested partials, used collects their names
+ */
+function renderNodes(nodes, variables, partials, depth, used) {
+  let output = '';
+  
+  for (const node of nodes) {
+    if (node.type === 'text') {
+      output += node.text;
+    } else if (node.type === 'variable') {
+      const value = lookup(variables, node.path);
+      output += value === undefined || value === null ? '' : [].concat(value).join(', ');
+    } else if (node.type === 'partial') {
+      if (partials[node.name] === undefined) {
+        throw new Error(`Unknown partial "${node.name}"`);
+      }
+      if (depth >= MAX_PARTIAL_DEPTH) {
+        throw new Error(`Partials nested more than ${MAX_PARTIAL_DEPTH} deep (does "${node.name}" include itself?)`);
+      }
+      used?.add(node.name);
+      // Partials are usually included mid-line, so their final newline is dropped
+      output += renderNodes(parse(partials[node.name].replace(/\r?\n$/, '')), variables, partials, depth + 1, used);
+    } else if (node.type === 'if') {
+      const { path, operator, value } = node.condition;
+      const actual = lookup(variables, path);
+      const shown = operator === '==' ? String(actual ?? '') === value
+        : operator === '!=' ? String(actual ?? '') !== value
+          : isSet(actual);
+      output += renderNodes(shown ? node.body : node.otherwise ?? [], variables, partials, depth, used);
+    } else if (node.type === 'each') {
+      for (const item of [].concat(lookup(variables, node.path) ?? [])) {
+        output += renderNodes(node.body, { ...variables, this: item }, partials, depth, used);
+      }
+    }
+  }
+  
+  return output;
+}
+
+/**
+ * Render a template
+ * @param {string} template - Template text
+ * @param {Object} variables - Values for {{variables}} and conditions
+ * @param {Object} [partials] - Partial name -> template text, for {{> name}}
+ * @param {Set<string>} [usedPartials] - Filled with the names of the partials that were included
+ * @returns {string} - Rendered text
+ * @throws {Error} - If the template is malformed or uses an unknown partial
+ */
+export function renderTemplate(template, variables = {}, partials = {}, usedPartials = null) {
+  return renderNodes(parse(template), variables, partials, 0, usedPartials);
+}
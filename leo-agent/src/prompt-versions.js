@@ -0,0 +1,182 @@
+/**
+ * Prompt Versions
+ * Every saved prompt is kept as an immutable, numbered version with its author,
+ * timestamp and note, so an answer can be traced back to the exact prompt text
+ * that produced it and a prompt can be compared with or rolled back to any
+ * earlier version. Versions are JSON files under prompts.versionsPath, one
+ * directory per prompt (system, brands/<brand>, channels/<channel>, partials/<name>).
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+/**
+ * Short content hash, to tell whether a prompt changed since its last version
+ * @param {string} content - Prompt text
+ * @returns {string}
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex').slice(0, 12);
+}
+
+/**
+ * Line-by-line diff of two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<string>} - Lines prefixed with "  " (unchanged), "- " (removed) or "+ " (added)
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  
+  // common[i][j] = length of the longest common subsequence of a[i..] and b[j..]
+  const common = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      common[i][j] = a[i] === b[j] ? common[i + 1][j + 1] + 1 : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+  
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) {
+      lines.push(`  ${a[i++]}`);
+      j++;
+    } else if (common[i + 1][j] >= common[i][j + 1]) {
+      lines.push(`- ${a[i++]}`);
+    } else {
+      lines.push(`+ ${b[j++]}`);
+    }
+  }
+  while (i < a.length) {
+    lines.push(`- ${a[i++]}`);
+  }
+  while (j < b.length) {
+    lines.push(`+ ${b[j++]}`);
+  }
+  
+  return lines;
+}
+
+export class PromptVersionStore {
+  /**
+   * @param {string} [directory] - Where versions are kept (defaults to prompts.versionsPath, relative to the project root)
+   */
+  constructor(directory) {
+    this.directory = directory ||
+      path.resolve(__dirname, '..', config.get('prompts.versionsPath') ?? 'data/prompt-versions');
+  }
+  
+  /**
+   * Get the directory holding a prompt's versions
+   */
+  getPromptDir(name) {
+    return path.join(this.directory, encodeURIComponent(name));
+  }
+  
+  /**
+   * Names of every prompt with saved versions
+   * @returns {Array<string>}
+   */
+  names() {
+    try {
+      return fs.readdirSync(this.directory).map(decodeURIComponent).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * A prompt's versions, oldest first, without their content
+   * @param {string} name - Prompt name
+   * @returns {Array<Object>} - [{ id, name, version, author, note, createdAt, hash }]
+   */
+  list(name) {
+    return this.getVersionNumbers(name).map(version => {
+      const { content, ...metadata } = this.get(name, version);
+      return metadata;
+    });
+  }
+  
+  /**
+   * Get one version of a prompt
+   * @param {string} name - Prompt name
+   * @param {number} version - Version number
+   * @returns {Object|null} - { id, name, version, author, note, createdAt, hash, content } or null
+   */
+  get(name, version) {
+    try {
+      return JSON.parse(fs.readFileSync(path.join(this.getPromptDir(name), `${Number(version)}.json`), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Get the newest version of a prompt
+   * @param {string} name - Prompt name
+   * @returns {Object|null} - Version (with content) or null if it has none
+   */
+  latest(name) {
+    const versions = this.getVersionNumbers(name);
+    return versions.length > 0 ? this.get(name, versions[versions.length - 1]) : null;
+  }
+  
+  /**
+   * Save a new version of a prompt
+   * @param {string} name - Prompt name
+   * @param {string} content - Prompt text
+   * @param {Object} [details] - { author, note }
+   * @returns {Object} - The saved version
+   */
+  add(name, content, { author = null, note = null } = {}) {
+    const versions = this.getVersionNumbers(name);
+    const version = (versions[versions.length - 1] ?? 0) + 1;
+    const record = {
+      id: `${name}@${version}`,
+      name,
+      version,
+      author,
+      note,
+      createdAt: new Date().toISOString(),
+      hash: hashContent(content),
+      content
+    };
+    
+    fs.mkdirSync(this.getPromptDir(name), { recursive: true });
+    // Versions are immutable: fail rather than overwrite one
+    fs.writeFileSync(path.join(this.getPromptDir(name), `${version}.json`), JSON.stringify(record, null, 2), { flag: 'wx' });
+    return record;
+  }
+  
+  /**
+   * Version numbers of a prompt, ascending
+   */
+  getVersionNumbers(name) {
+    try {
+      return fs.readdirSync(this.getPromptDir(name))
+        .filter(file => /^\d+\.json$/.test(file))
+        .map(file => parseInt(file, 10))
+        .sort((a, b) => a - b);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+}
@@ -0,0 +1,248 @@
+/**
+ * Query Language
+ * Validates JQL / CQL style queries: clauses (field operator value) joined with
+ * AND, OR, NOT and parentheses, IN lists, function calls and an optional ORDER BY.
+ * Each builder passes the fields, functions and values its query language allows.
+ */
+
+// What WAS and CHANGED clauses may add: status WAS "Done" DURING (startOfWeek(), now())
+const HISTORY_PREDICATES = ['DURING', 'BEFORE', 'AFTER', 'ON', 'BY', 'FROM', 'TO'];
+
+/**
+ * Split a query into tokens: strings, operators, punctuation and words
+ */
+function tokenize(query) {
+  const tokens = [];
+  const pattern = /\s*(?:("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*')|(!=|!~|>=|<=|=|~|>|<)|([(),])|([\w.\-+/:@]+))/y;
+  
+  while (pattern.lastIndex < query.length) {
+    if (/^\s*$/.test(query.slice(pattern.lastIndex))) {
+      break;
+    }
+    const start = pattern.lastIndex;
+    const match = pattern.exec(query);
+    if (!match) {
+      throw new Error(`Unexpected "${query.slice(start).trim()[0]}" at position ${start}`);
+    }
+    
+    const [, string, operator, punct, word] = match;
+    if (string) {
+      tokens.push({ type: 'string', value: string.slice(1, -1).replace(/\\(.)/g, '$1') });
+    } else if (operator) {
+      tokens.push({ type: 'operator', value: operator });
+    } else if (punct) {
+      tokens.push({ type: 'punct', value: punct });
+    } else {
+      tokens.push({ type: 'word', value: word });
+    }
+  }
+  
+  return tokens;
+}
+
+/**
+ * Check that a query only uses known fields, functions and values
+ * @param {string} query - Query to check
+ * @param {Object} grammar - What the query may use
+ * @param {Array<string>} grammar.fields - Field names (lowercase)
+ * @param {Array<string>} grammar.functions - Function names (lowercase)
+ * @param {Array<string>} [grammar.sortFields] - Extra fields ORDER BY may use (lowercase)
+ * @param {Object} [grammar.known] - Allowed values per field (lowercase name -> list); empty lists allow anything
+ * @returns {Object} - { valid, errors }
+ */
+export function validateQuery(query, { fields, functions, sortFields = [], known = {} }) {
+  const errors = [];
+  let tokens;
+  try {
+    tokens = tokenize(query || '');
+  } catch (error) {
+    return { valid: false, errors: [error.message] };
+  }
+  if (tokens.length === 0) {
+    return { valid: false, errors: ['Query is empty'] };
+  }
+  
+  let position = 0;
+  const peek = () => tokens[position];
+  const isWord = (token, ...words) => token?.type === 'word' && words.includes(token.value.toUpperCase());
+  const next = () => {
+    if (position >= tokens.length) {
+      throw new Error('Query ends unexpectedly');
+    }
+    return tokens[position++];
+  };
+  const expect = (value) => {
+    const token = next();
+    if (token.value !== value) {
+      throw new Error(`Expected "${value}" but found "${token.value}"`);
+    }
+  };
+  
+  // Value: string, word, function call, or EMPTY / NULL; returns literal values to check
+  const parseValue = () => {
+    const token = next();
+    if (token.type === 'string') {
+      return [token.value];
+    }
+    if (token.type !== 'word') {
+      throw new Error(`Expected a value but found "${token.value}"`);
+    }
+    if (peek()?.value === '(') {
+      if (!functions.includes(token.value.toLowerCase())) {
+        errors.push(`Unknown function ${token.value}()`);
+      }
+      next();
+      while (peek() && peek().value !== ')') {
+        next();
+      }
+      expect(')');
+      return [];
+    }
+    return isWord(token, 'EMPTY', 'NULL') ? [] : [token.value];
+  };
+  
+  const parseClause = () => {
+    const fieldToken = next();
+    if (fieldToken.type !== 'word') {
+      throw new Error(`Expected a field but found "${fieldToken.value}"`);
+    }
+    const field = fieldToken.value.toLowerCase();
+    if (!fields.includes(field)) {
+      errors.push(`Unknown field "${fieldToken.value}"`);
+    }
+    
+    // Operator: symbols, IN, NOT IN, IS, IS NOT, WAS, WAS NOT, WAS (NOT) IN, CHANGED
+    const operator = next();
+    let listOperator = false;
+    const history = isWord(operator, 'WAS', 'CHANGED');
+    if (isWord(operator, 'CHANGED')) {
+      // CHANGED takes no value, only predicates
+    } else if (isWord(operator, 'IN')) {
+      listOperator = true;
+    } else if (isWord(operator, 'NOT') && isWord(peek(), 'IN')) {
+      next();
+      listOperator = true;
+    } else if (isWord(operator, 'IS', 'WAS')) {
+      if (isWord(peek(), 'NOT')) next();
+      if (isWord(operator, 'WAS') && isWord(peek(), 'IN')) {
+        next();
+        listOperator = true;
+      }
+    } else if (operator.type !== 'operator') {
+      throw new Error(`Expected an operator after ${fieldToken.value} but found "${operator.value}"`);
+    }
+    
+    let values = [];
+    if (listOperator && peek()?.value === '(') {
+      next();
+      values.push(...parseValue());
+      while (peek()?.value === ',') {
+        next();
+        values.push(...parseValue());
+      }
+      expect(')');
+    } else if (!isWord(operator, 'CHANGED')) {
+      values = parseValue();
+    }
+    
+    // History predicates: DURING (from, to), BEFORE / AFTER / ON a date, BY a user,
+    // FROM / TO a value of the field (CHANGED only)
+    while (history && isWord(peek(), ...HISTORY_PREDICATES)) {
+      const predicate = next().value.toUpperCase();
+      if (predicate === 'DURING') {
+        expect('(');
+        parseValue();
+        expect(',');
+        parseValue();
+        expect(')');
+      } else if (predicate === 'FROM' || predicate === 'TO') {
+        values.push(...parseValue());
+      } else {
+        parseValue();
+      }
+    }
+    
+    const allowed = known[field];
+    if (allowed?.length > 0) {
+      for (const value of values) {
+        if (!allowed.some(name => name.toLowerCase() === value.toLowerCase())) {
+          errors.push(`Unknown ${fieldToken.value} "${value}" (known: ${allowed.join(', ')})`);
+        }
+      }
+    }
+  };
+  
+  const parseExpression = () => {
+    parseAnd();
+    while (isWord(peek(), 'OR')) {
+      next();
+      parseAnd();
+    }
+  };
+  const parseAnd = () => {
+    parseNot();
+    while (isWord(peek(), 'AND')) {
+      next();
+      parseNot();
+    }
+  };
+  const parseNot = () => {
+    if (isWord(peek(), 'NOT')) {
+      next();
+      parseNot();
+    } else if (peek()?.value === '(') {
+      next();
+      parseExpression();
+      expect(')');
+    } else {
+      parseClause();
+    }
+  };
+  
+  try {
+    if (position < tokens.length && !isWord(peek(), 'ORDER')) {
+      parseExpression();
+    }
+    if (isWord(peek(), 'ORDER')) {
+      next();
+      if (!isWord(next(), 'BY')) {
+        throw new Error('Expected BY after ORDER');
+      }
+      for (;;) {
+        const field = next();
+        if (!fields.includes(field.value.toLowerCase()) && !sortFields.includes(field.value.toLowerCase())) {
+          errors.push(`Unknown sort field "${field.value}"`);
+        }
+        if (isWord(peek(), 'ASC', 'DESC')) next();
+        if (peek()?.value !== ',') break;
+        next();
+      }
+    }
+    if (position < tokens.length) {
+      throw new Error(`Unexpected "${peek().value}"`);
+    }
+  } catch (error) {
+    errors.push(error.message);
+  }
+  
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Escape a string for use in a RegExp (project, space and status names may hold
+ * ".", "+" or parentheses)
+ * @param {string} text - Text to match literally
+ * @returns {string}
+ */
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Quote a value for a query, escaping quotes and backslashes
+ * @param {string} value - Value to quote
+ * @returns {string}
+ */
+export function quote(value) {
+  return `"${value.replace(/(["\\])/g, '\\$1')}"`;
+}
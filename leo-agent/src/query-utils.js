@@ -0,0 +1,45 @@
+/**
+ * Query Utilities
+ * Helpers for interpreting natural-language queries shared by the data sources
+ */
+
+/**
+ * Work out how far back a query looks from phrases like "today", "this week"
+ * or "last 30 days"
+ * @param {string} query - User query
+ * @param {number} lookbackDays - Days to look back when the query names no period
+ * @param {Date} now - Current time
+ * @returns {Date} - Start of the period (midnight, local time)
+ */
+export function getPeriodStart(query, lookbackDays, now = new Date()) {
+  const since = new Date(now);
+  since.setHours(0, 0, 0, 0);
+  
+  const days = query.match(/(?:last|past)\s+(\d+)\s+days?/i);
+  if (days) {
+    since.setDate(since.getDate() - parseInt(days[1], 10));
+  } else if (/\btoday\b/i.test(query)) {
+    // Start of today
+  } else if (/\byesterday\b/i.test(query)) {
+    since.setDate(since.getDate() - 1);
+  } else if (/this week/i.test(query)) {
+    since.setDate(since.getDate() - ((since.getDay() + 6) % 7)); // Back to Monday
+  } else if (/last week/i.test(query)) {
+    since.setDate(since.getDate() - ((since.getDay() + 6) % 7) - 7);
+  } else if (/this month/i.test(query)) {
+    since.setDate(1);
+  } else {
+    since.setDate(since.getDate() - lookbackDays);
+  }
+  
+  return since;
+}
+
+/**
+ * Whether a query names a period that getPeriodStart understands
+ * @param {string} query - User query
+ * @returns {boolean}
+ */
+export function mentionsPeriod(query) {
+  return /(?:last|past)\s+\d+\s+days?|\btoday\b|\byesterday\b|this week|last week|this month/i.test(query);
+}
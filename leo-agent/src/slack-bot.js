@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+
+/**
+ * Leo Agent - Slack Bot
+ * Slack front end for LeoAgent (Bolt, Socket Mode). Answers DMs and @mentions
+ * in threads; each Slack thread is its own conversation session.
+ */
+
+import { fileURLToPath } from 'url';
+import { App, LogLevel } from '@slack/bolt';
+import dotenv from 'dotenv';
+import { LeoAgent, describeBrandState } from './agent.js';
+import { logger } from './logger.js';
+
+const THINKING_TEXT = ':hourglass_flowing_sand: _Leo is thinking..._';
+
+export class LeoSlackBot {
+  /**
+   * @param {Object} options
+   * @param {LeoAgent} [options.agent] - Agent that answers messages (defaults to a new LeoAgent)
+   * @param {App} [options.app] - Bolt app (defaults to a Socket Mode app built from SLACK_BOT_TOKEN / SLACK_APP_TOKEN)
+   */
+  constructor(options = {}) {
+    this.agent = options.agent || new LeoAgent();
+    this.app = options.app || new App({
+      token: process.env.SLACK_BOT_TOKEN,
+      appToken: process.env.SLACK_APP_TOKEN,
+      socketMode: true,
+      logLevel: LogLevel.WARN
+    });
+    
+    this.registerHandlers();
+  }
+  
+  /**
+   * Listen for @mentions in channels and messages in DMs
+   */
+  registerHandlers() {
+    this.app.event('app_mention', async ({ event, client, context }) => {
+      await this.handleMessage(event, client, context);
+    });
+    
+    this.app.message(async ({ message, client, context }) => {
+      // Channel messages only reach Leo through app_mention
+      if (message.channel_type !== 'im') return;
+      await this.handleMessage(message, client, context);
+    });
+  }
+  
+  /**
+   * Answer a Slack message in its thread, showing a typing indicator while Leo works
+   * @param {Object} event - Slack message or app_mention event
+   * @param {WebClient} client - Slack Web API client
+   * @param {Object} context - Bolt context (botUserId when known)
+   */
+  async handleMessage(event, client, context = {}) {
+    // Ignore edits, deletions, bot messages (including our own) and empty messages
+    if (event.subtype || event.bot_id) return;
+    
+    const text = this.stripMentions(event.text || '', context.botUserId);
+    if (!text) return;
+    
+    const threadTs = event.thread_ts || event.ts;
+    const userId = LeoSlackBot.getSessionId(event.user, threadTs);
+    
+    logger.info('Slack message received', {
+      user: event.user,
+      channel: event.channel,
+      thread: threadTs
+    });
+    
+    // Slack has no typing API for bots, so post a placeholder and replace it with the answer
+    let placeholder = null;
+    try {
+      placeholder = await client.chat.postMessage({
+        channel: event.channel,
+        thread_ts: threadTs,
+        text: THINKING_TEXT
+      });
+    } catch (error) {
+      logger.warning('Could not post typing indicator', { channel: event.channel, error: error.message });
+    }
+    
+    // Sessions are per thread; default brands (brands.userDefaults) are per Slack user
+    const response = await this.agent.chat(text, { userId, user: event.user, channel: event.channel, client: 'slack' });
+    let reply = this.toSlackMarkdown(response);
+    
+    // Show which brand the answer is about, so a wrong guess is easy to spot and fix with /brand <name>
+    const brandState = await this.agent.getBrandState(userId, event.user);
+    if (brandState.brands.length > 0) {
+      reply += `\n\n_Brand: ${describeBrandState(brandState)}_`;
+    }
+    
+    try {
+      if (placeholder?.ts) {
+        await client.chat.update({
+          channel: event.channel,
+          ts: placeholder.ts,
+          text: reply
+        });
+      } else {
+        await client.chat.postMessage({
+          channel: event.channel,
+          thread_ts: threadTs,
+          text: reply
+        });
+      }
+    } catch (error) {
+      logger.error('Failed to send Slack reply', {
+        channel: event.channel,
+        thread: threadTs,
+        error: error.message
+      });
+    }
+  }
+  
+  /**
+   * Session ID for a Slack user's thread
+   */
+  static getSessionId(user, threadTs) {
+    return `slack:${user}:${threadTs}`;
+  }
+  
+  /**
+   * Remove @mentions of Leo from the message text
+   */
+  stripMentions(text, botUserId) {
+    const mention = botUserId ? new RegExp(`<@${botUserId}>`, 'g') : /^\s*<@[A-Z0-9]+>/;
+    return text.replace(mention, '').trim();
+  }
+  
+  /**
+   * Convert the LLM's Markdown to Slack mrkdwn (bold, headings, links)
+   */
+  toSlackMarkdown(text) {
+    return text
+      .replace(/^#{1,6}\s+(.+)$/gm, '*$1*')
+      .replace(/\*\*(.+?)\*\*/g, '*$1*')
+      .replace(/\[([^\]]+)\]\((https?:\/\/[^)]+)\)/g, '<$2|$1>');
+  }
+  
+  /**
+   * Connect to Slack (and the MCP servers)
+   */
+  async start() {
+    try {
+      await this.agent.mcpManager?.initialize();
+    } catch (error) {
+      logger.warning('Failed to initialize MCP servers, continuing without them', { error: error.message });
+    }
+    
+    await this.app.start();
+    this.agent.watchFiles();
+    logger.info('Leo Slack bot is running', { socketMode: true });
+  }
+  
+  /**
+   * Disconnect from Slack and the MCP servers
+   */
+  async stop() {
+    this.agent.stopWatching?.();
+    await this.app.stop();
+    await this.agent.mcpManager?.disconnect();
+  }
+}
+
+// Run the bot when executed directly: node src/slack-bot.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+  dotenv.config();
+  
+  if (!process.env.SLACK_BOT_TOKEN || !process.env.SLACK_APP_TOKEN) {
+    console.error('SLACK_BOT_TOKEN and SLACK_APP_TOKEN must be set (see .env.example)');
+    process.exit(1);
+  }
+  
+  const bot = new LeoSlackBot();
+  await bot.start();
+  
+  const shutdown = async () => {
+    await bot.stop();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
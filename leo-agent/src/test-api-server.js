@@ -0,0 +1,187 @@
+#!/usr/bin/env node
+
+/**
+ * Test HTTP API Server
+ * Runs the API server with a stand-in agent and checks auth, JSON and SSE chat,
+ * session endpoints, status, health and prompt versions
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { LeoApiServer } from './api-server.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { PromptManager } from './prompt-manager.js';
+import { PromptVersionStore } from './prompt-versions.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - HTTP API Server Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+/**
+ * Stand-in agent with the LeoAgent surface the server uses
+ */
+const store = new MemoryConversationStore();
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leo-api-prompts-'));
+const agent = {
+  async chat(message, { userId, onToken }) {
+    const response = `You asked: ${message}`;
+    if (onToken) {
+      for (const word of response.split(/(?<= )/)) {
+        onToken(word);
+      }
+    }
+    const session = await store.loadSession(userId);
+    session.history.push({ role: 'user', content: message }, { role: 'assistant', content: response, promptVersions: ['system@builtin'] });
+    await store.saveSession(session);
+    return response;
+  },
+  getHistory: (userId) => store.getHistory(userId),
+  clearHistory: (userId) => store.deleteSession(userId),
+  listSessions: () => store.listSessions(),
+  resumeSession: (userId) => store.getSession(userId),
+  getBrandState: async () => ({ brands: ['TrueFire'], source: 'message', pinned: null }),
+  promptManager: new PromptManager({ promptsDir, versionStore: new PromptVersionStore(path.join(promptsDir, '.versions')) }),
+  mcpManager: {
+    getStatus: () => ({ atlassian: { name: 'Atlassian (Jira/Confluence)', available: true, enabled: true, tools: 12 } }),
+    healthCheck: async () => ({
+      atlassian: { status: 'healthy', responseTime: 40, name: 'Atlassian (Jira/Confluence)' },
+      googleDrive: { status: 'unhealthy', error: 'Health check timeout', name: 'Google Drive' }
+    })
+  },
+  llmManager: {
+    getProviderInfo: () => ({ provider: 'openai', model: 'gpt-4o-mini' })
+  }
+};
+
+const API_KEY = 'test-key-123';
+const server = new LeoApiServer({ agent, apiKeys: [API_KEY] });
+const { port } = await server.listen(0);
+const baseUrl = `http://127.0.0.1:${port}`;
+
+const request = (path, options = {}) => fetch(`${baseUrl}${path}`, {
+  ...options,
+  headers: { Authorization: `Bearer ${API_KEY}`, 'Content-Type': 'application/json', ...(options.headers || {}) }
+});
+
+try {
+  // Auth
+  const noKey = await fetch(`${baseUrl}/status`);
+  check('Requests without an API key are rejected', noKey.status === 401);
+  const wrongKey = await fetch(`${baseUrl}/status`, { headers: { 'X-API-Key': 'wrong' } });
+  check('Requests with a wrong API key are rejected', wrongKey.status === 401);
+  const headerKey = await fetch(`${baseUrl}/status`, { headers: { 'X-API-Key': API_KEY } });
+  check('X-API-Key header is accepted', headerKey.status === 200);
+
+  // JSON chat
+  const chat = await request('/chat', { method: 'POST', body: JSON.stringify({ message: 'Status of TF 1.25?', userId: 'dashboard:ana' }) });
+  const chatBody = await chat.json();
+  check('POST /chat returns the answer as JSON', chat.status === 200 && chatBody.response === 'You asked: Status of TF 1.25?', JSON.stringify(chatBody));
+  check('POST /chat reports the brand in effect and the prompt versions used',
+    chatBody.brand?.brands[0] === 'TrueFire' && chatBody.promptVersions?.join() === 'system@builtin', JSON.stringify(chatBody));
+
+  const invalid = await request('/chat', { method: 'POST', body: '{"message": ' });
+  check('Invalid JSON is a 400', invalid.status === 400);
+  const missing = await request('/chat', { method: 'POST', body: JSON.stringify({ userId: 'x' }) });
+  check('Missing message is a 400', missing.status === 400);
+
+  // SSE chat
+  const stream = await request('/chat', {
+    method: 'POST',
+    headers: { Accept: 'text/event-stream' },
+    body: JSON.stringify({ message: 'Stream it', userId: 'dashboard:ana' })
+  });
+  const events = (await stream.text()).trim().split('\n\n').map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  });
+  const tokens = events.filter(e => e.event === 'token').map(e => e.data.text).join('');
+  const done = events.find(e => e.event === 'done');
+  check('Streams tokens as Server-Sent Events', stream.headers.get('content-type') === 'text/event-stream' &&
+    events.filter(e => e.event === 'token').length > 1 && tokens === 'You asked: Stream it', tokens);
+  check('Stream ends with a done event carrying the full answer', done?.data.response === 'You asked: Stream it');
+
+  // Sessions
+  const sessions = await (await request('/sessions')).json();
+  check('GET /sessions lists sessions', sessions.sessions?.[0]?.userId === 'dashboard:ana');
+
+  const history = await request('/sessions/dashboard%3Aana/history');
+  const historyBody = await history.json();
+  check('GET /sessions/:userId/history returns the history', history.status === 200 && historyBody.history?.length === 4,
+    `${historyBody.history?.length} messages`);
+
+  const deleted = await request('/sessions/dashboard%3Aana', { method: 'DELETE' });
+  check('DELETE /sessions/:userId deletes the session', deleted.status === 200 && (await deleted.json()).deleted === true);
+  const gone = await request('/sessions/dashboard%3Aana/history');
+  check('Deleted session is a 404', gone.status === 404);
+
+  // Status and health
+  const status = await (await request('/status')).json();
+  check('GET /status reports MCP and LLM status', status.mcp?.atlassian?.tools === 12 && status.llm?.provider === 'openai');
+
+  const health = await (await request('/health')).json();
+  check('GET /health reports degraded when a server is unhealthy', health.status === 'degraded' &&
+    health.servers?.googleDrive?.status === 'unhealthy');
+
+  // Prompt versions
+  const post = (url, body) => request(url, { method: 'POST', body: JSON.stringify(body) });
+  const first = await post('/prompts/system/versions', { content: 'You are Leo.\nBe brief.', author: 'ana', note: 'First draft' });
+  const firstBody = await first.json();
+  check('POST /prompts/:name/versions saves a version', first.status === 201 && firstBody.version?.id === 'system@1' &&
+    firstBody.version.author === 'ana', JSON.stringify(firstBody));
+  await post('/prompts/system/versions', { content: 'You are Leo.\nBe thorough.' });
+  await post('/prompts/brands%2Ffaderpro/versions', { content: 'FaderPro notes.' });
+
+  const versions = await (await request('/prompts/system/versions')).json();
+  check('GET /prompts/:name/versions lists versions', versions.versions?.map(v => v.version).join() === '1,2' &&
+    versions.versions[1].author === 'api' && versions.versions[0].content === undefined, JSON.stringify(versions));
+  const prompts = await (await request('/prompts')).json();
+  check('GET /prompts lists prompts with their current version',
+    prompts.prompts?.map(p => `${p.name}@${p.current}`).join() === 'brands/faderpro@1,system@2', JSON.stringify(prompts));
+  const one = await (await request('/prompts/brands/faderpro/versions/1')).json();
+  check('GET /prompts/:name/versions/:version returns the content', one.version?.content === 'FaderPro notes.');
+
+  const diff = await (await request('/prompts/system/diff?from=1&to=2')).json();
+  check('GET /prompts/:name/diff compares two versions', diff.diff === '  You are Leo.\n- Be brief.\n+ Be thorough.', JSON.stringify(diff));
+
+  const rollback = await post('/prompts/system/rollback', { version: 1, author: 'ben' });
+  const rollbackBody = await rollback.json();
+  check('POST /prompts/:name/rollback restores a version as a new one', rollback.status === 201 &&
+    rollbackBody.version?.id === 'system@3' && agent.promptManager.getSystemPrompt().endsWith('Be brief.'), JSON.stringify(rollbackBody));
+
+  const invalidPrompt = await post('/prompts/system/versions', { content: '{{#if x}}' });
+  const missingVersion = await request('/prompts/system/versions/9');
+  const badName = await request('/prompts/..%2Fsecrets/versions');
+  check('Invalid templates are a 400, unknown versions a 404, bad names a 400',
+    invalidPrompt.status === 400 && missingVersion.status === 404 && badName.status === 400,
+    `${invalidPrompt.status} ${missingVersion.status} ${badName.status}`);
+
+  // Routing
+  check('Unknown routes are a 404', (await request('/nope')).status === 404);
+  check('Wrong methods are a 405', (await request('/chat')).status === 405);
+} finally {
+  await server.close();
+  fs.rmSync(promptsDir, { recursive: true, force: true });
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
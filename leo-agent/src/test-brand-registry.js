@@ -0,0 +1,112 @@
+#!/usr/bin/env node
+
+/**
+ * Test Brand Registry
+ * Checks that brands load from config/brands.json, invalid declarations are
+ * reported, and each brand's integration scopes narrow the Jira, Confluence,
+ * Google Drive and GitHub searches (using stubbed MCP tool calls)
+ */
+
+import chalk from 'chalk';
+import { BrandRegistry, brandRegistry } from './brand-registry.js';
+import { BrandDetector } from './brand-detector.js';
+import { MCPManager } from './mcp-manager.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Brand Registry Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+console.log(chalk.yellow('Loading\n'));
+
+const fromFile = new BrandRegistry();
+check('Loads the brands file', fromFile.getAll().length === 5 && fromFile.errors.length === 0, fromFile.errors.join('; '));
+check('Finds brands by name, key or alias', fromFile.getBrand('faderpro')?.name === 'FaderPro' &&
+  fromFile.getBrand('JP')?.name === 'JamPlay' && fromFile.getBrand('Nope') === null);
+
+const invalid = new BrandRegistry({
+  brands: {
+    good: { name: 'Good', jira: { projects: ['GD'] } },
+    unnamed: { aliases: ['x'] },
+    badScopes: { name: 'Bad', github: { repos: 'org/repo' } }
+  }
+});
+check('Invalid brands are reported and left out',
+  invalid.getAll().length === 1 && invalid.errors.length === 2 && invalid.errors[1].includes('github.repos'), invalid.errors.join('; '));
+
+const missing = new BrandRegistry({ path: 'config/does-not-exist.json' });
+check('A missing file leaves no brands', missing.getAll().length === 0 && missing.errors.length === 1);
+
+console.log(chalk.yellow('\nDetection\n'));
+
+const detector = new BrandDetector({
+  registry: new BrandRegistry({
+    brands: { acme: { name: 'Acme', aliases: ['acme co'], keywords: ['rockets', 'anvils'], domains: ['acme.test'] } }
+  })
+});
+check('Detects brands from the registry', detector.detectFromText('How are rockets and anvils selling?') === 'Acme' &&
+  detector.detectFromText('Traffic on acme.test') === 'Acme' && detector.detectFromText('TrueFire sales') === null);
+check('Brand info includes integration scopes', Array.isArray(detector.getBrandInfo('Acme')?.jira.projects));
+
+console.log(chalk.yellow('\nNarrowing searches\n'));
+
+// Scopes for the test (in memory only)
+brandRegistry.setBrands({
+  faderpro: {
+    name: 'FaderPro',
+    aliases: ['fp'],
+    jira: { projects: ['FP'] },
+    confluence: { spaces: ['FPDOC', 'FPENG'] },
+    googleDrive: { folders: ['folder-1'] },
+    github: { repos: ['faderpro/web'] }
+  }
+});
+config.settings.jira = { ...config.settings.jira, useLLM: false, projects: {} };
+config.settings.confluence = { ...config.settings.confluence, useLLM: false, spaces: {} };
+config.settings.github = { ...config.settings.github, repos: { default: ['truefire/site'] } };
+
+const mcpManager = new MCPManager({ servers: { atlassian: { command: 'mcp-atlassian', enabled: false } } });
+const calls = [];
+mcpManager.getConnection = async () => ({ config: { timeouts: { call: 1000 } } });
+mcpManager.callToolWithRetry = async (server, tool, params) => {
+  calls.push({ tool, params });
+  return { type: 'text', text: `${tool} ok` };
+};
+
+await mcpManager.queryJira('open bugs', 'FaderPro');
+check('Jira is searched in the brand\'s projects', calls[0].params.jql.startsWith('project = FP AND'), calls[0].params.jql);
+
+await mcpManager.queryConfluence('checkout PRD', 'FaderPro');
+check('Confluence is searched in the brand\'s spaces', calls[1].params.query.includes('space in ("FPDOC", "FPENG")'), calls[1].params.query);
+
+await mcpManager.queryGoogleDrive('checkout mockups', 'FaderPro');
+check('Google Drive is searched in the brand\'s folders', calls[2].params.folderId === 'folder-1', JSON.stringify(calls[2].params));
+
+check('GitHub uses the brand\'s repos, falling back to "default"',
+  mcpManager.getGitHubRepos('FaderPro').join() === 'faderpro/web' && mcpManager.getGitHubRepos('Blayze').join() === 'truefire/site');
+
+await mcpManager.queryJira('open bugs', null);
+check('Searches are not narrowed without a brand', !calls[3].params.jql.includes('project'), calls[3].params.jql);
+
+mcpManager.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Test Brand State
+ * Checks that brand context is kept per session (one user's brand never carries
+ * over to another's question), that /brand pins, shows and clears a brand, and
+ * that per-user default brands apply, using a stubbed MCP manager and LLM
+ */
+
+import chalk from 'chalk';
+import { LeoAgent, describeBrandState } from './agent.js';
+import { BrandDetector } from './brand-detector.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Brand State Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+// Default brands for the test (in memory only)
+config.settings.brands = { ...config.settings.brands, useLLM: false, default: null, userDefaults: { carla: 'JamPlay' } };
+
+const agent = new LeoAgent({ store: new MemoryConversationStore() });
+const searched = [];
+agent.getToolsForLLM = async () => [];
+agent.mcpManager.gatherData = async (message, brand) => {
+  searched.push(brand);
+  return {};
+};
+agent.llmManager.generateResponse = async () => 'stub answer';
+const lastBrand = () => searched[searched.length - 1];
+
+console.log(chalk.yellow('Sessions\n'));
+
+await agent.chat('How are Blayze signups trending?', { userId: 'alice' });
+await agent.chat('What are the top priorities this week?', { userId: 'bob' });
+check('Another user\'s brand does not carry over', searched.join() === 'Blayze,', JSON.stringify(searched));
+
+await agent.chat('And the open bugs?', { userId: 'alice' });
+check('Follow-ups keep the session\'s brand', lastBrand() === 'Blayze', lastBrand());
+
+const detector = new BrandDetector({ useLLM: false });
+const previous = await detector.detectBrand('And churn?', [], { previous: { brand: 'JamPlay', brands: [{ name: 'JamPlay' }] } });
+check('Falls back to the session\'s last detection', previous.brand === 'JamPlay' && previous.source === 'previous', JSON.stringify(previous));
+
+console.log(chalk.yellow('\nPinning\n'));
+
+const pinned = await agent.chat('/brand fp', { userId: 'alice' });
+check('/brand <name> pins a brand by name or alias', pinned.startsWith('Pinned FaderPro'), pinned);
+check('Commands are not sent to the LLM or saved in the history', searched.length === 3 &&
+  (await agent.getHistory('alice')).length === 4);
+
+await agent.chat('Compare TrueFire and JamPlay churn', { userId: 'alice' });
+check('A pinned brand wins over brands in the message', lastBrand() === 'FaderPro', lastBrand());
+
+const state = await agent.getBrandState('alice');
+check('The brand in effect is reported for front ends', describeBrandState(state) === 'FaderPro (pinned)' && state.pinned === 'FaderPro',
+  JSON.stringify(state));
+const shown = await agent.chat('/brand', { userId: 'alice' });
+check('/brand shows the brand in effect', shown.startsWith('Brand: FaderPro (pinned)'), shown);
+
+const unknown = await agent.chat('/brand Acme', { userId: 'alice' });
+check('Unknown brands are not pinned', unknown.startsWith('Unknown brand "Acme"') &&
+  (await agent.getBrandState('alice')).pinned === 'FaderPro', unknown);
+
+await agent.chat('/brand clear', { userId: 'alice' });
+await agent.chat('What are the top priorities?', { userId: 'alice' });
+check('/brand clear forgets the pinned and earlier brands', lastBrand() === null && describeBrandState(await agent.getBrandState('alice')) === 'no brand',
+  String(lastBrand()));
+
+await agent.chat('What about JamPlay?', { userId: 'alice' });
+await agent.chat('And its open bugs?', { userId: 'alice' });
+check('Brands are detected again after clearing', lastBrand() === 'JamPlay', lastBrand());
+
+console.log(chalk.yellow('\nDefaults\n'));
+
+await agent.chat('What are the top priorities?', { userId: 'slack:carla:1', user: 'carla' });
+check('A user\'s default brand applies when no brand is named', lastBrand() === 'JamPlay' &&
+  describeBrandState(await agent.getBrandState('slack:carla:1', 'carla')) === 'JamPlay (default)', lastBrand());
+
+await agent.chat('How is TrueFire doing?', { userId: 'slack:carla:1', user: 'carla' });
+check('Named brands win over the default', lastBrand() === 'TrueFire', lastBrand());
+
+const everyone = new BrandDetector({ useLLM: false, default: 'blayze', userDefaults: { carla: 'JamPlay' } });
+check('brands.default applies to everyone else', everyone.getDefaultBrand('dave') === 'Blayze' && everyone.getDefaultBrand('carla') === 'JamPlay');
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
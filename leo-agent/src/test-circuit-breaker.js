@@ -0,0 +1,109 @@
+#!/usr/bin/env node
+
+/**
+ * Test Circuit Breaker
+ * Checks that a tool which keeps failing is skipped immediately once its
+ * circuit opens, and is used again after a background probe succeeds,
+ * using a stubbed MCP tool call
+ */
+
+import chalk from 'chalk';
+import { CircuitBreaker, CIRCUIT_STATES } from './circuit-breaker.js';
+import { MCPManager } from './mcp-manager.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Circuit Breaker Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+console.log(chalk.yellow('Breaker states\n'));
+
+let probeHealthy = false;
+let probes = 0;
+const breaker = new CircuitBreaker({
+  failureThreshold: 3,
+  probeIntervalMs: 50,
+  maxProbeIntervalMs: 80,
+  probe: async () => {
+    probes++;
+    return probeHealthy;
+  }
+});
+const key = 'atlassian.jira_search';
+
+breaker.recordFailure(key);
+breaker.recordFailure(key);
+breaker.recordSuccess(key);
+breaker.recordFailure(key);
+breaker.recordFailure(key);
+check('A success resets the failure count', breaker.allowRequest(key));
+
+breaker.recordFailure(key);
+check('Opens after consecutive failures', !breaker.allowRequest(key) && breaker.getStates()[key]?.state === CIRCUIT_STATES.OPEN);
+check('Degraded result is returned instead', breaker.degradedResult(key).error === 'SERVICE_DEGRADED');
+
+await delay(80);
+check('Failed probe keeps the circuit open', probes === 1 && !breaker.allowRequest(key), `${probes} probes`);
+
+probeHealthy = true;
+await delay(120);
+check('Successful probe closes the circuit', probes === 2 && breaker.allowRequest(key) && !(key in breaker.getStates()), `${probes} probes`);
+
+breaker.stop();
+
+console.log(chalk.yellow('\nMCPManager\n'));
+
+const mcpManager = new MCPManager({ servers: { atlassian: { command: 'mcp-atlassian', enabled: false } } });
+mcpManager.circuitBreaker.failureThreshold = 2;
+mcpManager.circuitBreaker.probeIntervalMs = 50;
+
+let serverDown = true;
+let calls = 0;
+mcpManager.getConnection = async () => ({ config: { timeouts: { call: 1000 } } });
+mcpManager.callToolWithTimeout = async () => {
+  calls++;
+  return serverDown
+    ? { error: 'Request timeout', message: 'The request took longer than 10000ms', partial: true }
+    : { type: 'text', text: 'TF-101 Video buffering' };
+};
+
+const first = await mcpManager.callToolWithRetry('atlassian', 'jira_search', { limit: 3 }, 10000, 0);
+const second = await mcpManager.callToolWithRetry('atlassian', 'jira_search', { limit: 3 }, 10000, 0);
+check('Failures are fed from the recovery manager', first.error === 'TIMEOUT_ERROR' && second.error === 'TIMEOUT_ERROR');
+
+const callsBefore = calls;
+const startTime = Date.now();
+const degraded = await mcpManager.callToolWithRetry('atlassian', 'jira_search', { limit: 3 }, 10000, 2);
+check('Open circuit fails fast without calling the tool',
+  degraded.error === 'SERVICE_DEGRADED' && calls === callsBefore && Date.now() - startTime < 50, JSON.stringify(degraded));
+const { openCircuits } = mcpManager.getStatus().atlassian;
+check('Status reports the open circuit', openCircuits.length === 1 && openCircuits[0].tool === 'jira_search', JSON.stringify(openCircuits));
+
+serverDown = false;
+await delay(100);
+const recovered = await mcpManager.callToolWithRetry('atlassian', 'jira_search', { limit: 3 }, 10000, 0);
+check('Background probe repeats the failed call and closes the circuit', recovered?.text === 'TF-101 Video buffering', JSON.stringify(recovered));
+
+mcpManager.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
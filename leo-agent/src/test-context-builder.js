@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+
+/**
+ * Test Context Builder
+ * Checks that old turns are evicted into the running memory, that the memory is
+ * held to context.memoryMaxTokens, and that the prompt budget follows the
+ * smallest context window in the fallback chain, using a stubbed model
+ */
+
+import chalk from 'chalk';
+import { ContextBuilder } from './context-builder.js';
+import { LLMManager } from './llm-manager.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Context Builder Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+/**
+ * OpenAI-compatible client that answers every request with the given text
+ */
+function stubClient(answer) {
+  const client = { requests: [] };
+  client.chat = {
+    completions: {
+      create: async (request) => {
+        client.requests.push(request);
+        if (answer instanceof Error) {
+          throw answer;
+        }
+        return { choices: [{ message: { role: 'assistant', content: answer } }] };
+      }
+    }
+  };
+  return client;
+}
+
+// A conversation of alternating turns, each `size` characters long
+function turns(count, size = 40) {
+  return Array.from({ length: count }, (_, i) => ({
+    role: i % 2 === 0 ? 'user' : 'assistant',
+    content: `${i % 2 === 0 ? 'Question' : 'Answer'} ${i} `.padEnd(size, '.')
+  }));
+}
+
+// Settings for the test (in memory only)
+config.settings.llm = { ...config.settings.llm, provider: 'openai', model: 'gpt-4o-mini', maxTokens: 1000,
+  contextWindow: undefined, fallbackChain: ['local:stub-model'], retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 } };
+config.settings.context = { maxRecentMessages: 20, keepRecentMessages: 10, memoryMaxTokens: 100, safetyMarginTokens: 500 };
+
+const llm = new LLMManager();
+llm.providers.openai = stubClient('- Discussed the FaderPro release');
+llm.providers.local = stubClient('unused');
+const builder = new ContextBuilder(llm);
+
+console.log(chalk.yellow('Budget\n'));
+
+check('The primary model alone has a large window', llm.getContextWindow() === 128000);
+check('The chain window is the smallest of the available providers', await llm.getChainContextWindow() === 8192);
+check('The input budget leaves room for the answer and the safety margin',
+  await builder.getInputBudget(builder.getSettings()) === 8192 - 1000 - 500);
+llm.providers.local = null;
+check('Providers without a client do not shrink the budget', await llm.getChainContextWindow() === 128000);
+llm.providers.local = stubClient('unused');
+
+console.log(chalk.yellow('\nEviction\n'));
+
+const session = { history: turns(24), memory: null };
+const messages = await builder.build({ systemPrompt: 'You are Leo.', session, userContent: 'What is next?' });
+check('Past maxRecentMessages, history is cut down to keepRecentMessages', session.history.length === 10 &&
+  session.history[0].content.startsWith('Question 14'), `${session.history.length} kept`);
+check('Evicted turns are summarized into the memory', session.memory === '- Discussed the FaderPro release' &&
+  llm.providers.openai.requests[0].messages[1].content.includes('Question 0') &&
+  !llm.providers.openai.requests[0].messages[1].content.includes('Question 14'));
+check('The memory is added to the system prompt', messages[0].content.endsWith('- Discussed the FaderPro release') &&
+  messages.length === 12 && messages.at(-1).content === 'What is next?');
+
+const short = { history: turns(6), memory: null };
+llm.providers.openai.requests.length = 0;
+await builder.build({ systemPrompt: 'You are Leo.', session: short, userContent: 'Hi' });
+check('Short conversations are left alone', short.history.length === 6 && llm.providers.openai.requests.length === 0);
+
+// Turns of ~1000 tokens each against ~6700 tokens of budget
+const long = { history: turns(12, 4000), memory: null };
+await builder.build({ systemPrompt: 'You are Leo.', session: long, userContent: 'Hi' });
+check('Turns that do not fit the budget are evicted, starting the window on a user turn',
+  long.history.length > 0 && long.history.length < 7 && long.history[0].role === 'user', `${long.history.length} kept`);
+
+console.log(chalk.yellow('\nMemory size\n'));
+
+llm.providers.openai = stubClient(`- ${'The team discussed many things. '.repeat(200)}`);
+const verbose = { history: turns(24), memory: null };
+await builder.build({ systemPrompt: 'You are Leo.', session: verbose, userContent: 'Hi' });
+check('A summary longer than memoryMaxTokens is truncated', builder.countTokens(verbose.memory) <= 100 &&
+  verbose.memory.startsWith('- The team discussed'), `${builder.countTokens(verbose.memory)} tokens`);
+
+llm.providers.openai = stubClient(Object.assign(new Error('Bad request'), { status: 400 }));
+const failing = { history: turns(24), memory: 'Earlier memory.' };
+await builder.build({ systemPrompt: 'You are Leo.', session: failing, userContent: 'Hi' });
+check('If summarizing fails, the earlier questions are kept as notes within the limit',
+  failing.memory.startsWith('Earlier memory.\n- Earlier the user asked: Question 0') &&
+  builder.countTokens(failing.memory) <= 100, failing.memory);
+
+const huge = await builder.build({ systemPrompt: 'You are Leo.', session: { history: [], memory: null },
+  userContent: 'x'.repeat(40000) });
+check('Oversized MCP data is truncated to the budget', builder.countTokens(huge.at(-1).content) <=
+  8192 - 1000 - 500 - builder.countTokens('You are Leo.') - 100 && huge.at(-1).content.endsWith('...]'));
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
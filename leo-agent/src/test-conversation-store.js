@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+
+/**
+ * Test Conversation Store
+ * Verify sessions survive a "restart" (a new store instance) and can be listed,
+ * resumed and deleted, and that the agent answers messages on one session in turn
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { FileConversationStore, MemoryConversationStore } from './conversation-store.js';
+import { LeoAgent } from './agent.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Conversation Store Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+async function testStore(label, createStore) {
+  console.log(chalk.yellow(`\n${label}\n`));
+
+  let store = createStore();
+
+  // A new user gets an empty, unsaved session
+  const fresh = await store.loadSession('slack:U123:1700000000.0001');
+  check('New session starts empty', fresh.history.length === 0 && fresh.pendingRequest === null);
+  check('New session is not stored until saved', (await store.listSessions()).length === 0);
+
+  fresh.history.push({ role: 'user', content: 'What is blocking TrueFire 1.25?' });
+  fresh.history.push({ role: 'assistant', content: 'Two Jira issues are open.' });
+  fresh.pendingRequest = { query: 'jira', brand: 'TrueFire' };
+  fresh.errorContext = { error: 'TIMEOUT_ERROR', timestamp: Date.now() };
+  await store.saveSession(fresh);
+
+  // Make sure the second session has a later updatedAt
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await store.updateSession('cli-user', {
+    history: [{ role: 'user', content: 'hello' }]
+  });
+
+  // Simulate a restart for persistent stores
+  store = createStore(store);
+
+  const resumed = await store.getSession('slack:U123:1700000000.0001');
+  check('History is persisted', resumed?.history.length === 2, `${resumed?.history.length} messages`);
+  check('Pending request is persisted', resumed?.pendingRequest?.brand === 'TrueFire');
+  check('Error context is persisted', resumed?.errorContext?.error === 'TIMEOUT_ERROR');
+
+  const sessions = await store.listSessions();
+  check('Sessions are listed', sessions.length === 2, sessions.map(s => s.userId).join(', '));
+  check('Most recently updated session is first', sessions[0]?.userId === 'cli-user');
+
+  check('Deleting a session reports success', await store.deleteSession('cli-user'));
+  check('Deleting a missing session reports false', !(await store.deleteSession('cli-user')));
+  check('Deleted session is gone', (await store.getHistory('cli-user')).length === 0);
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leo-sessions-'));
+
+try {
+  await testStore('File store (new instance simulates a restart)', () => new FileConversationStore(tempDir));
+  await testStore('Memory store', (previous) => previous || new MemoryConversationStore());
+
+  console.log(chalk.yellow('\nConcurrent messages\n'));
+
+  config.settings.brands = { ...config.settings.brands, useLLM: false };
+  const agent = new LeoAgent({ store: new FileConversationStore(path.join(tempDir, 'agent')) });
+  agent.getToolsForLLM = async () => [];
+  agent.mcpManager.gatherData = async () => ({});
+  // Slow answers, so a second message arrives while the first is still being answered
+  agent.llmManager.generateResponse = async (messages) => {
+    await new Promise(resolve => setTimeout(resolve, 100));
+    return `Answer to ${messages.at(-1).content}`;
+  };
+
+  let startTime = Date.now();
+  await Promise.all([
+    agent.chat('first', { userId: 'thread-1' }),
+    agent.chat('second', { userId: 'thread-1' })
+  ]);
+  const turns = (await agent.getHistory('thread-1')).map(entry => entry.content);
+  check('Messages on one session are answered in turn, keeping both', turns.length === 4 &&
+    turns[0] === 'first' && turns[2] === 'second' && Date.now() - startTime >= 200, JSON.stringify(turns));
+
+  startTime = Date.now();
+  await Promise.all([
+    agent.chat('hello', { userId: 'thread-2' }),
+    agent.chat('hello', { userId: 'thread-3' })
+  ]);
+  check('Different sessions are answered side by side', Date.now() - startTime < 200 &&
+    (await agent.getHistory('thread-3')).length === 2, `${Date.now() - startTime}ms`);
+  check('Finished turns are not kept', agent.sessionTurns.size === 0);
+  agent.mcpManager.circuitBreaker.stop();
+} finally {
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
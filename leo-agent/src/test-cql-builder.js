@@ -0,0 +1,118 @@
+#!/usr/bin/env node
+
+/**
+ * Test CQL Builder
+ * Checks that Confluence questions are translated into valid CQL (by a stubbed LLM,
+ * falling back to rules) that searches the brand's space for the right words,
+ * and that queryConfluence searches with it and returns it with the results
+ */
+
+import chalk from 'chalk';
+import { CQLBuilder, validateCql, findSpaceKeys } from './cql-builder.js';
+import { MCPManager } from './mcp-manager.js';
+import { TimeoutRecoveryManager } from './timeout-recovery-manager.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - CQL Builder Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+// Known spaces, pages and labels for the test (in memory only)
+config.settings.confluence = {
+  ...config.settings.confluence,
+  spaces: { FaderPro: 'FP', TrueFire: 'TF' },
+  pages: { 'Product Specs': '123456' },
+  labels: ['retro'],
+  useLLM: true,
+  llmTimeoutMs: 200
+};
+
+console.log(chalk.yellow('Validation\n'));
+
+check('Accepts a full query',
+  validateCql('type = page AND space = "FP" AND (title ~ "checkout PRD" OR text ~ "checkout PRD") AND lastmodified >= startOfMonth() ORDER BY lastmodified DESC').valid);
+check('Accepts labels and ancestors', validateCql('label in ("retro", "q3") AND ancestor = 123456').valid);
+check('Rejects unknown fields and content types', !validateCql('status = current').valid && !validateCql('type = folder').valid);
+check('Rejects malformed queries', !validateCql('type=page AND').valid && !validateCql('text ~ "unclosed').valid);
+
+console.log(chalk.yellow('\nSpaces\n'));
+
+const rules = new CQLBuilder();
+
+check('Finds a brand named in the question', findSpaceKeys('find the FaderPro checkout PRD').join() === 'FP');
+check('Finds an explicit space key', findSpaceKeys('onboarding docs in space: ENG').join() === 'ENG' &&
+  findSpaceKeys('onboarding docs in space:ENG').join() === 'ENG');
+check('Finds a configured space key', findSpaceKeys('the TF space').join() === 'TF' && findSpaceKeys('the ENG space').length === 0);
+check('Words after "space" are not read as space keys',
+  findSpaceKeys('find docs in the engineering space about checkout').length === 0 &&
+  findSpaceKeys('which space has the FaderPro PRD?').join() === 'FP' &&
+  findSpaceKeys('which space has the PRD?').length === 0 &&
+  !rules.buildFromRules('find docs in the engineering space about checkout').includes('space ='));
+check('Falls back to the detected brand', findSpaceKeys('refund policy', 'TrueFire').join() === 'TF' && findSpaceKeys('refund policy').length === 0);
+check('Timeout recovery narrows to the space keys it is given',
+  new TimeoutRecoveryManager().extractQueryContext('find the FaderPro checkout PRD', 'confluence_search',
+    { spaceKeys: findSpaceKeys('find the FaderPro checkout PRD') }).spaceKey === 'FP');
+
+console.log(chalk.yellow('\nTranslation\n'));
+
+const question = 'find the FaderPro checkout PRD';
+const expected = 'type = page AND space = "FP" AND (title ~ "checkout PRD" OR text ~ "checkout PRD") ORDER BY lastmodified DESC';
+const llm = (reply) => ({
+  generateResponse: async () => typeof reply === 'function' ? reply() : reply
+});
+
+check('Rules search the brand\'s space for the right words', rules.buildFromRules(question) === expected, rules.buildFromRules(question));
+check('Rules handle ancestors, labels and dates',
+  rules.buildFromRules('TrueFire retro notes under Product Specs updated this week')
+    .startsWith('type = page AND space = "TF" AND ancestor = 123456 AND label = "retro" AND lastmodified >= "'),
+  rules.buildFromRules('TrueFire retro notes under Product Specs updated this week'));
+check('Quoted phrases are kept together',
+  rules.buildFromRules('"release notes" for the mobile app').includes('(title ~ "release notes" OR text ~ "release notes") AND (title ~ "mobile app"'));
+check('Every rule-based query is valid', [question, 'blog posts created last 30 days', 'pages labeled launch', 'latest docs']
+  .every(query => validateCql(rules.buildFromRules(query)).valid));
+
+const fromLLM = await new CQLBuilder({ llmManager: llm('```cql\n' + expected + '\n```') }).build(question);
+check('Uses valid CQL from the LLM', fromLLM.source === 'llm' && fromLLM.cql === expected, fromLLM.cql);
+
+const invalid = await new CQLBuilder({ llmManager: llm('SELECT * FROM pages') }).build(question);
+check('Falls back to rules when the LLM writes invalid CQL', invalid.source === 'rules' && invalid.cql === expected, invalid.cql);
+
+console.log(chalk.yellow('\nMCPManager\n'));
+
+const mcpManager = new MCPManager({ servers: { atlassian: { command: 'mcp-atlassian', enabled: false } } });
+const searches = [];
+mcpManager.callToolWithRetry = async (server, tool, params) => {
+  searches.push(params);
+  return { type: 'text', text: 'Checkout PRD (FP)' };
+};
+
+const result = await mcpManager.queryConfluence(question, null);
+check('Searches Confluence with the translated CQL', searches[0]?.query === expected && searches[0].limit === 10, JSON.stringify(searches[0]));
+check('Returns the CQL with the results', result.cql === expected && result.text === 'Checkout PRD (FP)');
+
+mcpManager.servers.set('atlassian', { tools: [{ name: 'confluence_search' }], config: { timeouts: { call: 1000 } } });
+const rejected = await mcpManager.callToolByName('confluence_search', { query: 'type = folder' });
+check('Model-written CQL is validated before calling Confluence', rejected.error === 'INVALID_CQL' && searches.length === 1, JSON.stringify(rejected));
+
+mcpManager.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
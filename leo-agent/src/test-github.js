@@ -0,0 +1,137 @@
+#!/usr/bin/env node
+
+/**
+ * Test GitHub
+ * Checks that the GitHub server is only enabled with a token, which kinds of
+ * activity a question asks for, that repos are queried concurrently and results
+ * are limited to the period asked about, using a stubbed GitHub MCP server
+ */
+
+import chalk from 'chalk';
+import { MCPManager } from './mcp-manager.js';
+import { loadServerConfigs } from './mcp-registry.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - GitHub Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const daysAgo = (days) => new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Each tool returns one item from today and one from two months ago
+const LISTS = {
+  list_pull_requests: [{ number: 2, merged_at: daysAgo(0) }, { number: 1, merged_at: daysAgo(60) }],
+  list_issues: [{ number: 7, title: 'Crash on export' }],
+  list_releases: [{ tag_name: 'v2.0', published_at: daysAgo(0) }, { tag_name: 'v1.0', published_at: daysAgo(60) }],
+  list_tags: [{ name: 'v2.0' }, { name: 'v1.0' }],
+  list_commits: [{ sha: 'b', commit: { author: { date: daysAgo(0) } } }, { sha: 'a', commit: { author: { date: daysAgo(60) } } }]
+};
+
+console.log(chalk.yellow('Server\n'));
+
+const declared = config.getDefaults().mcp.servers;
+check('Without a token the GitHub server is disabled', loadServerConfigs(declared, {}).servers.github.enabled === false);
+check('GITHUB_TOKEN or GITHUB_PERSONAL_ACCESS_TOKEN enables it',
+  loadServerConfigs(declared, { GITHUB_TOKEN: 'ghp_test' }).servers.github.enabled === true &&
+  loadServerConfigs(declared, { GITHUB_PERSONAL_ACCESS_TOKEN: 'ghp_test' }).servers.github.enabled === true);
+check('MCP_GITHUB_ENABLED=off still turns it off',
+  loadServerConfigs(declared, { GITHUB_TOKEN: 'ghp_test', MCP_GITHUB_ENABLED: 'off' }).servers.github.enabled === false);
+
+const disabled = new MCPManager({ servers: { github: { transport: 'http', url: 'https://github.example.com/mcp', enabled: false } } });
+check('A disabled server is not queried', await disabled.queryGitHub('What shipped?', null) === null);
+disabled.circuitBreaker.stop();
+
+console.log(chalk.yellow('\nSections\n'));
+
+const mcpManager = new MCPManager({ servers: { github: { transport: 'http', url: 'https://github.example.com/mcp' } } });
+const sections = (query) => Object.entries(mcpManager.getGitHubSections(query))
+  .filter(([, wanted]) => wanted).map(([section]) => section).join();
+check('"Shipped" asks for merges, releases and commits', sections('What shipped this week?') === 'pullRequests,releases,commits');
+check('Specific questions ask for one kind of activity', sections('Which PRs are waiting for review?') === 'pullRequests' &&
+  sections('Any new bugs?') === 'issues' && sections('Latest release tag?') === 'releases');
+check('Unclear questions ask for everything', sections('Anything new in the repo?') === 'pullRequests,issues,releases,commits');
+
+console.log(chalk.yellow('\nQueries\n'));
+
+config.settings.github = { ...config.settings.github, repos: { default: ['acme/web', 'acme/api'] }, lookbackDays: 7, perPage: 5 };
+const calls = [];
+mcpManager.getConnection = async () => ({});
+mcpManager.callToolWithRetry = async (serverKey, toolName, params) => {
+  calls.push({ serverKey, toolName, params });
+  if (params.repo === 'api' && toolName === 'list_tags') {
+    return { error: 'Not Found' };
+  }
+  return { type: 'text', text: JSON.stringify(LISTS[toolName]) };
+};
+
+const shipped = await mcpManager.queryGitHub('What shipped this week, and any new bugs?', null);
+check('Every section is fetched for each mapped repo', calls.length === 10 &&
+  calls.every(call => call.serverKey === 'github' && call.params.perPage === 5) &&
+  Object.keys(shipped).join() === 'since,acme/web,acme/api', JSON.stringify(Object.keys(shipped)));
+const web = shipped['acme/web'];
+check('Dated lists keep only items from the period asked about', web.pullRequests.map(pr => pr.number).join() === '2' &&
+  web.releases.map(release => release.tag_name).join() === 'v2.0' && web.commits.map(commit => commit.sha).join() === 'b');
+check('Undated lists are kept whole', web.tags.length === 2 && web.issues.length === 1);
+check('Tool errors are passed through in their section', shipped['acme/api'].tags.error === 'Not Found' &&
+  shipped['acme/api'].pullRequests.length === 1);
+
+calls.length = 0;
+const longer = await mcpManager.queryGitHub('Which PRs were merged in the last 90 days?', null);
+check('Only the sections asked about are fetched', calls.every(call => call.toolName === 'list_pull_requests') &&
+  calls.length === 2, calls.map(call => call.toolName).join());
+check('A longer period keeps older items', longer['acme/web'].pullRequests.length === 2);
+
+const since = new Date(Date.now() - 3 * 24 * 60 * 60 * 1000);
+check('filterSince leaves results that are not JSON lists unchanged',
+  mcpManager.filterSince({ type: 'text', text: 'rate limited' }, since, null).text === 'rate limited' &&
+  mcpManager.filterSince({ type: 'text', text: '{"message":"x"}' }, since, null).text === '{"message":"x"}' &&
+  mcpManager.filterSince(null, since, null) === null);
+check('filterSince drops items without a date when filtering by date',
+  mcpManager.filterSince({ type: 'text', text: JSON.stringify([{ n: 1 }, { n: 2, at: daysAgo(1) }]) }, since, item => item.at)
+    .map(item => item.n).join() === '2');
+
+// One slow repo and one whose query throws, next to a fast one
+config.settings.github.repos = { default: ['acme/slow', 'acme/broken', 'acme/web'] };
+const callStarts = [];
+mcpManager.callToolWithRetry = async (serverKey, toolName, params) => {
+  callStarts.push(Date.now());
+  if (params.repo === 'broken') {
+    throw new Error('Repository moved');
+  }
+  await new Promise(resolve => setTimeout(resolve, params.repo === 'slow' ? 300 : 10));
+  return { type: 'text', text: JSON.stringify(LISTS[toolName]) };
+};
+const fanOutStart = Date.now();
+const fannedOut = await mcpManager.queryGitHub('Which PRs were merged this week?', null);
+const fanOutMs = Date.now() - fanOutStart;
+check('Repos are queried concurrently, so a slow repo does not delay the others',
+  callStarts.length === 3 && Math.max(...callStarts) - fanOutStart < 100 && fanOutMs < 500, `${fanOutMs}ms`);
+check('A repo that fails is reported on its own', fannedOut['acme/broken'].error === 'Repository moved' &&
+  fannedOut['acme/web'].pullRequests.length === 1 && fannedOut['acme/slow'].pullRequests.length === 1, JSON.stringify(fannedOut));
+
+config.settings.github.repos = {};
+const unmapped = await mcpManager.queryGitHub('What shipped?', 'NoSuchBrand');
+check('Without mapped repos the answer says what to configure', unmapped.error === 'No GitHub repositories mapped for NoSuchBrand' &&
+  unmapped.suggestion.includes('github.repos'), JSON.stringify(unmapped));
+mcpManager.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
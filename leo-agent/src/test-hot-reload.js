@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+
+/**
+ * Test Hot Reload
+ * Checks that prompt and settings files are reloaded when they change (once edits
+ * settle), that broken edits are rejected while the loaded prompts and settings
+ * are kept, and that the agent picks up reloaded settings, using temp files
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { FileWatcher } from './file-watcher.js';
+import { PromptManager } from './prompt-manager.js';
+import { PromptVersionStore } from './prompt-versions.js';
+import { LeoAgent } from './agent.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Hot Reload Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Wait until a condition holds (file events arrive asynchronously)
+async function waitFor(condition, timeoutMs = 3000) {
+  const deadline = Date.now() + timeoutMs;
+  while (Date.now() < deadline) {
+    if (condition()) {
+      return true;
+    }
+    await sleep(25);
+  }
+  return condition();
+}
+
+const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leo-hot-reload-'));
+const originalConfigPath = config.configPath;
+const originalSettings = config.settings;
+const watchers = [];
+
+try {
+  console.log(chalk.yellow('Watching\n'));
+
+  let calls = 0;
+  const watchedDir = path.join(tempDir, 'watched');
+  watchers.push(new FileWatcher(watchedDir, () => calls++, { debounceMs: 100 }).start());
+  fs.mkdirSync(path.join(watchedDir, 'nested'), { recursive: true });
+  await waitFor(() => calls > 0);
+  calls = 0;
+  for (let i = 0; i < 5; i++) {
+    fs.writeFileSync(path.join(watchedDir, 'nested', 'file.md'), `edit ${i}`);
+    await sleep(10);
+  }
+  await sleep(400);
+  check('A burst of edits triggers one reload, including in new subdirectories', calls === 1, `${calls} calls`);
+
+  console.log(chalk.yellow('\nSettings\n'));
+
+  config.configPath = path.join(tempDir, 'settings.json');
+  config.settings = config.getDefaults();
+  const reloads = [];
+  const onReload = (settings) => reloads.push(settings);
+  config.on('reload', onReload);
+  watchers.push(config.watch({ debounceMs: 50 }));
+
+  fs.writeFileSync(config.configPath, JSON.stringify({ context: { maxRecentMessages: 8 } }));
+  check('settings.json changes are reloaded and announced',
+    await waitFor(() => config.get('context.maxRecentMessages') === 8) && reloads.length === 1 &&
+    config.get('context.keepRecentMessages') === 10);
+
+  fs.writeFileSync(config.configPath, '{ "context": { "maxRecentMessages": 30, }');
+  await sleep(300);
+  check('Invalid JSON is rejected and the current settings are kept',
+    config.get('context.maxRecentMessages') === 8 && reloads.length === 1);
+
+  // Replaced rather than written in place, the way many editors save
+  fs.writeFileSync(`${config.configPath}.tmp`, JSON.stringify({ context: { maxRecentMessages: '30' }, api: [] }));
+  fs.renameSync(`${config.configPath}.tmp`, config.configPath);
+  await sleep(300);
+  const rejected = config.reload();
+  check('Settings of the wrong type are rejected with the reasons',
+    !rejected.reloaded && config.get('context.maxRecentMessages') === 8 &&
+    rejected.errors.join('; ') === 'context.maxRecentMessages must be a number (got string); api must be an object (got array)',
+    rejected.errors.join('; '));
+  fs.writeFileSync(config.configPath, JSON.stringify({ mcp: { servers: {
+    atlassian: { transport: 'websocket' },
+    remote: { transport: 'http', timeouts: { call: 0 } }
+  } } }));
+  const brokenServers = config.reload();
+  check('Broken MCP server declarations are rejected with the reasons',
+    !brokenServers.reloaded && config.get('context.maxRecentMessages') === 8 && config.get('mcp.servers.remote') === undefined &&
+    brokenServers.errors.join('; ') === 'mcp.servers.atlassian.transport must be one of stdio, sse, http; ' +
+      'mcp.servers.remote.url must be an http(s) URL for the http transport; ' +
+      'mcp.servers.remote.timeouts.call must be a positive number of milliseconds',
+    brokenServers.errors.join('; '));
+
+  check('Settings without a default can hold anything',
+    config.validateSettings({ brands: { default: 'JamPlay' }, custom: [1] }).length === 0);
+
+  fs.writeFileSync(`${config.configPath}.tmp`, JSON.stringify({ context: { maxRecentMessages: 12 } }));
+  fs.renameSync(`${config.configPath}.tmp`, config.configPath);
+  check('A replaced settings.json is still watched', await waitFor(() => config.get('context.maxRecentMessages') === 12));
+
+  console.log(chalk.yellow('\nPrompts\n'));
+
+  const promptsDir = path.join(tempDir, 'prompts');
+  fs.mkdirSync(promptsDir);
+  fs.writeFileSync(path.join(promptsDir, 'system.md'), 'Leo v1.');
+  const manager = new PromptManager({ promptsDir, versionStore: new PromptVersionStore(path.join(tempDir, 'versions')) }).init();
+  watchers.push(manager.watch({ debounceMs: 50 }));
+
+  fs.writeFileSync(path.join(promptsDir, 'system.md'), 'Leo v2 on {{date}}.');
+  check('Prompt edits are used without a restart', await waitFor(() => manager.getSystemPrompt().startsWith('Leo v2')) &&
+    manager.renderSystemPrompt().versions.join() === 'system@2');
+
+  fs.writeFileSync(path.join(promptsDir, 'system.md'), 'Leo v3 {{#if user}}');
+  fs.mkdirSync(path.join(promptsDir, 'brands'));
+  fs.writeFileSync(path.join(promptsDir, 'brands', 'faderpro.md'), 'FaderPro notes.');
+  await waitFor(() => manager.brandPrompts.faderpro !== undefined);
+  check('A broken edit is rejected and the loaded prompt is kept', manager.getSystemPrompt().startsWith('Leo v2') &&
+    manager.listVersions('system').length === 2, manager.getSystemPrompt());
+  check('Other changes in the same reload still apply', manager.getSystemPrompt('FaderPro').endsWith('FaderPro notes.'));
+
+  const result = (fs.writeFileSync(path.join(promptsDir, 'brands', 'jamplay.md'), '{{> missing}}'), manager.reload());
+  check('New broken prompts are left out', result.rejected.map(({ name }) => name).join() === 'system,brands/jamplay' &&
+    manager.getPrompt('brands/jamplay') === undefined, JSON.stringify(result));
+
+  fs.writeFileSync(path.join(promptsDir, 'system.md'), 'Leo v3 {{#if user.name}}for {{user.name}}{{/if}}.');
+  check('Fixing the prompt loads it', await waitFor(() => manager.getSystemPrompt() === 'Leo v3 .'), manager.getSystemPrompt());
+
+  console.log(chalk.yellow('\nAgent\n'));
+
+  const agent = new LeoAgent({ store: new MemoryConversationStore() });
+  agent.watchFiles();
+  fs.writeFileSync(config.configPath, JSON.stringify({ llm: { model: 'gpt-4o' }, brands: { minConfidence: 0.9 } }));
+  check('The agent picks up reloaded LLM and brand settings',
+    await waitFor(() => agent.llmManager.model === 'gpt-4o') && agent.brandDetector.minConfidence === 0.9,
+    `${agent.llmManager.model}, ${agent.brandDetector.minConfidence}`);
+
+  agent.stopWatching();
+  check('Watching can be turned off', agent.watchers === null && config.listenerCount('reload') === 1);
+
+  config.off('reload', onReload);
+} finally {
+  for (const watcher of watchers) {
+    watcher.close();
+  }
+  config.configPath = originalConfigPath;
+  config.settings = originalSettings;
+  fs.rmSync(tempDir, { recursive: true, force: true });
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
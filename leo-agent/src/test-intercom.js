@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+
+/**
+ * Test Intercom Connector
+ * Runs the connector against a small Intercom API stand-in, so brand routing,
+ * tag counts and citations can be verified without a real workspace
+ */
+
+import http from 'http';
+import chalk from 'chalk';
+import { IntercomConnector } from './intercom-connector.js';
+import { LeoAgent } from './agent.js';
+import { MCPManager } from './mcp-manager.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Intercom Connector Test ===\n'));
+
+const now = Math.floor(Date.now() / 1000);
+
+// Conversations per workspace token
+const WORKSPACES = {
+  'truefire-token': {
+    appId: 'tf123',
+    conversations: [
+      { id: '101', title: 'Video keeps buffering', state: 'open', created_at: now - 3600, updated_at: now - 60,
+        source: { subject: '', body: '<p>Lessons buffer on&nbsp;my phone</p>' },
+        tags: { tags: [{ name: 'video-playback' }, { name: 'mobile' }] } },
+      { id: '102', title: null, state: 'closed', created_at: now - 7200, updated_at: now - 120,
+        source: { body: '<p>Charged twice this month</p>' },
+        tags: { tags: [{ name: 'billing' }] } },
+      { id: '103', title: 'Playback stutters', state: 'open', created_at: now - 9000, updated_at: now - 300,
+        source: { body: 'Stutters in Safari' },
+        tags: { tags: [{ name: 'video-playback' }] } }
+    ]
+  },
+  'default-token': {
+    appId: 'shared9',
+    conversations: [
+      { id: '201', title: 'Login issue', state: 'open', created_at: now - 100, updated_at: now - 50,
+        source: { body: 'Cannot log in' }, tags: { tags: [] } }
+    ]
+  }
+};
+
+const searches = [];
+
+function startStandInServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const token = (req.headers.authorization || '').replace('Bearer ', '');
+      const workspace = WORKSPACES[token];
+      res.setHeader('Content-Type', 'application/json');
+
+      if (!workspace) {
+        res.writeHead(401);
+        res.end(JSON.stringify({ type: 'error.list', errors: [{ code: 'unauthorized', message: 'Access Token Invalid' }] }));
+        return;
+      }
+
+      if (req.method === 'GET' && req.url === '/me') {
+        res.end(JSON.stringify({ type: 'admin', app: { id_code: workspace.appId } }));
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/conversations/search') {
+        const search = JSON.parse(body);
+        searches.push({ token, search, version: req.headers['intercom-version'] });
+        const conversations = workspace.conversations.filter(c => c.updated_at > search.query.value);
+        res.end(JSON.stringify({ type: 'conversation.list', total_count: conversations.length + 40, conversations }));
+        return;
+      }
+
+      res.writeHead(404);
+      res.end('{}');
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const server = await startStandInServer();
+process.env.TEST_INTERCOM_TRUEFIRE_TOKEN = 'truefire-token';
+
+const intercom = new IntercomConnector({
+  baseUrl: `http://127.0.0.1:${server.address().port}`,
+  workspaces: {
+    TrueFire: { token: '${TEST_INTERCOM_TRUEFIRE_TOKEN}' },
+    JamPlay: { token: 'revoked-token' },
+    default: { token: 'default-token' }
+  }
+});
+
+try {
+  const feedback = await intercom.getFeedback('top customer complaints in the last 7 days', 'TrueFire');
+  check('Routes the brand to its workspace', feedback.workspace === 'TrueFire' && searches[0]?.token === 'truefire-token');
+  check('Searches conversations updated in the period',
+    searches[0]?.search.query.field === 'updated_at' && searches[0].search.query.value === Math.floor(new Date(feedback.since).getTime() / 1000));
+  check('Sends the Intercom API version header', searches[0]?.version === '2.11');
+  check('Returns conversations and the total count', feedback.conversations.length === 3 && feedback.totalConversations === 43);
+  check('Counts tags, most common first', feedback.tagCounts[0]?.tag === 'video-playback' && feedback.tagCounts[0]?.count === 2,
+    JSON.stringify(feedback.tagCounts));
+  check('Strips HTML from excerpts', feedback.conversations[0].excerpt === 'Lessons buffer on my phone', feedback.conversations[0].excerpt);
+  check('Links conversations using the workspace app id', feedback.conversations[0].url?.includes('/apps/tf123/') &&
+    feedback.conversations[0].url.endsWith('/101'), feedback.conversations[0].url);
+
+  const fallback = await intercom.getFeedback('customer feedback', 'Blayze');
+  check('Falls back to the default workspace', fallback.workspace === 'default' && fallback.conversations[0]?.id === '201');
+
+  const late = await intercom.getFeedback('customer feedback', 'TrueFire', Date.now() - 1);
+  check('A passed deadline cuts the request short', late.error?.includes('timed out after 1ms'), late.error);
+
+  const unauthorized = await intercom.getFeedback('customer feedback', 'JamPlay');
+  check('Reports an invalid token', unauthorized.error?.includes('401') && unauthorized.suggestion.includes('access token'),
+    unauthorized.error);
+
+  const unconfigured = new IntercomConnector({ workspaces: { TrueFire: { token: '${TEST_INTERCOM_UNSET_TOKEN}' } } });
+  const missing = await unconfigured.getFeedback('customer feedback', 'TrueFire');
+  check('Reports a missing workspace token', missing.error?.includes('No Intercom workspace token'), missing.error);
+
+  const enriched = LeoAgent.prototype.enrichMessageWithData.call(LeoAgent.prototype, 'Top complaints?', { intercom: feedback });
+  check('Enriched message cites conversations by ID', enriched.includes('#101') && enriched.includes('#103'));
+  check('Enriched message includes tag counts', enriched.includes('video-playback (2)'));
+
+  // Tool-calling path: the connector is offered to the LLM as a built-in tool
+  const mcpManager = new MCPManager({ servers: {}, intercom });
+  const tools = await mcpManager.getToolDefinitions();
+  check('Offered to the LLM as a tool', tools.some(tool => tool.name === 'intercom_search_conversations'));
+  const toolResult = await mcpManager.callToolByName('intercom_search_conversations', { brand: 'TrueFire', period: 'last 7 days' });
+  check('Tool call returns the brand\'s conversations', toolResult.workspace === 'TrueFire' && toolResult.conversations.length === 3);
+} finally {
+  server.close();
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Test JQL Builder
+ * Checks that Jira questions are translated into valid JQL (by a stubbed LLM,
+ * falling back to rules), that invalid JQL is rejected, and that queryJira
+ * searches with the translated JQL and returns it with the results
+ */
+
+import chalk from 'chalk';
+import { JQLBuilder, validateJql } from './jql-builder.js';
+import { MCPManager } from './mcp-manager.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - JQL Builder Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+// Known fields for the test (in memory only)
+config.settings.jira = {
+  ...config.settings.jira,
+  projects: { TrueFire: 'TF', ArtistWorks: 'AW' },
+  useLLM: true,
+  llmTimeoutMs: 200
+};
+
+console.log(chalk.yellow('Validation\n'));
+
+const schema = new JQLBuilder().getSchema();
+const valid = (jql) => validateJql(jql, schema).valid;
+
+check('Accepts a full query',
+  valid('project = TF AND issuetype = Bug AND priority = Highest AND statusCategory != Done AND assignee = "Dana" AND sprint in openSprints() ORDER BY updated DESC'));
+check('Accepts lists, NOT, IS EMPTY and grouping',
+  valid('(status in ("To Do", "In Review") OR labels IS EMPTY) AND NOT project = AW'));
+check('Accepts relative dates and functions', valid('updated >= -7d AND created < startOfWeek() ORDER BY priority DESC, updated ASC'));
+check('Rejects unknown fields', !valid('severity = critical'));
+check('Rejects values not in the schema', !valid('priority = P1') && !valid('project = XYZ') && !valid('status = "Blocked"'));
+check('Accepts WAS and CHANGED with their predicates',
+  valid('status WAS "Done" DURING (startOfWeek(), now())') &&
+  valid('status CHANGED FROM "In Progress" TO Done BY currentUser() AFTER -7d') &&
+  valid('assignee WAS NOT IN ("Dana", "Ana") BEFORE "2026-10-01" AND priority CHANGED ON startOfDay()'));
+check('Checks CHANGED values and predicates', !valid('status CHANGED TO "Blocked"') &&
+  !valid('status WAS "Done" DURING (startOfWeek())') && !valid('status = Done DURING (startOfWeek(), now())'));
+check('Projects are checked against project keys, not brand names', valid('project = TF') && !valid('project = TrueFire'));
+check('Rejects unknown functions', !valid('sprint in mySprints()'));
+check('Rejects malformed queries', !valid('project = TF AND') && !valid('SELECT * FROM issues') && !valid(''));
+
+console.log(chalk.yellow('\nTranslation\n'));
+
+const question = 'open P1 bugs in TrueFire assigned to Dana updated this sprint';
+const expected = 'project = TF AND issuetype = Bug AND priority = Highest AND statusCategory != Done AND assignee = "Dana" AND sprint in openSprints() ORDER BY updated DESC';
+
+let prompt = null;
+const llm = (reply) => ({
+  generateResponse: async (messages) => {
+    prompt = messages;
+    return typeof reply === 'function' ? reply() : reply;
+  }
+});
+
+const fromLLM = await new JQLBuilder({ llmManager: llm('```jql\n' + expected + '\n```') }).build(question, 'TrueFire');
+check('Uses valid JQL from the LLM', fromLLM.source === 'llm' && fromLLM.jql === expected, fromLLM.jql);
+check('Prompt lists the known fields', /TrueFire: TF/.test(prompt[0].content) && /P1 = Highest/.test(prompt[0].content));
+
+const invalid = await new JQLBuilder({ llmManager: llm('priority = P1 AND severity = high') }).build(question, 'TrueFire');
+check('Falls back to rules when the LLM writes invalid JQL', invalid.source === 'rules' && invalid.jql.includes('priority = "Highest"'), invalid.jql);
+
+const slow = await new JQLBuilder({ llmManager: llm(() => new Promise(resolve => setTimeout(() => resolve(expected), 1000))) })
+  .build(question, 'TrueFire');
+check('Falls back to rules when the LLM is too slow', slow.source === 'rules', slow.source);
+
+const hurried = new JQLBuilder({ llmManager: llm(() => new Promise(resolve => setTimeout(() => resolve(expected), 1000))) });
+const hurriedStart = Date.now();
+const nearDeadline = await hurried.build(question, 'TrueFire', Date.now() + 100);
+const hurriedMs = Date.now() - hurriedStart;
+prompt = null;
+const pastDeadline = await hurried.build(question, 'TrueFire', Date.now() - 1);
+check('The LLM gets at most half the time left before the gather deadline', nearDeadline.source === 'rules' &&
+  hurriedMs < 150 && pastDeadline.source === 'rules' && prompt === null, `${hurriedMs}ms`);
+
+const rules = await new JQLBuilder().build(question, null);
+check('Rules translate the example question',
+  rules.jql === 'project = TF AND issuetype = "Bug" AND priority = "Highest" AND statusCategory != Done AND assignee = "Dana" AND sprint in openSprints() ORDER BY updated DESC',
+  rules.jql);
+check('Rules use the detected brand and "me"',
+  new JQLBuilder().buildFromRules('stories assigned to me', 'ArtistWorks') === 'project = AW AND issuetype = "Story" AND assignee = currentUser() ORDER BY updated DESC');
+const unusual = { ...schema, projects: { 'C++ Tools': ['CPP'] }, statuses: [...schema.statuses, 'Q.A Review'] };
+const fromUnusual = (query) => new JQLBuilder().buildFromRules(query, null, unusual);
+check('Names with regex characters are matched literally',
+  fromUnusual('tasks in C++ Tools waiting for Q.A Review') === 'project = CPP AND issuetype = "Task" AND status = "Q.A Review" ORDER BY updated DESC' &&
+  !fromUnusual('tasks in C++ Tools waiting for QXA Review').includes('status'), fromUnusual('tasks in C++ Tools waiting for Q.A Review'));
+const fromRules = (query) => new JQLBuilder().buildFromRules(query);
+check('"Done" words describing the issues filter by status', fromRules('closed bugs in TrueFire') ===
+  'project = TF AND issuetype = "Bug" AND statusCategory = Done ORDER BY updated DESC' &&
+  fromRules('tickets that were resolved').startsWith('statusCategory = Done') &&
+  fromRules('what did we finish last week').startsWith('statusCategory = Done AND updated >= "'), fromRules('closed bugs in TrueFire'));
+check('"Done" words about what to do are not a status', !fromRules('show tickets I need to close today').includes('statusCategory') &&
+  !fromRules('Which bugs should we resolve first?').includes('statusCategory'), fromRules('show tickets I need to close today'));
+check('What the issues are for is searched as text', fromRules('What is done for the API?') === 'text ~ "API" ORDER BY updated DESC' &&
+  fromRules('bugs about "dark mode" in TrueFire') === 'project = TF AND issuetype = "Bug" AND text ~ "dark mode" ORDER BY updated DESC' &&
+  fromRules('open bugs for TrueFire') === 'project = TF AND issuetype = "Bug" AND statusCategory != Done ORDER BY updated DESC',
+  fromRules('What is done for the API?'));
+check('Every rule-based query is valid', [question, 'what did we finish last week', 'high-priority tasks in progress', 'latest issues',
+  'What is done for the API?', 'tickets about "checkout" resolved last week']
+  .every(query => valid(new JQLBuilder().buildFromRules(query))));
+
+console.log(chalk.yellow('\nMCPManager\n'));
+
+const mcpManager = new MCPManager({
+  servers: { atlassian: { command: 'mcp-atlassian', enabled: false } },
+  jqlBuilder: new JQLBuilder({ llmManager: llm(expected) })
+});
+const searches = [];
+mcpManager.callToolWithRetry = async (server, tool, params) => {
+  searches.push(params);
+  return { type: 'text', text: 'TF-101 Video buffering' };
+};
+
+const result = await mcpManager.queryJira(question, 'TrueFire');
+check('Searches Jira with the translated JQL', searches[0]?.jql === expected && searches[0].limit === 10, JSON.stringify(searches[0]));
+check('Returns the JQL with the results', result.jql === expected && result.text === 'TF-101 Video buffering');
+
+mcpManager.servers.set('atlassian', { tools: [{ name: 'jira_search' }], config: { timeouts: { call: 1000 } } });
+const rejected = await mcpManager.callToolByName('jira_search', { jql: 'priority = P1 ORDER BY updated' });
+check('Model-written JQL is validated before calling Jira', rejected.error === 'INVALID_JQL' && searches.length === 1, JSON.stringify(rejected));
+
+mcpManager.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -0,0 +1,188 @@
+#!/usr/bin/env node
+
+/**
+ * Test LLM Fallback Chain
+ * Checks with stubbed provider clients that retryable failures (rate limits,
+ * server errors, dropped connections) are retried and then passed down
+ * llm.fallbackChain, that other failures are not, and that a streamed answer
+ * never switches providers once text has been sent. A bare "local" entry is only used
+ * with a configured local server, and its model discovery is cached.
+ */
+
+import chalk from 'chalk';
+import { APIConnectionError } from 'openai';
+import { LLMManager } from './llm-manager.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - LLM Fallback Chain Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+/**
+ * OpenAI-compatible client that fails with the given statuses, then answers
+ */
+function stubClient(failures, answer) {
+  const client = { attempts: 0 };
+  client.chat = {
+    completions: {
+      create: async (request) => {
+        const status = failures[client.attempts++];
+        if (status) {
+          throw Object.assign(new Error(`HTTP ${status}`), { status });
+        }
+        if (request.stream) {
+          return (async function* () {
+            for (const content of answer.split(/(?<= )/)) {
+              yield { choices: [{ delta: { content } }] };
+            }
+          })();
+        }
+        return { choices: [{ message: { role: 'assistant', content: answer } }] };
+      }
+    }
+  };
+  return client;
+}
+
+// Settings for the test (in memory only): one retry, no real waiting
+config.settings.llm = { ...config.settings.llm, provider: 'openai', model: 'gpt-4o-mini',
+  fallbackChain: ['local:stub-model'], retry: { maxRetries: 1, baseDelayMs: 1, maxDelayMs: 2 } };
+const messages = [{ role: 'user', content: 'Status?' }];
+const llm = new LLMManager();
+
+console.log(chalk.yellow('Errors\n'));
+
+const error = (cause) => llm.providerError('failed', cause);
+check('Rate limits, overload and server errors are retryable',
+  [408, 429, 500, 502, 503, 504, 529].every(status => error({ status }).retryable) && error({ status: 503 }).status === 503);
+check('Bad requests and bad keys are not', !error({ status: 400 }).retryable && !error({ status: 401 }).retryable &&
+  !error(new Error('boom')).retryable);
+check('Dropped connections are retryable', error(new APIConnectionError({ message: 'socket hang up' })).retryable);
+
+console.log(chalk.yellow('\nFallback chain\n'));
+
+llm.providers.openai = stubClient([429], 'From OpenAI.');
+llm.providers.local = stubClient([], 'From local.');
+const retried = await llm.generateResponse(messages);
+check('Retries a retryable failure on the same provider', retried === 'From OpenAI.' && llm.providers.openai.attempts === 2 &&
+  llm.lastUsedProvider.provider === 'openai', retried);
+
+llm.providers.openai = stubClient([503, 503], 'From OpenAI.');
+const fellBack = await llm.generateResponse(messages);
+check('Falls through to the next provider after the retries', fellBack === 'From local.' &&
+  llm.providers.openai.attempts === 2 && llm.lastUsedProvider.provider === 'local', fellBack);
+
+llm.providers.openai = stubClient([401], 'From OpenAI.');
+llm.providers.local = stubClient([], 'From local.');
+let thrown = null;
+try {
+  await llm.generateResponse(messages);
+} catch (caught) {
+  thrown = caught;
+}
+check('Other failures are reported without retrying or falling back', thrown?.message.includes('Invalid OpenAI API key') &&
+  llm.providers.openai.attempts === 1 && llm.providers.local.attempts === 0, thrown?.message);
+
+llm.providers.openai = null;
+const skipped = await llm.generateResponse(messages);
+check('Providers without a client are skipped', skipped === 'From local.');
+
+const chain = await llm.getFallbackChain();
+config.settings.llm.fallbackChain = ['openai:gpt-4o-mini', 'mystery:model', 'claude:claude-3-haiku'];
+const deduplicated = await llm.getFallbackChain();
+check('The chain starts with the primary provider, without duplicates or unknown providers',
+  chain.map(entry => `${entry.provider}:${entry.model}`).join() === 'openai:gpt-4o-mini,local:stub-model' &&
+  deduplicated.map(entry => entry.provider).join() === 'openai,claude', JSON.stringify(deduplicated));
+
+console.log(chalk.yellow('\nLocal provider\n'));
+
+delete process.env.LOCAL_LLM_BASE_URL;
+delete process.env.OLLAMA_BASE_URL;
+config.settings.llm.fallbackChain = ['local'];
+const unconfigured = new LLMManager();
+check('Without a local base URL or model, local is not set up or added to the chain', unconfigured.providers.local === null &&
+  (await unconfigured.getFallbackChain()).every(entry => entry.provider !== 'local'));
+
+// A local server whose model list can be changed, counting how often it is asked
+let served = [];
+llm.providers.local = {
+  listed: 0,
+  models: {
+    list: () => {
+      llm.providers.local.listed++;
+      return (async function* () {
+        yield* served.map(id => ({ id }));
+      })();
+    }
+  }
+};
+const localModels = async () => (await llm.getFallbackChain()).filter(entry => entry.provider === 'local').map(entry => entry.model);
+const none = [await localModels(), await localModels()];
+check('An empty model list is cached too', none.every(models => models.length === 0) && llm.providers.local.listed === 1);
+served = ['llama3'];
+const cached = await localModels();
+llm.localModels.fetchedAt -= config.get('llm.local.discoveryTtlMs');
+const refreshed = await localModels();
+check('Models are discovered again once llm.local.discoveryTtlMs has passed', cached.length === 0 &&
+  refreshed.join() === 'llama3' && llm.providers.local.listed === 2, `${llm.providers.local.listed} lists`);
+config.settings.llm.fallbackChain = ['local:stub-model'];
+
+console.log(chalk.yellow('\nStreaming\n'));
+
+llm.providers.openai = stubClient([503, 503], 'From OpenAI.');
+llm.providers.local = stubClient([], 'From local.');
+let streamed = '';
+for await (const chunk of llm.streamResponse(messages)) {
+  streamed += chunk;
+}
+check('A stream that fails before its first chunk falls through', streamed === 'From local.', streamed);
+
+// A stream that breaks after its first chunk
+llm.providers.openai = {
+  attempts: 0,
+  chat: {
+    completions: {
+      create: async () => {
+        llm.providers.openai.attempts++;
+        return (async function* () {
+          yield { choices: [{ delta: { content: 'Half an ' } }] };
+          throw Object.assign(new Error('Connection reset'), { status: 503 });
+        })();
+      }
+    }
+  }
+};
+llm.providers.local = stubClient([], 'From local.');
+let partial = '';
+let streamError = null;
+try {
+  for await (const chunk of llm.streamResponse(messages)) {
+    partial += chunk;
+  }
+} catch (caught) {
+  streamError = caught;
+}
+check('Once text has been sent, a failure is reported instead of switching providers',
+  partial === 'Half an ' && streamError?.retryable === true && llm.providers.openai.attempts === 1 &&
+  llm.providers.local.attempts === 0, `${partial} / ${streamError?.message}`);
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -26,7 +26,7 @@ async function testLLMConnection() {
   console.log(`- Temperature: ${info.temperature}`);
   console.log(`- API Key Present: ${process.env.OPENAI_API_KEY ? 'Yes' : 'No'}\n`);
   
-  if (!process.env.OPENAI_API_KEY) {
+  if (info.provider === 'openai' && !process.env.OPENAI_API_KEY) {
     console.error(chalk.red('❌ Error: OPENAI_API_KEY not found in environment variables'));
     console.log(chalk.yellow('\nPlease:'));
     console.log('1. Copy .env.example to .env');
@@ -65,7 +65,7 @@ async function testLLMConnection() {
     
     // Show available models
     console.log(chalk.yellow('\n\nAvailable Models:'));
-    const models = llmManager.getAvailableModels();
+    const models = await llmManager.getAvailableModels();
     models.forEach(model => console.log(`- ${model}`));
     
     console.log(chalk.green.bold('\n✅ All tests passed! Leo is ready to chat.\n'));
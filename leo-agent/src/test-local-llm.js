@@ -0,0 +1,140 @@
+#!/usr/bin/env node
+
+/**
+ * Test Local LLM Provider
+ * Runs the local provider against a small OpenAI-compatible stand-in server,
+ * so it can be verified offline without Ollama or LM Studio installed
+ */
+
+import http from 'http';
+import chalk from 'chalk';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Local LLM Provider Test ===\n'));
+
+const STAND_IN_MODELS = ['llama3.1:8b', 'mistral:7b'];
+
+/**
+ * Minimal OpenAI-compatible server: /v1/models and /v1/chat/completions
+ */
+function startStandInServer() {
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      if (req.method === 'GET' && req.url === '/v1/models') {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          object: 'list',
+          data: STAND_IN_MODELS.map(id => ({ id, object: 'model', created: 0, owned_by: 'local' }))
+        }));
+        return;
+      }
+
+      if (req.method === 'POST' && req.url === '/v1/chat/completions') {
+        const request = JSON.parse(body);
+        const lastMessage = request.messages[request.messages.length - 1].content;
+        const reply = `Hello, I am working! You said: ${lastMessage}`;
+
+        if (!STAND_IN_MODELS.includes(request.model)) {
+          res.writeHead(404, { 'Content-Type': 'application/json' });
+          res.end(JSON.stringify({ error: { message: `model "${request.model}" not found` } }));
+          return;
+        }
+
+        if (request.stream) {
+          res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+          for (const word of reply.split(/(?<= )/)) {
+            const chunk = { id: 'local', object: 'chat.completion.chunk', model: request.model,
+              choices: [{ index: 0, delta: { content: word }, finish_reason: null }] };
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+          }
+          res.end('data: [DONE]\n\n');
+          return;
+        }
+
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          id: 'local', object: 'chat.completion', model: request.model,
+          choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }]
+        }));
+        return;
+      }
+
+      res.writeHead(404);
+      res.end();
+    });
+  });
+
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+async function testLocalProvider() {
+  const server = await startStandInServer();
+  const { port } = server.address();
+  process.env.LOCAL_LLM_BASE_URL = `http://127.0.0.1:${port}`;
+
+  // Import after the base URL is set so the local client points at the stand-in
+  const { LLMManager } = await import('./llm-manager.js');
+  const llmManager = new LLMManager();
+
+  // Switch in memory only - switchProvider() would persist to settings.json
+  llmManager.provider = 'local';
+  llmManager.model = STAND_IN_MODELS[0];
+
+  let passed = 0;
+  let failed = 0;
+  const check = (name, condition, detail = '') => {
+    if (condition) {
+      console.log(chalk.green(`✅ ${name}`));
+      passed++;
+    } else {
+      console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+      failed++;
+    }
+  };
+
+  try {
+    console.log(chalk.yellow(`Stand-in server: ${llmManager.localBaseUrl}\n`));
+
+    const models = await llmManager.getAvailableModels();
+    check('Model discovery lists local models', models.join(',') === STAND_IN_MODELS.join(','), models.join(', '));
+
+    const response = await llmManager.generateResponse([
+      { role: 'system', content: 'You are a helpful assistant.' },
+      { role: 'user', content: 'ping' }
+    ]);
+    check('Generates a response', response.includes('You said: ping'), response);
+
+    let streamed = '';
+    let chunks = 0;
+    for await (const chunk of llmManager.streamResponse([{ role: 'user', content: 'stream me' }])) {
+      streamed += chunk;
+      chunks++;
+    }
+    check('Streams a response in chunks', chunks > 1 && streamed.includes('You said: stream me'), `${chunks} chunks`);
+
+    check('Connection test passes', await llmManager.testConnection());
+
+    llmManager.model = 'missing-model';
+    try {
+      await llmManager.generateResponse([{ role: 'user', content: 'ping' }]);
+      check('Unknown model is reported', false, 'no error thrown');
+    } catch (error) {
+      check('Unknown model is reported', error.message.includes('not available on the local LLM server'), error.message);
+    }
+  } finally {
+    server.close();
+  }
+
+  console.log(chalk.blue('\n=== Test Summary ==='));
+  console.log(chalk.green(`Passed: ${passed}`));
+  console.log(chalk.red(`Failed: ${failed}`));
+
+  if (failed > 0) {
+    process.exit(1);
+  }
+  console.log(chalk.green.bold('\n✅ Local provider is working.\n'));
+}
+
+// Run the test
+testLocalProvider();
@@ -0,0 +1,107 @@
+#!/usr/bin/env node
+
+/**
+ * Test MCP Registry
+ * Checks how MCP server declarations are loaded: ${VAR} references with
+ * fallbacks and defaults, the MCP_<SERVER>_* env overrides, and validation of
+ * broken declarations, using a made-up environment
+ */
+
+import chalk from 'chalk';
+import { resolveEnvReferences, envPrefix, validateServer, loadServerConfigs } from './mcp-registry.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - MCP Registry Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const env = { ATLASSIAN_EMAIL: 'pm@truefire.com', JIRA_URL: 'https://jira.example.com', EMPTY: '' };
+
+console.log(chalk.yellow('Environment references\n'));
+
+check('Resolves a variable', resolveEnvReferences('${JIRA_URL}/rest', env) === 'https://jira.example.com/rest');
+check('Uses the first variable that is set', resolveEnvReferences('${CONFLUENCE_USERNAME|ATLASSIAN_EMAIL}', env) === 'pm@truefire.com');
+check('Falls back to the default after :-',
+  resolveEnvReferences('${CONFLUENCE_URL|ATLASSIAN_URL:-https://wiki.example.com}', env) === 'https://wiki.example.com' &&
+  resolveEnvReferences('${JIRA_URL|ATLASSIAN_URL:-https://wiki.example.com}', env) === 'https://jira.example.com');
+check('Empty variables count as unset', resolveEnvReferences('${EMPTY|ATLASSIAN_EMAIL}', env) === 'pm@truefire.com');
+check('Unresolved references give undefined', resolveEnvReferences('Bearer ${GITHUB_TOKEN}', env) === undefined &&
+  resolveEnvReferences('plain text', env) === 'plain text');
+
+console.log(chalk.yellow('\nEnv overrides\n'));
+
+check('Server keys map to env prefixes', envPrefix('googleDrive') === 'MCP_GOOGLE_DRIVE' && envPrefix('atlassian') === 'MCP_ATLASSIAN');
+
+const servers = {
+  atlassian: { command: 'mcp-atlassian', args: ['--verbose'], env: { JIRA_URL: '${JIRA_URL}', JIRA_API_TOKEN: '${JIRA_API_TOKEN}' } },
+  remote: { transport: 'http', url: 'https://mcp.example.com', headers: { Authorization: 'Bearer ${REMOTE_TOKEN}' } }
+};
+const overrides = loadServerConfigs(servers, {
+  ...env,
+  MCP_ATLASSIAN_COMMAND: '/opt/bin/mcp-atlassian',
+  MCP_ATLASSIAN_ARGS: '["--port", "9000"]',
+  MCP_REMOTE_URL: 'https://mcp.internal.example.com',
+  MCP_REMOTE_ENABLED: 'off'
+});
+const atlassian = overrides.servers.atlassian;
+check('_COMMAND and _ARGS (JSON) replace the declared ones', atlassian.command === '/opt/bin/mcp-atlassian' &&
+  atlassian.args.join(' ') === '--port 9000', JSON.stringify(atlassian));
+check('Env entries with unset variables are left out', JSON.stringify(atlassian.env) === '{"JIRA_URL":"https://jira.example.com"}');
+check('_URL replaces the URL and _ENABLED=off disables the server',
+  overrides.servers.remote.url === 'https://mcp.internal.example.com' && overrides.servers.remote.enabled === false &&
+  Object.keys(overrides.servers.remote.headers).length === 0);
+
+const split = loadServerConfigs(servers, { MCP_ATLASSIAN_ARGS: '--read-only  --verbose', MCP_ATLASSIAN_ENABLED: 'true' });
+check('_ARGS may also be space-separated', split.servers.atlassian.args.join('|') === '--read-only|--verbose' &&
+  split.servers.atlassian.enabled === true);
+const badArgs = loadServerConfigs(servers, { MCP_ATLASSIAN_ARGS: '["--port"' });
+check('Malformed JSON in _ARGS is reported', badArgs.servers.atlassian === undefined &&
+  badArgs.errors[0]?.startsWith('MCP_ATLASSIAN_ARGS is not valid JSON'), badArgs.errors.join('; '));
+
+console.log(chalk.yellow('\nValidation\n'));
+
+check('Valid declarations have no problems', validateServer('atlassian', servers.atlassian).length === 0 &&
+  validateServer('remote', servers.remote).length === 0);
+check('Reports an unknown transport', validateServer('x', { transport: 'websocket', url: 'wss://x' })[0] ===
+  'mcp.servers.x.transport must be one of stdio, sse, http');
+check('Reports a missing command or URL', validateServer('x', { args: [] })[0] === 'mcp.servers.x.command must be a non-empty string' &&
+  validateServer('y', { transport: 'sse' })[0] === 'mcp.servers.y.url must be an http(s) URL for the sse transport');
+const problems = validateServer('x', { command: 'run', args: 'a b', enabled: 1, timeouts: { call: -1, boot: 5 }, tools: 'all' });
+check('Reports wrong types, bad timeouts and unknown timeouts', problems.length === 5 &&
+  problems.includes('mcp.servers.x.timeouts.call must be a positive number of milliseconds') &&
+  problems.some(problem => problem.startsWith('mcp.servers.x.timeouts.boot is not a known timeout')), problems.join('; '));
+
+const loaded = loadServerConfigs({ broken: { transport: 'sse' }, unset: { transport: 'http', url: '${NOT_SET}' }, good: { command: 'run' } }, env);
+check('Broken servers are left out with their errors', Object.keys(loaded.servers).join() === 'good' && loaded.errors.length === 2 &&
+  loaded.errors[1] === 'mcp.servers.unset.url references an environment variable that is not set', loaded.errors.join('; '));
+check('Defaults fill in the name and timeouts', loaded.servers.good.name === 'good' && loaded.servers.good.timeouts.call === 15000 &&
+  loaded.servers.good.transport === 'stdio');
+
+const referenced = { transport: 'http', url: 'https://mcp.example.com', enabled: '${REMOTE_TOKEN}' };
+check('enabled may be a reference, on only when it resolves', validateServer('remote', referenced).length === 0 &&
+  loadServerConfigs({ remote: referenced }, env).servers.remote.enabled === false &&
+  loadServerConfigs({ remote: referenced }, { REMOTE_TOKEN: 'secret' }).servers.remote.enabled === true);
+
+config.settings.mcp = { ...config.settings.mcp, enabled: false };
+check('mcp.enabled=false disables every server', loadServerConfigs(servers, env).servers.atlassian.enabled === false);
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
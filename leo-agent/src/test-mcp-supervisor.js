@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test MCP Supervisor
+ * Starts a stand-in stdio MCP server, crashes it and checks that the supervisor
+ * restarts it in the background, re-lists its tools and publishes status events
+ */
+
+import chalk from 'chalk';
+import { MCPManager } from './mcp-manager.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - MCP Supervisor Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+// Stdio MCP server whose "crash" tool makes the process exit
+const STAND_IN_SERVER = `
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+const server = new Server({ name: 'stand-in', version: '1.0.0' }, { capabilities: { tools: {} } });
+server.setRequestHandler(ListToolsRequestSchema, async () => ({
+  tools: [
+    { name: 'jira_search', description: 'Search Jira', inputSchema: { type: 'object', properties: {} } },
+    { name: 'crash', description: 'Exit the process', inputSchema: { type: 'object', properties: {} } }
+  ]
+}));
+server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  if (request.params.name === 'crash') {
+    process.exit(1);
+  }
+  return { content: [{ type: 'text', text: 'pid ' + process.pid }] };
+});
+await server.connect(new StdioServerTransport());
+`;
+
+const waitFor = (emitter, predicate, timeoutMs = 10000) => new Promise((resolve, reject) => {
+  const timer = setTimeout(() => reject(new Error('Timed out waiting for status event')), timeoutMs);
+  const listener = (event) => {
+    if (predicate(event)) {
+      clearTimeout(timer);
+      emitter.off('status', listener);
+      resolve(event);
+    }
+  };
+  emitter.on('status', listener);
+});
+
+const mcpManager = new MCPManager({
+  servers: {
+    standIn: {
+      name: 'Stand-in',
+      command: process.execPath,
+      args: ['--input-type=module', '-e', STAND_IN_SERVER],
+      timeouts: { connect: 10000, listTools: 5000, call: 5000 }
+    }
+  }
+});
+mcpManager.supervisor.initialBackoffMs = 100;
+
+const events = [];
+mcpManager.supervisor.on('status', (event) => events.push(event.state));
+
+try {
+  await mcpManager.initialize();
+  check('Server starts and is supervised', mcpManager.isServerAvailable('standIn') && mcpManager.supervisor.isWatching('standIn'));
+
+  const before = await mcpManager.callToolWithTimeout('standIn', 'jira_search', {});
+
+  const restarting = waitFor(mcpManager.supervisor, event => event.state === 'restarting')
+    .then(() => mcpManager.getStatus().standIn);
+  const reconnected = waitFor(mcpManager.supervisor, event => event.state === 'connected');
+  await mcpManager.callToolWithTimeout('standIn', 'crash', {}, 2000).catch(() => {});
+  const statusWhileDown = await restarting;
+  check('Exit is noticed without a request', !statusWhileDown.available && statusWhileDown.restarting, JSON.stringify(statusWhileDown));
+
+  const event = await reconnected;
+  check('Server is restarted in the background with its tools', event.tools === 2 && mcpManager.isServerAvailable('standIn'));
+  check('Status events are published in order', events.join(',') === 'exited,restarting,connected', events.join(','));
+
+  const status = mcpManager.getStatus().standIn;
+  check('Status reflects the restart', status.available && !status.restarting && status.restarts === 1, JSON.stringify(status));
+
+  const after = await mcpManager.callToolWithTimeout('standIn', 'jira_search', {});
+  check('Tools work on the new process', after?.text?.startsWith('pid ') && after.text !== before?.text, `${before?.text} -> ${after?.text}`);
+
+  await mcpManager.disconnect();
+  await new Promise(resolve => setTimeout(resolve, 300));
+  check('Disconnecting does not trigger a restart', events.length === 3 && !mcpManager.isServerAvailable('standIn'), events.join(','));
+} finally {
+  await mcpManager.disconnect();
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -0,0 +1,195 @@
+#!/usr/bin/env node
+
+/**
+ * Test Prompt Templates
+ * Checks the template language (variables, partials, conditions, lists), that
+ * PromptManager renders prompts from a prompts directory with the date, the user,
+ * the brand, the channel variant and only the data sources that are live, that
+ * the example answer quotes no made-up counts, and that saved prompts are versioned, diffed and rolled back
+ */
+
+import chalk from 'chalk';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { renderTemplate } from './prompt-template.js';
+import { PromptManager } from './prompt-manager.js';
+import { PromptVersionStore, diffLines } from './prompt-versions.js';
+import { MCPManager } from './mcp-manager.js';
+import { LeoAgent } from './agent.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { IntercomConnector } from './intercom-connector.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Prompt Templates Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const throws = (template, partials = {}) => {
+  try {
+    renderTemplate(template, {}, partials);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+};
+
+console.log(chalk.yellow('Templates\n'));
+
+check('Renders variables and dotted paths', renderTemplate('Hi {{user.name}}, it is {{date}}.{{missing}}',
+  { user: { name: 'Ana' }, date: 'Monday' }) === 'Hi Ana, it is Monday.');
+check('Includes partials with the same variables',
+  renderTemplate('{{> greeting}}!', { name: 'Ana' }, { greeting: 'Hello {{name}}' }) === 'Hello Ana!');
+
+const list = renderTemplate('Sources:\n{{#each sources}}\n- {{this.name}}\n{{/each}}\n{{#if sources}}\nlive\n{{else}}\nnone\n{{/if}}\nend',
+  { sources: [{ name: 'Jira' }, { name: 'GitHub' }] });
+check('Repeats lists, and block tags on their own line leave no blank lines',
+  list === 'Sources:\n- Jira\n- GitHub\nlive\nend', JSON.stringify(list));
+check('Empty lists are not set', renderTemplate('{{#if sources}}live{{else}}none{{/if}}', { sources: [] }) === 'none');
+check('Compares values with == and !=', renderTemplate('{{#if channel == "slack"}}S{{/if}}{{#if channel != "slack"}}C{{/if}}',
+  { channel: 'slack' }) === 'S');
+
+check('Reports malformed templates', throws('{{#if a}}x') === 'Unclosed {{#if}}' &&
+  throws('x{{/each}}')?.includes('without a matching') && throws('{{#if a b}}{{/if}}')?.startsWith('Invalid condition'));
+check('Reports unknown and self-including partials', throws('{{> nope}}') === 'Unknown partial "nope"' &&
+  throws('{{> loop}}', { loop: 'again {{> loop}}' })?.includes('does "loop" include itself'));
+
+console.log(chalk.yellow('\nPromptManager\n'));
+
+// A prompts directory and version store for the test
+const promptsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leo-prompts-'));
+const versionStore = new PromptVersionStore(path.join(promptsDir, '.versions'));
+const write = (file, content) => {
+  fs.mkdirSync(path.dirname(path.join(promptsDir, file)), { recursive: true });
+  fs.writeFileSync(path.join(promptsDir, file), content);
+};
+write('system.md', 'Leo for {{user.name}} ({{user.role}}) on {{isoDate}}.\n{{> sources}}\n');
+write('partials/sources.md', 'Live: {{#each sources}}{{this.name}};{{/each}}\n');
+write('channels/slack.md', 'Slack Leo. {{> sources}}');
+write('brands/faderpro.md', 'FaderPro notes for {{user.name}}.');
+write('brands/jamplay.md', '{{#if broken}}');
+config.settings.prompts = { users: { 'U04ANA': { name: 'Ana', role: 'Product lead' } } };
+
+const liveSources = [{ key: 'atlassian', name: 'Atlassian (Jira/Confluence)' }];
+const mcpManager = { getLiveSources: () => liveSources };
+const manager = new PromptManager({ mcpManager, promptsDir, versionStore });
+const unrecorded = versionStore.names().length === 0 && manager.getVersionId('system') === 'system@unsaved';
+manager.init();
+const now = new Date('2026-10-19T12:00:00Z');
+
+const rendered = manager.getSystemPrompt('FaderPro', { userId: 'U04ANA', now });
+check('Renders system.md with the user, date, sources and brand prompt',
+  rendered === 'Leo for Ana (Product lead) on 2026-10-19.\nLive: Atlassian (Jira/Confluence);\n\nFaderPro notes for Ana.', JSON.stringify(rendered));
+check('Uses the channel variant when there is one',
+  manager.getSystemPrompt(null, { channel: 'slack', now }) === 'Slack Leo. Live: Atlassian (Jira/Confluence);' &&
+  manager.getSystemPrompt(null, { channel: 'api', now }).startsWith('Leo for'));
+check('A malformed brand prompt is left out', manager.getSystemPrompt('JamPlay', { now }).endsWith('Atlassian (Jira/Confluence);'));
+
+const builtIn = new PromptManager({ mcpManager, promptsDir: path.join(promptsDir, 'missing'), versionStore });
+const defaultPrompt = builtIn.getSystemPrompt(null, { userId: 'U04ANA', channel: 'slack', now });
+check('The built-in prompt only lists the live sources', defaultPrompt.includes('- Atlassian (Jira/Confluence)\nIf a question needs') &&
+  !/Intercom|GitHub/.test(defaultPrompt), defaultPrompt);
+check('The built-in prompt has the date, the user and Slack guidance',
+  defaultPrompt.includes('Today is Monday, October 19, 2026.\nYou are talking with Ana (Product lead).') &&
+  defaultPrompt.includes('Slack thread') && !builtIn.getSystemPrompt(null, { channel: 'cli', now }).includes('Slack thread'));
+
+const example = builtIn.getExampleConversation().at(-1).content;
+check('The example answer quotes no counts, only placeholders', !/\d+ (?:tickets|conversations)|\d+%/.test(example) &&
+  example.includes('[count] conversations'), example);
+
+liveSources.length = 0;
+check('Says when no sources are connected', builtIn.getSystemPrompt(null, { now }).includes('No data sources are connected right now'));
+
+const live = new MCPManager({
+  servers: { atlassian: { command: 'mcp-atlassian', enabled: false } },
+  intercom: new IntercomConnector({ workspaces: { default: { token: 'test-token' } } })
+});
+check('MCPManager lists connected servers and a configured Intercom',
+  live.getLiveSources().map(source => source.key).join() === 'intercom', JSON.stringify(live.getLiveSources()));
+live.circuitBreaker.stop();
+
+console.log(chalk.yellow('\nVersions\n'));
+
+check('Constructing only reads; init() records the prompt files as versions', unrecorded && manager.listVersions('system').length === 1 &&
+  manager.listVersions('system')[0].note === 'Changed on disk' && manager.listPrompts().length === 5,
+  JSON.stringify(manager.listPrompts()));
+check('Rendered prompts report the versions they were built from',
+  manager.renderSystemPrompt('FaderPro', { now }).versions.join() === 'system@1,brands/faderpro@1,partials/sources@1' &&
+  builtIn.renderSystemPrompt(null, { now }).versions.join() === 'system@builtin',
+  manager.renderSystemPrompt('FaderPro', { now }).versions.join());
+
+const saved = manager.savePrompt('system', 'Leo v2 for {{user.name}}.\n{{> sources}}\n', { author: 'ana', note: 'Shorter intro' });
+check('Saving records the author, note and timestamp', saved.id === 'system@2' && saved.author === 'ana' &&
+  saved.note === 'Shorter intro' && !Number.isNaN(Date.parse(saved.createdAt)) && saved.content === undefined, JSON.stringify(saved));
+check('The saved version is used right away', manager.getSystemPrompt(null, { now }).startsWith('Leo v2') &&
+  manager.renderSystemPrompt(null, { now }).versions[0] === 'system@2');
+check('Saving an unchanged prompt again does not add a version on reload', (manager.reload(), manager.listVersions('system').length === 2));
+
+let rejected = null;
+try {
+  manager.savePrompt('brands/faderpro', '{{#if broken}}');
+} catch (error) {
+  rejected = error.message;
+}
+check('Malformed templates are not saved', rejected?.includes('Unclosed') && manager.listVersions('brands/faderpro').length === 1, rejected);
+
+const diff = manager.diffVersions('system', 1, 2);
+check('Diffs two versions line by line', diff.added === 1 && diff.removed === 1 &&
+  diff.diff.startsWith('- Leo for {{user.name}} ({{user.role}}) on {{isoDate}}.\n+ Leo v2 for {{user.name}}.'), JSON.stringify(diff));
+check('diffLines keeps common lines', diffLines('a\nb\nc', 'a\nc\nd').join('|') === '  a|- b|  c|+ d');
+
+const rolledBack = manager.rollback('system', 1, { author: 'ben' });
+check('Rolling back saves the old content as a new version', rolledBack.id === 'system@3' &&
+  rolledBack.note === 'Rolled back to version 1' && manager.getSystemPrompt(null, { now }).startsWith('Leo for') &&
+  manager.getVersion('system', 2).content.startsWith('Leo v2'), JSON.stringify(rolledBack));
+let invalidName = null;
+try {
+  manager.getPromptName('../secrets');
+} catch (error) {
+  invalidName = error.message;
+}
+check('Unknown versions and invalid names are reported', manager.rollback('system', 9) === null &&
+  manager.diffVersions('system', 1, 9) === null && invalidName === 'Invalid prompt name "../secrets"', invalidName);
+
+write('brands/faderpro.md', 'Edited by hand.');
+manager.reload();
+check('Prompts edited on disk become a new version', manager.renderSystemPrompt('FaderPro', { now }).versions.includes('brands/faderpro@2') &&
+  manager.getVersion('FaderPro', 2).note === 'Changed on disk');
+
+check('Earlier versions are kept unchanged', manager.listVersions('system').map(version => version.version).join() === '1,2,3' &&
+  manager.getVersion('system', 1).content === 'Leo for {{user.name}} ({{user.role}}) on {{isoDate}}.\n{{> sources}}\n');
+
+// An agent that never calls watchFiles() still tags its answers with recorded versions
+const agent = new LeoAgent({ store: new MemoryConversationStore() });
+agent.promptManager = new PromptManager({ mcpManager, promptsDir, versionStore: new PromptVersionStore(path.join(promptsDir, '.agent')) });
+agent.getToolsForLLM = async () => [];
+agent.mcpManager.gatherData = async () => ({});
+agent.llmManager.generateResponse = async () => 'Hello.';
+await agent.chat('Hi', { userId: 'versions' });
+const answered = (await agent.getHistory('versions')).at(-1);
+check('The first chat records the prompt versions, without watchFiles()', answered?.promptVersions?.[0] === 'system@1' &&
+  agent.watchers === null, JSON.stringify(answered));
+agent.mcpManager.circuitBreaker.stop();
+
+fs.rmSync(promptsDir, { recursive: true, force: true });
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
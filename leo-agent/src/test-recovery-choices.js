@@ -0,0 +1,115 @@
+#!/usr/bin/env node
+
+/**
+ * Test Timeout Recovery Choices
+ * Checks that a reply picking one of the offered recovery options ("2",
+ * "the first one", "wait longer") re-runs the search with that option and
+ * answers the original question, using a stubbed MCP manager and LLM
+ */
+
+import chalk from 'chalk';
+import { LeoAgent } from './agent.js';
+import { MemoryConversationStore } from './conversation-store.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Timeout Recovery Choices Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const agent = new LeoAgent({ store: new MemoryConversationStore() });
+const recoveryManager = agent.mcpManager.timeoutRecoveryManager;
+const jiraParams = { jql: 'ORDER BY updated DESC', limit: 10 };
+
+// Jira and Confluence time out; retries get whatever the chosen option says
+const calls = [];
+const prompts = [];
+agent.getToolsForLLM = async () => [];
+agent.mcpManager.gatherData = async () => ({
+  atlassian: {
+    jira: recoveryManager.formatTimeoutError('atlassian.jira_search', jiraParams, 3),
+    confluence: recoveryManager.formatTimeoutError('atlassian.confluence_search', { query: 'type=page', limit: 10 }, 3)
+  }
+});
+agent.mcpManager.callToolWithTimeout = async (server, tool, params, timeout) => {
+  calls.push({ server, tool, params, timeout });
+  return { type: 'text', text: `TF-101 Video buffering (${tool})` };
+};
+agent.llmManager.generateResponse = async (messages) => {
+  prompts.push(messages[messages.length - 1].content);
+  return 'stub answer';
+};
+
+console.log(chalk.yellow('Parsing replies\n'));
+
+const choices = [];
+agent.formatTimeoutError(recoveryManager.formatTimeoutError('atlassian.jira_search', jiraParams, 3), 'Jira', 'user_query', choices);
+agent.formatTimeoutError(recoveryManager.formatTimeoutError('googleDrive.drive_search_files', { query: 'x' }, 3), 'Google Drive', 'user_query', choices);
+const actions = (indexes) => indexes.map(index => `${choices[index].service}:${choices[index].option.action}`).join(',');
+
+check('Options are numbered across services', choices.length === 8 && choices[4].service === 'Google Drive', String(choices.length));
+check('Options know which tool to call again', choices[0].option.server === 'atlassian' && choices[0].option.tool === 'jira_search');
+check('Jira options use the Jira strategies', choices[0].option.action === 'limit_results' && choices[0].option.params.limit === 3);
+check('"2" picks option 2', actions(recoveryManager.parseRecoveryChoice('2', choices)) === 'Jira:project_specific');
+check('"option 5" picks option 5', actions(recoveryManager.parseRecoveryChoice('Option 5 please', choices)) === 'Google Drive:reduce_pageSize');
+check('"the first one" picks option 1', actions(recoveryManager.parseRecoveryChoice('the first one', choices)) === 'Jira:limit_results');
+check('"wait longer" picks every increase_timeout option',
+  actions(recoveryManager.parseRecoveryChoice('wait longer', choices)) === 'Jira:increase_timeout,Google Drive:increase_timeout');
+check('Out-of-range numbers pick nothing', recoveryManager.parseRecoveryChoice('12', choices).length === 0);
+check('New questions pick nothing',
+  recoveryManager.parseRecoveryChoice('What is the status of the TrueFire mobile app project this quarter?', choices).length === 0);
+check('"ok, the last one" and "just skip it" pick with filler around them',
+  actions(recoveryManager.parseRecoveryChoice('ok, the last one', choices)) === 'Google Drive:manual_check' &&
+  actions(recoveryManager.parseRecoveryChoice('just skip it', choices)) === 'Jira:manual_check,Google Drive:manual_check');
+
+// Short new questions that merely contain a number, ordinal or option word
+const jiraChoices = choices.slice(0, 4);
+check('The Jira options are the ones under test',
+  jiraChoices.map(choice => choice.option.action).join() === 'limit_results,project_specific,increase_timeout,manual_check');
+for (const question of ['what shipped first in JamPlay?', 'show the project status for TrueFire', '3 open bugs in FaderPro?',
+  'list issues without an assignee', 'Which option 2 release broke export?', 'wait, which project was that?']) {
+  check(`"${question}" is a new question`, recoveryManager.parseRecoveryChoice(question, jiraChoices).length === 0,
+    actions(recoveryManager.parseRecoveryChoice(question, jiraChoices)));
+}
+
+console.log(chalk.yellow('\nRe-running the chosen option\n'));
+
+await agent.chat('Show me the latest Jira issues and Confluence docs', { userId: 'recovery' });
+let session = await agent.store.getSession('recovery');
+check('Offered options are remembered per user', session.pendingRecovery?.choices.length === 8,
+  String(session.pendingRecovery?.choices.length));
+check('Prompt lists one continuous numbered list', /8\. Skip this search and proceed without Confluence data/.test(prompts[0]));
+
+await agent.chat('3', { userId: 'recovery' });
+session = await agent.store.getSession('recovery');
+const retry = calls[0];
+check('Chosen option re-runs its tool call', calls.length === 1 && retry.server === 'atlassian' && retry.tool === 'jira_search',
+  JSON.stringify(calls));
+check('Re-run uses the option timeout', retry?.timeout === recoveryManager.strategies.jira[2].timeoutOverride && retry.params.limit === 10, JSON.stringify(retry));
+check('Original question is answered with the recovered data',
+  prompts[1].startsWith('Show me the latest Jira issues') && prompts[1].includes('TF-101'));
+check('Pending options and error context are cleared', session.pendingRecovery === null && session.errorContext === null);
+
+await agent.chat('Show me the latest Jira issues and Confluence docs', { userId: 'other' });
+await agent.chat('Thanks, what about the roadmap?', { userId: 'other' });
+session = await agent.store.getSession('other');
+check('Unrelated reply runs as a normal question', calls.length === 1 && prompts[3].startsWith('Thanks, what about the roadmap?'));
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -0,0 +1,147 @@
+#!/usr/bin/env node
+
+/**
+ * Test Slack Bot
+ * Drives the Slack adapter with a local fake event source and a fake Slack Web API,
+ * so DMs, @mentions and threading can be verified without a Slack workspace
+ */
+
+import http from 'http';
+import chalk from 'chalk';
+import { App, LogLevel } from '@slack/bolt';
+import { LeoSlackBot } from './slack-bot.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Slack Bot Test ===\n'));
+
+/**
+ * Fake Slack Web API recording chat.postMessage / chat.update calls
+ */
+function startFakeWebApi(calls) {
+  let nextTs = 1;
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const method = req.url.replace('/api/', '');
+      const params = Object.fromEntries(new URLSearchParams(body));
+      calls.push({ method, params });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ ok: true, channel: params.channel, ts: params.ts || `1800000000.00000${nextTs++}` }));
+    });
+  });
+  return new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server)));
+}
+
+/**
+ * Fake event source: a Bolt receiver that delivers events handed to send()
+ */
+class FakeSlackEventSource {
+  init(app) {
+    this.app = app;
+  }
+
+  async start() {}
+
+  async stop() {}
+
+  async send(event) {
+    await this.app.processEvent({
+      body: {
+        type: 'event_callback',
+        team_id: 'T0TEAM',
+        api_app_id: 'A0LEO',
+        event_id: `Ev${Date.now()}`,
+        event_time: Math.floor(Date.now() / 1000),
+        event
+      },
+      ack: async () => {}
+    });
+  }
+}
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const apiCalls = [];
+const chats = [];
+const webApi = await startFakeWebApi(apiCalls);
+const events = new FakeSlackEventSource();
+
+const app = new App({
+  receiver: events,
+  authorize: async () => ({ botToken: 'xoxb-test', botUserId: 'U0LEO', botId: 'B0LEO' }),
+  clientOptions: { slackApiUrl: `http://127.0.0.1:${webApi.address().port}/api/` },
+  logLevel: LogLevel.ERROR
+});
+
+const agent = {
+  async chat(message, context) {
+    chats.push({ message, context });
+    return '## Status\nThere are **two** open issues, see [TF-101](https://truefire.atlassian.net/browse/TF-101).';
+  },
+  async getBrandState(userId, user) {
+    return user === 'U0BEN'
+      ? { brands: ['JamPlay'], source: 'pinned', pinned: 'JamPlay' }
+      : { brands: [], source: null, pinned: null };
+  }
+};
+
+const bot = new LeoSlackBot({ agent, app });
+
+try {
+  await app.start();
+
+  // Direct message
+  await events.send({ type: 'message', channel_type: 'im', channel: 'D0DM', user: 'U0ANA', text: 'What is blocking TF 1.25?', ts: '1700000000.000100' });
+
+  check('DM is answered', chats.length === 1 && chats[0].message === 'What is blocking TF 1.25?');
+  check('Session is keyed by Slack user and thread', chats[0]?.context.userId === 'slack:U0ANA:1700000000.000100', chats[0]?.context.userId);
+  check('Channel is passed to the agent', chats[0]?.context.channel === 'D0DM');
+
+  const [placeholder, update] = apiCalls;
+  check('Typing indicator is posted in the thread first', placeholder?.method === 'chat.postMessage' &&
+    placeholder.params.thread_ts === '1700000000.000100' && placeholder.params.text.includes('thinking'));
+  check('Typing indicator is replaced by the answer', update?.method === 'chat.update' && update.params.ts === '1800000000.000001');
+  check('Answer is converted to Slack formatting', update?.params.text ===
+    '*Status*\nThere are *two* open issues, see <https://truefire.atlassian.net/browse/TF-101|TF-101>.', update?.params.text);
+
+  // @mention in a thread: same session as the thread root, mention stripped
+  apiCalls.length = 0;
+  await events.send({ type: 'app_mention', channel: 'C0PROD', user: 'U0BEN', text: '<@U0LEO> any update on JamPlay?', ts: '1700000300.000200', thread_ts: '1700000000.000900' });
+
+  check('Mention is stripped from the question', chats[1]?.message === 'any update on JamPlay?', chats[1]?.message);
+  check('Reply goes into the existing thread', apiCalls[0]?.params.thread_ts === '1700000000.000900' &&
+    chats[1]?.context.userId === 'slack:U0BEN:1700000000.000900');
+  check('Default brands are looked up by Slack user', chats[1]?.context.user === 'U0BEN');
+  check('Answers show the brand in effect', apiCalls[1]?.params.text.endsWith('\n\n_Brand: JamPlay (pinned)_'), apiCalls[1]?.params.text);
+
+  // Messages Leo should ignore
+  await events.send({ type: 'message', channel_type: 'channel', channel: 'C0PROD', user: 'U0BEN', text: 'lunch?', ts: '1700000400.000300' });
+  await events.send({ type: 'message', channel_type: 'im', channel: 'D0DM', bot_id: 'B0OTHER', text: 'bot says hi', ts: '1700000500.000400' });
+  await events.send({ type: 'message', subtype: 'message_changed', channel_type: 'im', channel: 'D0DM', ts: '1700000600.000500' });
+
+  check('Channel messages without a mention, bot messages and edits are ignored', chats.length === 2, `${chats.length} chats`);
+} finally {
+  await bot.stop();
+  webApi.close();
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
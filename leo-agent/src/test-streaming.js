@@ -0,0 +1,114 @@
+#!/usr/bin/env node
+
+/**
+ * Test Streaming
+ * Checks that answers reach onToken chunk by chunk as the provider sends them,
+ * that the streamed text is the answer saved in the session, and that a provider
+ * failing before its first chunk falls through to the next one, using stubbed
+ * provider clients
+ */
+
+import chalk from 'chalk';
+import { LeoAgent } from './agent.js';
+import { LLMManager } from './llm-manager.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Streaming Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+/**
+ * OpenAI-compatible client whose streamed completions come from a script
+ */
+function stubClient(script) {
+  const client = { requests: [] };
+  client.chat = {
+    completions: {
+      create: async (request) => {
+        client.requests.push(request);
+        return script(request, client.requests.length);
+      }
+    }
+  };
+  return client;
+}
+
+async function* streamOf(texts) {
+  for (const content of texts) {
+    yield { choices: [{ delta: { content } }] };
+  }
+}
+
+const unavailable = () => Object.assign(new Error('Service unavailable'), { status: 503 });
+
+// Settings for the test (in memory only)
+config.settings.llm = { ...config.settings.llm, provider: 'openai', model: 'gpt-4o-mini', fallbackChain: [],
+  retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 } };
+config.settings.agent = { ...config.settings.agent, toolCalling: false };
+config.settings.brands = { ...config.settings.brands, useLLM: false };
+
+console.log(chalk.yellow('LLMManager\n'));
+
+const llm = new LLMManager();
+llm.providers.openai = stubClient(() => streamOf(['Sprint ', 'is ', 'on track.']));
+const chunks = [];
+for await (const chunk of llm.streamResponse([{ role: 'user', content: 'Status?' }])) {
+  chunks.push(chunk);
+}
+check('Yields each chunk as the provider sends it', chunks.join('|') === 'Sprint |is |on track.', chunks.join('|'));
+check('Asks the provider to stream', llm.providers.openai.requests[0].stream === true);
+
+config.settings.llm.fallbackChain = ['local:stub-model'];
+llm.providers.openai = stubClient(() => {
+  throw unavailable();
+});
+llm.providers.local = stubClient(() => streamOf(['From ', 'local.']));
+const fallback = [];
+for await (const chunk of llm.streamResponse([{ role: 'user', content: 'Status?' }])) {
+  fallback.push(chunk);
+}
+check('Falls through to the next provider when one fails before its first chunk',
+  fallback.join('') === 'From local.' && llm.lastUsedProvider?.provider === 'local', JSON.stringify(llm.lastUsedProvider));
+config.settings.llm.fallbackChain = [];
+
+console.log(chalk.yellow('\nAgent\n'));
+
+const agent = new LeoAgent({ store: new MemoryConversationStore() });
+agent.mcpManager.gatherData = async () => ({});
+const answer = ['Two ', 'bugs ', 'are ', 'open.'];
+agent.llmManager.providers.openai = stubClient(request => request.stream
+  ? streamOf(answer)
+  : { choices: [{ message: { role: 'assistant', content: answer.join('') } }] });
+
+const tokens = [];
+const response = await agent.chat('How many bugs are open?', { userId: 'stream', onToken: token => tokens.push(token) });
+check('chat() passes every chunk to onToken in order', tokens.join('|') === 'Two |bugs |are |open.', tokens.join('|'));
+check('chat() returns the streamed text', response === 'Two bugs are open.', response);
+const history = await agent.getHistory('stream');
+check('The streamed answer is saved in the session', history[history.length - 1]?.content === 'Two bugs are open.');
+
+const quiet = await agent.chat('And closed ones?', { userId: 'quiet' });
+check('Without onToken the answer is generated in one piece', quiet === 'Two bugs are open.' &&
+  agent.llmManager.providers.openai.requests[1].stream === undefined);
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
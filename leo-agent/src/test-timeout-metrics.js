@@ -0,0 +1,126 @@
+#!/usr/bin/env node
+
+/**
+ * Test Timeout Metrics Persistence
+ * Checks that TimeoutRecoveryManager saves its performance metrics, reloads them
+ * after a restart, ages out stale samples and exports per-tool stats
+ */
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import chalk from 'chalk';
+import { TimeoutRecoveryManager } from './timeout-recovery-manager.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Timeout Metrics Persistence Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'leo-metrics-'));
+const options = {
+  path: path.join(directory, 'timeout-metrics.json'),
+  historyPath: path.join(directory, 'timeout-metrics-history.jsonl')
+};
+const tool = 'atlassian.jira_search';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+try {
+  // First run: record slow successful calls and a failure, then save
+  const first = new TimeoutRecoveryManager(options);
+  for (const duration of [12000, 14000, 16000, 18000, 20000]) {
+    first.updatePerformanceMetrics(tool, duration, true);
+  }
+  first.recordFailure(tool, { jql: 'ORDER BY updated DESC' }, 15000, new Error('Timeout after 15000ms'));
+  const suggestedBefore = first.getSuggestedTimeout(tool, 15000);
+
+  check('Metrics are saved', await first.saveMetrics());
+  check('Nothing is written when nothing changed', !(await first.saveMetrics()));
+
+  // Second run: metrics come back from disk
+  const second = new TimeoutRecoveryManager(options);
+  check('Fresh manager has no samples', second.getSuggestedTimeout(tool, 15000) === 15000);
+  check('Saved metrics are loaded', await second.loadMetrics());
+  check('Suggested timeout survives a restart', second.getSuggestedTimeout(tool, 15000) === suggestedBefore,
+    `${second.getSuggestedTimeout(tool, 15000)} vs ${suggestedBefore}`);
+  check('Failure history survives a restart', second.failureHistory.get(tool)?.length === 1);
+  check('Metrics load only once', !(await second.loadMetrics()));
+
+  // Samples older than maxAgeDays age out; counts decay with their half-life
+  const saved = JSON.parse(await fs.readFile(options.path, 'utf8'));
+  const old = Date.now() - 20 * DAY_MS;
+  saved.performanceMetrics[tool].durations.forEach(sample => { sample.at = old; });
+  saved.performanceMetrics[tool].updatedAt = old;
+  saved.failureHistory[tool].forEach(failure => { failure.timestamp = old; });
+  await fs.writeFile(options.path, JSON.stringify(saved), 'utf8');
+
+  const third = new TimeoutRecoveryManager(options);
+  await third.loadMetrics();
+  check('Stale samples are dropped', third.getPerformanceStats(tool) === null && third.getSuggestedTimeout(tool, 15000) === 15000);
+  check('Stale failures are dropped', third.failureHistory.get(tool).length === 0);
+  const { successCount } = third.performanceMetrics.get(tool);
+  check('Old call counts decay', successCount > 0 && successCount < 0.1, String(successCount));
+
+  // Export and history snapshots
+  const exported = second.exportMetrics();
+  const stats = exported.tools[tool];
+  check('Export has per-tool p50/p95/success rate',
+    stats?.p50 === 16000 && stats.p95 === 20000 && stats.successRate === 0.833 && stats.sampleSize === 5, JSON.stringify(stats));
+  check('Export reports recent failures', stats.recentFailures === 1 && stats.lastFailureAt !== null);
+
+  const history = await second.loadMetricsHistory();
+  check('A snapshot is appended to the history', history.length === 1 && history[0].tools[tool]?.p95 === 20000);
+  second.updatePerformanceMetrics(tool, 9000, true);
+  await second.saveMetrics();
+  check('Snapshots are taken at most once per interval', (await second.loadMetricsHistory()).length === 1);
+
+  // Truncated or older metrics files must not stop startup
+  const corruptOptions = { ...options, path: path.join(directory, 'corrupt.json') };
+  const loads = async (content) => {
+    await fs.writeFile(corruptOptions.path, content, 'utf8');
+    const manager = new TimeoutRecoveryManager(corruptOptions);
+    return { loaded: await manager.loadMetrics(), manager };
+  };
+  const truncated = await loads('{"performanceMetrics": {"atlassian.jira_search": {"durations": [');
+  const notAnObject = await loads('null');
+  check('A truncated or non-object file starts fresh', !truncated.loaded && !notAnObject.loaded &&
+    truncated.manager.performanceMetrics.size === 0);
+
+  const now = Date.now();
+  const mixed = await loads(JSON.stringify({
+    performanceMetrics: {
+      [tool]: { durations: [{ duration: 12000, at: now }, { duration: 'slow' }, null], successCount: 3, failureCount: 'x', updatedAt: now },
+      'atlassian.confluence_search': { samples: [12000] },
+      'googleDrive.drive_search_files': 'broken'
+    },
+    failureHistory: { [tool]: 'broken', 'atlassian.confluence_search': [{ timestamp: now }, {}] },
+    lastSnapshotAt: 'yesterday'
+  }));
+  const kept = mixed.manager.performanceMetrics.get(tool);
+  check('Malformed entries are dropped and the rest is loaded', mixed.loaded && kept?.durations.length === 1 &&
+    kept.failureCount === 0 && Math.round(kept.successCount) === 3 && mixed.manager.performanceMetrics.size === 1 &&
+    !mixed.manager.failureHistory.has(tool) && mixed.manager.failureHistory.get('atlassian.confluence_search').length === 1 &&
+    mixed.manager.lastSnapshotAt === 0, JSON.stringify(kept));
+} finally {
+  await fs.rm(directory, { recursive: true, force: true });
+}
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
@@ -2,12 +2,24 @@
  * Test the timeout recovery improvements
  */
 
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
 import { LeoAgent } from './agent.js';
+import { config } from './config.js';
 import dotenv from 'dotenv';
 
 // Load environment variables
 dotenv.config({ path: '../.env' });
 
+// Keep this run's response times out of the real metrics (data/metrics)
+const metricsDir = fs.mkdtempSync(path.join(os.tmpdir(), 'leo-timeout-recovery-'));
+config.settings.metrics = {
+  ...config.settings.metrics,
+  path: path.join(metricsDir, 'timeout-metrics.json'),
+  historyPath: path.join(metricsDir, 'timeout-metrics-history.jsonl')
+};
+
 async function testTimeoutRecovery() {
   console.log('=== Testing Timeout Recovery System ===\n');
   
@@ -108,4 +120,6 @@ async function testTimeoutRecovery() {
 }
 
 // Run the test
-testTimeoutRecovery().catch(console.error);
+testTimeoutRecovery()
+  .catch(console.error)
+  .finally(() => fs.rmSync(metricsDir, { recursive: true, force: true }));
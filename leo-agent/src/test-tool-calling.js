@@ -0,0 +1,243 @@
+#!/usr/bin/env node
+
+/**
+ * Test Tool Calling
+ * Runs the agent's tool loop against a stubbed model and stubbed MCP tools:
+ * tool calls are made and their results passed back, calls in one step run
+ * concurrently under the data-gathering deadline, every offered tool is named
+ * in the instructions, only the final answer is streamed (not narration around
+ * tool calls), a later step can still fall back to another provider, the step
+ * limit still produces an answer, and Intercom is only offered as a tool when a
+ * workspace has a token
+ */
+
+import chalk from 'chalk';
+import { LeoAgent } from './agent.js';
+import { MCPManager } from './mcp-manager.js';
+import { IntercomConnector } from './intercom-connector.js';
+import { MemoryConversationStore } from './conversation-store.js';
+import { config } from './config.js';
+
+console.log(chalk.blue.bold('\n=== Leo Agent - Tool Calling Test ===\n'));
+
+let passed = 0;
+let failed = 0;
+
+function check(name, condition, detail = '') {
+  if (condition) {
+    console.log(chalk.green(`✅ ${name}`));
+    passed++;
+  } else {
+    console.log(chalk.red(`❌ ${name}`) + (detail ? ` (${detail})` : ''));
+    failed++;
+  }
+}
+
+const JIRA_TOOL = { name: 'jira_search', description: 'Search Jira', inputSchema: { type: 'object', properties: { jql: { type: 'string' } } } };
+const ANSWER = ['There ', 'are ', '2 open ', 'bugs.'];
+const JIRA_CALL = { id: 'call_1', name: 'jira_search', arguments: { jql: 'project = FP AND type = Bug' } };
+
+const sleep = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+/**
+ * OpenAI client stand-in: asks for the given tool calls until it has a tool result, then answers.
+ * Streamed requests get chunks (tool call arguments split in two), others one message.
+ * With narration, the tool-calling step says something before its calls.
+ */
+function stubModel(toolCalls = [JIRA_CALL], narration = null) {
+  const client = { requests: [] };
+  client.chat = {
+    completions: {
+      create: async (request) => {
+        client.requests.push(request);
+        const answered = request.messages.some(message => message.role === 'tool') || !request.tools;
+
+        if (!request.stream) {
+          return {
+            choices: [{
+              message: answered
+                ? { role: 'assistant', content: ANSWER.join('') }
+                : {
+                  role: 'assistant',
+                  content: null,
+                  tool_calls: toolCalls.map(call => ({ id: call.id, type: 'function', function: { name: call.name, arguments: JSON.stringify(call.arguments) } }))
+                }
+            }]
+          };
+        }
+
+        return (async function* () {
+          if (answered) {
+            for (const content of ANSWER) {
+              yield { choices: [{ delta: { content } }] };
+            }
+            return;
+          }
+          if (narration) {
+            yield { choices: [{ delta: { content: narration } }] };
+          }
+          for (const [index, call] of toolCalls.entries()) {
+            const args = JSON.stringify(call.arguments);
+            yield { choices: [{ delta: { tool_calls: [{ index, id: call.id, function: { name: call.name, arguments: args.slice(0, 10) } }] } }] };
+            yield { choices: [{ delta: { tool_calls: [{ index, function: { arguments: args.slice(10) } }] } }] };
+          }
+        })();
+      }
+    }
+  };
+  return client;
+}
+
+// Settings for the test (in memory only)
+config.settings.llm = { ...config.settings.llm, provider: 'openai', fallbackChain: [], retry: { maxRetries: 0, baseDelayMs: 1, maxDelayMs: 1 } };
+config.settings.agent = { ...config.settings.agent, toolCalling: true, maxToolSteps: 5 };
+config.settings.brands = { ...config.settings.brands, useLLM: false };
+
+const agent = new LeoAgent({ store: new MemoryConversationStore() });
+const calls = [];
+agent.mcpManager.getToolDefinitions = async () => [JIRA_TOOL];
+agent.mcpManager.callToolByName = async (name, args) => {
+  calls.push({ name, args });
+  return { type: 'text', text: 'FP-1 Crash on export; FP-2 Audio drift' };
+};
+agent.mcpManager.gatherData = async () => {
+  throw new Error('gatherData should not be used when tools are available');
+};
+
+console.log(chalk.yellow('Tool loop\n'));
+
+agent.llmManager.providers.openai = stubModel();
+const tokens = [];
+const streamed = await agent.chat('How many FaderPro bugs are open?', { userId: 'tools', onToken: token => tokens.push(token) });
+check('Calls the tool the model asks for, with arguments assembled from the stream',
+  calls.length === 1 && calls[0].args.jql === 'project = FP AND type = Bug', JSON.stringify(calls));
+const requests = agent.llmManager.providers.openai.requests;
+check('Passes the tool result back to the model', requests[1]?.messages.some(message =>
+  message.role === 'tool' && message.tool_call_id === 'call_1' && message.content.includes('FP-2')));
+check('Streams the final answer chunk by chunk', tokens.join('|') === ANSWER.join('|') && requests.every(request => request.stream),
+  tokens.join('|'));
+check('Returns and saves the streamed answer', streamed === ANSWER.join('') &&
+  (await agent.getHistory('tools')).at(-1).content === ANSWER.join(''), streamed);
+
+agent.llmManager.providers.openai = stubModel();
+const plain = await agent.chat('How many FaderPro bugs are open?', { userId: 'plain' });
+check('Without onToken the model is not asked to stream', plain === ANSWER.join('') &&
+  agent.llmManager.providers.openai.requests.every(request => !request.stream), plain);
+
+config.settings.agent.maxToolSteps = 1;
+agent.llmManager.providers.openai = stubModel();
+const limited = [];
+const limitedAnswer = await agent.chat('How many FaderPro bugs are open?', { userId: 'limit', onToken: token => limited.push(token) });
+check('At the step limit the answer is streamed without more tool calls', limitedAnswer === ANSWER.join('') &&
+  limited.join('') === ANSWER.join('') && !agent.llmManager.providers.openai.requests.at(-1).tools, limitedAnswer);
+config.settings.agent.maxToolSteps = 5;
+
+agent.llmManager.providers.openai = stubModel([JIRA_CALL], 'Let me check Jira. ');
+const narrated = [];
+const narratedAnswer = await agent.chat('How many FaderPro bugs are open?', { userId: 'narrated', onToken: token => narrated.push(token) });
+check('Narration in a step that calls tools is not streamed', narrated.join('|') === ANSWER.join('|') &&
+  narratedAnswer === ANSWER.join(''), narrated.join('|'));
+
+// The answer step breaks part-way; the next provider in the chain answers instead
+const breaking = stubModel();
+const answerFromBreaking = breaking.chat.completions.create;
+breaking.chat.completions.create = async (request) => {
+  if (!request.messages.some(message => message.role === 'tool')) {
+    return answerFromBreaking(request);
+  }
+  return (async function* () {
+    yield { choices: [{ delta: { content: 'Half an ' } }] };
+    throw Object.assign(new Error('Connection reset'), { status: 503 });
+  })();
+};
+config.settings.llm.fallbackChain = ['local:stub-model'];
+config.settings.llm.local = { ...config.settings.llm.local, toolCalling: true };
+agent.llmManager.providers.openai = breaking;
+agent.llmManager.providers.local = stubModel();
+const fellBack = [];
+const fellBackAnswer = await agent.chat('How many FaderPro bugs are open?', { userId: 'fallback', onToken: token => fellBack.push(token) });
+check('A later step that breaks part-way falls through to the next provider', fellBack.join('|') === ANSWER.join('|') &&
+  fellBackAnswer === ANSWER.join('') && agent.llmManager.providers.local.requests.length === 1, fellBack.join('|'));
+config.settings.llm.fallbackChain = [];
+config.settings.llm.local.toolCalling = false;
+delete agent.llmManager.providers.local;
+
+console.log(chalk.yellow('\nTool instructions\n'));
+
+agent.llmManager.providers.openai = stubModel();
+agent.mcpManager.getToolDefinitions = async () => [
+  { ...JIRA_TOOL, server: 'atlassian' },
+  { name: 'search_code', description: 'Search code', server: 'github' },
+  { name: 'intercom_search_conversations', description: 'Search Intercom', server: 'intercom' }
+];
+agent.mcpManager.getLiveSources = () => [
+  { key: 'atlassian', name: 'Atlassian (Jira/Confluence)' },
+  { key: 'github', name: 'GitHub' },
+  { key: 'intercom', name: 'Intercom (customer conversations)' }
+];
+await agent.chat('What are customers saying about export?', { userId: 'instructions' });
+const instructions = agent.llmManager.providers.openai.requests[0].messages[0].content;
+check('The instructions name every offered tool by source', instructions.includes('- Atlassian (Jira/Confluence): jira_search\n' +
+  '- GitHub: search_code\n- Intercom (customer conversations): intercom_search_conversations') &&
+  !instructions.includes('Google Drive'), instructions);
+agent.mcpManager.getToolDefinitions = async () => [JIRA_TOOL];
+
+console.log(chalk.yellow('\nConcurrent calls and deadline\n'));
+
+const toolMessages = (client) => client.requests.at(-1).messages.filter(message => message.role === 'tool');
+const started = {};
+agent.mcpManager.callToolByName = async (name, args) => {
+  started[args.jql] = Date.now();
+  if (args.jql === 'slow') {
+    return sleep(1500, { type: 'text', text: 'too late' });
+  }
+  if (args.jql === 'broken') {
+    throw new Error('Connection refused');
+  }
+  return sleep(200, { type: 'text', text: `Result for ${args.jql}` });
+};
+const jiraCall = (id, jql) => ({ id, name: 'jira_search', arguments: { jql } });
+
+agent.llmManager.providers.openai = stubModel([jiraCall('call_a', 'first'), jiraCall('call_b', 'second'), jiraCall('call_c', 'broken')]);
+let startTime = Date.now();
+await agent.chat('Compare the FaderPro and JamPlay backlogs', { userId: 'parallel' });
+const parallel = toolMessages(agent.llmManager.providers.openai);
+check('Tool calls in one step run concurrently', Math.abs(started.first - started.second) < 50 && Date.now() - startTime < 350,
+  `${Date.now() - startTime}ms`);
+check('Every call gets a result, in order, even when one throws', parallel.map(message => message.tool_call_id).join() === 'call_a,call_b,call_c' &&
+  parallel[1].content.includes('Result for second') && parallel[2].content.includes('Connection refused'),
+  JSON.stringify(parallel.map(message => message.content)));
+
+config.settings.mcp = { ...config.settings.mcp, gatherDeadlineMs: 300 };
+agent.llmManager.providers.openai = stubModel([jiraCall('call_a', 'first'), jiraCall('call_s', 'slow')]);
+startTime = Date.now();
+const late = await agent.chat('What is blocking the release?', { userId: 'deadline' });
+const lateRequests = agent.llmManager.providers.openai.requests;
+const lateResults = lateRequests.at(-1).messages.filter(message => message.role === 'tool');
+check('Calls still running at mcp.gatherDeadlineMs are left out', Date.now() - startTime < 1000 &&
+  lateResults[0].content.includes('Result for first') && lateResults[1].content.includes('did not respond within 300ms'),
+  `${Date.now() - startTime}ms`);
+check('After the deadline the model answers without more tool calls', late === ANSWER.join('') && lateRequests.length === 2 &&
+  !lateRequests[1].tools && lateRequests[1].messages.at(-1).content.includes('time limit'), lateRequests.length);
+config.settings.mcp.gatherDeadlineMs = 25000;
+
+console.log(chalk.yellow('\nIntercom tool\n'));
+
+const unconfigured = new MCPManager({ servers: {}, intercom: new IntercomConnector({ workspaces: { default: { token: '${TEST_INTERCOM_UNSET_TOKEN}' } } }) });
+const configured = new MCPManager({ servers: {}, intercom: new IntercomConnector({ workspaces: { default: { token: 'test-token' } } }) });
+check('Intercom is not offered as a tool without a workspace token', (await unconfigured.getToolDefinitions()).length === 0);
+check('Intercom is offered once a workspace has a token',
+  (await configured.getToolDefinitions()).some(tool => tool.name === 'intercom_search_conversations'));
+unconfigured.circuitBreaker.stop();
+configured.circuitBreaker.stop();
+
+// Summary
+console.log(chalk.blue('\n=== Test Summary ==='));
+console.log(chalk.green(`Passed: ${passed}`));
+console.log(chalk.red(`Failed: ${failed}`));
+
+if (failed > 0) {
+  process.exit(1);
+}
+console.log(chalk.green.bold('\n✅ All tests passed!\n'));
+process.exit(0); // Don't wait for the slow tool's timer
@@ -1,18 +1,81 @@
 /**
  * Timeout Recovery Manager
- * Handles timeout errors intelligently with progressive strategies
+ * Handles timeout errors intelligently with progressive strategies.
+ * Performance metrics are saved to disk (metrics.path) and reloaded on startup,
+ * so suggested timeouts don't start from scratch after a restart.
  */
 
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from './config.js';
 import { logger } from './logger.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// Strategy set for each MCP tool name
+const STRATEGY_KEYS = {
+  jira_search: 'jira',
+  confluence_search: 'confluence',
+  drive_search_files: 'googleDrive'
+};
+
+// Replies that pick a recovery action. Each must match the whole reply (after
+// filler is stripped), so a new question that happens to mention a project or a
+// number is never read as a choice.
+const ACTION_PHRASES = {
+  reduce_pageSize: /^(?:fewer(?: results)?|less|smaller|limit(?: it| them| the results)?|(?:(?:5|five|a few) )?most recent(?: ones)?)$/,
+  limit_results: /^(?:fewer(?: results)?|less|smaller|limit(?: it| them| the results)?|(?:(?:3|three|a few) )?most recent(?: ones)?)$/,
+  narrow_by_folder: /^(?:(?:narrow (?:it )?(?:down )?)?(?:by|to) (?:a |one |the )?)?folder(?: only)?$/,
+  project_specific: /^(?:(?:narrow (?:it )?(?:down )?)?(?:by|to) (?:a |one |the )?)?project(?: only)?$/,
+  space_specific: /^(?:(?:narrow (?:it )?(?:down )?)?(?:by|to) (?:a |one |the )?)?space(?: only)?$/,
+  increase_timeout: /^(?:wait(?: longer)?|longer|more time|give it more time|increase(?: the)? timeout|be patient|i can wait)$/,
+  manual_check: /^(?:skip(?: it| that| this)?|never ?mind|forget (?:it|that)|move on|(?:i'?ll )?check(?: it)? manually|manual(?:ly)?)$/
+};
+
+/**
+ * Whether a value parsed from JSON is a plain object (not null or an array)
+ */
+function isObject(value) {
+  return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth'];
+
+// Politeness around a choice ("ok, the second one please")
+const LEADING_FILLER = /^(?:(?:ok(?:ay)?|yes|yeah|sure|please|let'?s|go with|try|i'?ll take|take|use|just|the)\s+)+/;
+const TRAILING_FILLER = /(?:\s+(?:please|one|option|thanks|thank you))+$/;
+
 export class TimeoutRecoveryManager {
-  constructor() {
+  /**
+   * @param {Object} options - Overrides for the metrics settings (enabled, path, historyPath, ...)
+   * @param {CircuitBreaker} [options.circuitBreaker] - Told about every success and failure
+   */
+  constructor(options = {}) {
     // Track failed queries and their patterns
     this.failureHistory = new Map();
     
     // Performance metrics per tool
     this.performanceMetrics = new Map();
     
+    // Metrics persistence and time decay
+    const setting = (name, fallback) => options[name] ?? config.get(`metrics.${name}`) ?? fallback;
+    this.metricsEnabled = setting('enabled', true);
+    this.metricsPath = path.resolve(__dirname, '..', setting('path', 'data/metrics/timeout-metrics.json'));
+    this.historyPath = path.resolve(__dirname, '..', setting('historyPath', 'data/metrics/timeout-metrics-history.jsonl'));
+    this.saveIntervalMs = setting('saveIntervalMs', 60000);
+    this.snapshotIntervalMs = setting('snapshotIntervalHours', 24) * HOUR_MS;
+    this.halfLifeMs = setting('halfLifeHours', 72) * HOUR_MS;
+    this.maxAgeMs = setting('maxAgeDays', 14) * DAY_MS;
+    this.metricsLoaded = false;
+    this.metricsDirty = false;
+    this.lastSnapshotAt = 0;
+    this.saveTimer = null;
+    this.circuitBreaker = options.circuitBreaker || null;
+    
     // Recovery strategies
     this.strategies = {
       googleDrive: [
@@ -76,7 +139,8 @@ export class TimeoutRecoveryManager {
           name: 'space_specific',
           description: 'Search in specific space',
           apply: (params, context) => {
-            if (context?.spaceKey) {
+            // Skipped when the query already searches one space
+            if (context?.spaceKey && !/\bspace\s*=/i.test(params.query || '')) {
               return {
                 ...params,
                 query: `space=${context.spaceKey} AND ${params.query || 'type=page'}`
@@ -154,19 +218,22 @@ export class TimeoutRecoveryManager {
    * Update performance metrics for a tool
    */
   updatePerformanceMetrics(tool, duration, success = false) {
+    const now = Date.now();
     if (!this.performanceMetrics.has(tool)) {
       this.performanceMetrics.set(tool, {
-        durations: [],
+        durations: [], // { duration, at } for successful calls
         successCount: 0,
-        failureCount: 0
+        failureCount: 0,
+        updatedAt: now
       });
     }
     
     const metrics = this.performanceMetrics.get(tool);
+    this.decayCounts(metrics, now);
     
     if (success) {
       metrics.successCount++;
-      metrics.durations.push(duration);
+      metrics.durations.push({ duration, at: now });
       
       // Keep only last 50 durations
       if (metrics.durations.length > 50) {
@@ -175,18 +242,39 @@ export class TimeoutRecoveryManager {
     } else {
       metrics.failureCount++;
     }
+    this.metricsDirty = true;
+    
+    if (success) {
+      this.circuitBreaker?.recordSuccess(tool);
+    } else {
+      this.circuitBreaker?.recordFailure(tool);
+    }
   }
   
   /**
-   * Get performance statistics for a tool
+   * Age success/failure counts so older calls weigh less (halves every halfLifeHours)
+   */
+  decayCounts(metrics, now) {
+    const factor = Math.pow(0.5, Math.max(now - metrics.updatedAt, 0) / this.halfLifeMs);
+    metrics.successCount *= factor;
+    metrics.failureCount *= factor;
+    metrics.updatedAt = now;
+  }
+  
+  /**
+   * Get performance statistics for a tool (durations older than maxAgeDays are ignored)
    */
   getPerformanceStats(tool) {
     const metrics = this.performanceMetrics.get(tool);
-    if (!metrics || metrics.durations.length === 0) {
+    const cutoff = Date.now() - this.maxAgeMs;
+    const durations = (metrics?.durations || [])
+      .filter(sample => sample.at >= cutoff)
+      .map(sample => sample.duration);
+    if (durations.length === 0) {
       return null;
     }
     
-    const sorted = [...metrics.durations].sort((a, b) => a - b);
+    const sorted = durations.sort((a, b) => a - b);
     const p50Index = Math.floor(sorted.length * 0.5);
     const p95Index = Math.floor(sorted.length * 0.95);
     
@@ -199,11 +287,202 @@ export class TimeoutRecoveryManager {
     };
   }
   
+  /**
+   * Load saved metrics, dropping samples older than maxAgeDays.
+   * Loaded samples are merged with any recorded since startup; only the first call loads.
+   * @returns {Promise<boolean>} - True if saved metrics were loaded
+   */
+  async loadMetrics() {
+    if (!this.metricsEnabled || this.metricsLoaded) {
+      return false;
+    }
+    this.metricsLoaded = true;
+    
+    let data;
+    try {
+      data = JSON.parse(await fs.readFile(this.metricsPath, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warning('Could not load timeout metrics, starting fresh', {
+          path: this.metricsPath,
+          error: error.message
+        });
+      }
+      return false;
+    }
+    
+    if (!isObject(data)) {
+      logger.warning('Timeout metrics file is not a metrics object, starting fresh', { path: this.metricsPath });
+      return false;
+    }
+    
+    const now = Date.now();
+    const cutoff = now - this.maxAgeMs;
+    // Entries from a truncated or older file are dropped rather than failing startup
+    const dropped = [];
+    
+    for (const [tool, entry] of Object.entries(isObject(data.performanceMetrics) ? data.performanceMetrics : {})) {
+      const saved = this.readSavedMetrics(entry, now);
+      if (!saved) {
+        dropped.push(`performanceMetrics.${tool}`);
+        continue;
+      }
+      this.decayCounts(saved, now);
+      const current = this.performanceMetrics.get(tool);
+      this.performanceMetrics.set(tool, {
+        durations: [...saved.durations.filter(sample => sample.at >= cutoff), ...(current?.durations || [])].slice(-50),
+        successCount: saved.successCount + (current?.successCount || 0),
+        failureCount: saved.failureCount + (current?.failureCount || 0),
+        updatedAt: now
+      });
+    }
+    
+    for (const [tool, failures] of Object.entries(isObject(data.failureHistory) ? data.failureHistory : {})) {
+      if (!Array.isArray(failures)) {
+        dropped.push(`failureHistory.${tool}`);
+        continue;
+      }
+      const recent = failures.filter(failure => Number.isFinite(failure?.timestamp) && failure.timestamp >= cutoff);
+      this.failureHistory.set(tool, [...recent, ...(this.failureHistory.get(tool) || [])].slice(-10));
+    }
+    
+    if (dropped.length > 0) {
+      logger.warning('Ignored malformed entries in the timeout metrics file', { path: this.metricsPath, entries: dropped });
+    }
+    
+    this.lastSnapshotAt = Number.isFinite(data.lastSnapshotAt) ? data.lastSnapshotAt : 0;
+    return true;
+  }
+  
+  /**
+   * Check one tool's saved metrics, keeping only well-formed duration samples
+   * @param {*} entry - Saved { durations, successCount, failureCount, updatedAt }
+   * @param {number} now - Current time (epoch ms), for entries without a valid updatedAt
+   * @returns {Object|null} - Metrics to merge, or null if the entry is unusable
+   */
+  readSavedMetrics(entry, now) {
+    if (!isObject(entry) || !Array.isArray(entry.durations)) {
+      return null;
+    }
+    const count = (value) => Number.isFinite(value) && value >= 0 ? value : 0;
+    return {
+      durations: entry.durations.filter(sample => Number.isFinite(sample?.duration) && Number.isFinite(sample?.at)),
+      successCount: count(entry.successCount),
+      failureCount: count(entry.failureCount),
+      updatedAt: Number.isFinite(entry.updatedAt) ? entry.updatedAt : now
+    };
+  }
+  
+  /**
+   * Save metrics if anything changed, and append a snapshot of the per-tool
+   * stats to the history file once every snapshotIntervalHours
+   * @returns {Promise<boolean>} - True if metrics were written
+   */
+  async saveMetrics() {
+    if (!this.metricsEnabled || !this.metricsDirty) {
+      return false;
+    }
+    this.metricsDirty = false;
+    
+    const now = Date.now();
+    const snapshotDue = now - this.lastSnapshotAt >= this.snapshotIntervalMs;
+    const data = {
+      savedAt: new Date(now).toISOString(),
+      lastSnapshotAt: snapshotDue ? now : this.lastSnapshotAt,
+      performanceMetrics: Object.fromEntries(this.performanceMetrics),
+      failureHistory: Object.fromEntries(this.failureHistory)
+    };
+    
+    try {
+      await fs.mkdir(path.dirname(this.metricsPath), { recursive: true });
+      // Write to a temp file and rename so a crash never leaves half a file
+      const tempPath = `${this.metricsPath}.${process.pid}.tmp`;
+      await fs.writeFile(tempPath, JSON.stringify(data, null, 2), 'utf8');
+      await fs.rename(tempPath, this.metricsPath);
+      
+      if (snapshotDue) {
+        await fs.mkdir(path.dirname(this.historyPath), { recursive: true });
+        await fs.appendFile(this.historyPath, JSON.stringify(this.exportMetrics()) + '\n', 'utf8');
+        this.lastSnapshotAt = now;
+      }
+      return true;
+    } catch (error) {
+      this.metricsDirty = true;
+      logger.error('Failed to save timeout metrics', {
+        path: this.metricsPath,
+        error: error.message
+      });
+      return false;
+    }
+  }
+  
+  /**
+   * Save metrics every saveIntervalMs (without keeping the process alive)
+   */
+  startAutoSave() {
+    if (!this.metricsEnabled || this.saveTimer) {
+      return;
+    }
+    this.saveTimer = setInterval(() => this.saveMetrics(), this.saveIntervalMs);
+    this.saveTimer.unref();
+  }
+  
+  /**
+   * Stop saving metrics periodically
+   */
+  stopAutoSave() {
+    clearInterval(this.saveTimer);
+    this.saveTimer = null;
+  }
+  
+  /**
+   * Per-tool p50/p95/success rate, for spotting endpoints that degrade over time
+   * @returns {Object} - { generatedAt, tools: { [tool]: { p50, p95, average, successRate, sampleSize, recentFailures, lastFailureAt } } }
+   */
+  exportMetrics() {
+    const tools = {};
+    
+    for (const tool of [...this.performanceMetrics.keys()].sort()) {
+      const { successCount, failureCount } = this.performanceMetrics.get(tool);
+      const stats = this.getPerformanceStats(tool);
+      const failures = this.failureHistory.get(tool) || [];
+      const total = successCount + failureCount;
+      
+      tools[tool] = {
+        p50: stats ? Math.round(stats.p50) : null,
+        p95: stats ? Math.round(stats.p95) : null,
+        average: stats ? Math.round(stats.average) : null,
+        successRate: total > 0 ? Math.round((successCount / total) * 1000) / 1000 : null,
+        sampleSize: stats ? stats.sampleSize : 0,
+        recentFailures: failures.length,
+        lastFailureAt: failures.length > 0 ? new Date(failures[failures.length - 1].timestamp).toISOString() : null
+      };
+    }
+    
+    return { generatedAt: new Date().toISOString(), tools };
+  }
+  
+  /**
+   * Read the saved snapshots, oldest first
+   * @returns {Promise<Array>} - exportMetrics() results
+   */
+  async loadMetricsHistory() {
+    try {
+      const data = await fs.readFile(this.historyPath, 'utf8');
+      return data.split('\n').filter(Boolean).map(line => JSON.parse(line));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+  
   /**
    * Get next recovery strategy for a failed query
    */
   getNextStrategy(tool, attemptNumber, context = {}) {
-    const toolStrategies = this.strategies[tool];
+    const toolStrategies = this.strategies[this.getStrategyKey(tool)];
     if (!toolStrategies || attemptNumber >= toolStrategies.length) {
       return null;
     }
@@ -211,6 +490,14 @@ export class TimeoutRecoveryManager {
     return toolStrategies[attemptNumber];
   }
   
+  /**
+   * Map a tool name ("jira_search" or "atlassian.jira_search") to its strategy set
+   */
+  getStrategyKey(tool) {
+    const toolName = tool.split('.').pop();
+    return STRATEGY_KEYS[toolName] || toolName;
+  }
+  
   /**
    * Apply a recovery strategy to parameters
    */
@@ -245,8 +532,10 @@ export class TimeoutRecoveryManager {
    * Generate recovery options for user
    */
   generateRecoveryOptions(tool, originalParams, context = {}) {
-    const strategies = this.strategies[tool] || [];
+    const strategies = this.strategies[this.getStrategyKey(tool)] || [];
     const stats = this.getPerformanceStats(tool);
+    // Which server and tool to call again ("atlassian.jira_search")
+    const [server, toolName] = tool.includes('.') ? tool.split('.') : [null, tool];
     
     const options = strategies.map((strategy, index) => {
       const applied = this.applyStrategy(strategy, originalParams, context);
@@ -255,6 +544,8 @@ export class TimeoutRecoveryManager {
         id: `${tool}_${strategy.name}`,
         action: strategy.name,
         description: strategy.description,
+        server,
+        tool: toolName,
         params: applied.params,
         timeout: applied.timeout,
         estimatedSuccessRate: this.estimateSuccessRate(tool, strategy, stats)
@@ -266,6 +557,8 @@ export class TimeoutRecoveryManager {
       id: `${tool}_manual`,
       action: 'manual_check',
       description: `Check ${tool} manually`,
+      server,
+      tool: toolName,
       params: null,
       timeout: 0,
       estimatedSuccessRate: 1.0
@@ -274,6 +567,47 @@ export class TimeoutRecoveryManager {
     return options;
   }
   
+  /**
+   * Work out which offered recovery option(s) a reply picks.
+   * The reply must be nothing but the choice (give or take "ok", "the", "please"):
+   * a number ("2", "option 2", "#2"), an ordinal ("the second one", "last") or a
+   * phrase naming the action ("wait longer", "skip it"). A phrase picks that
+   * action for every service it was offered for. Anything else is a new question.
+   * @param {string} message - User's reply
+   * @param {Array} choices - Offered choices in the order they were numbered ({ service, option })
+   * @returns {Array<number>} - Indexes into choices (empty if the reply isn't a choice)
+   */
+  parseRecoveryChoice(message, choices) {
+    const text = message.trim().toLowerCase()
+      .replace(/[.!,]+/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(LEADING_FILLER, '')
+      .replace(TRAILING_FILLER, '');
+    
+    const number = text.match(/^(?:(?:option|number|choice)\s*)?#?(\d+)$/);
+    if (number) {
+      const index = parseInt(number[1], 10) - 1;
+      return index >= 0 && index < choices.length ? [index] : [];
+    }
+    
+    const ordinal = ORDINALS.indexOf(text);
+    if (ordinal !== -1) {
+      return ordinal < choices.length ? [ordinal] : [];
+    }
+    if (text === 'last') {
+      return [choices.length - 1];
+    }
+    
+    const matches = [];
+    choices.forEach(({ option }, index) => {
+      if (ACTION_PHRASES[option.action]?.test(text)) {
+        matches.push(index);
+      }
+    });
+    return matches;
+  }
+  
   /**
    * Estimate success rate for a strategy
    */
@@ -345,8 +679,11 @@ export class TimeoutRecoveryManager {
   
   /**
    * Extract context hints from query
+   * @param {string} query - User query
+   * @param {string} tool - Tool (or strategy) name
+   * @param {Object} [hints] - What the caller already found in the query ({ spaceKeys })
    */
-  extractQueryContext(query, tool) {
+  extractQueryContext(query, tool, hints = {}) {
     const context = {};
     
     if (tool === 'jira' || tool === 'jira_search') {
@@ -356,10 +693,10 @@ export class TimeoutRecoveryManager {
         context.projectKey = projectMatch[1];
       }
     } else if (tool === 'confluence' || tool === 'confluence_search') {
-      // Look for space indicators
-      const spaceMatch = query.match(/space[:\s]+(\w+)/i);
-      if (spaceMatch) {
-        context.spaceKey = spaceMatch[1];
+      // A brand or space named in the query ("FaderPro", "space: ENG")
+      const [spaceKey] = hints.spaceKeys || [];
+      if (spaceKey) {
+        context.spaceKey = spaceKey;
       }
     } else if (tool === 'drive_search_files') {
       // Look for folder names